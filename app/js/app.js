@@ -1,144 +1,321 @@
 /**
- * app.js — initialises the map and wires all layer toggles.
+ * app.js — loads the study region (js/utils/region.js), initialises the map
+ * and builds the layer controls from LayerRegistry (see
+ * js/utils/layer-registry.js).
  */
-(function () {
+(async function () {
+  // ---- Region ---------------------------------------------------------
+  // Layers read their boroughs and data files from Region.current, so it
+  // has to be loaded before any of them is initialised.
+  const subtitleEl = document.getElementById('region-subtitle');
+  let region;
+  try {
+    region = await Region.load();
+  } catch (err) {
+    console.error('Region config failed to load:', err);
+    subtitleEl.textContent = `Could not load the region config (${err.message}).`;
+    subtitleEl.classList.add('error');
+    return;
+  }
+
+  document.title = `${region.name} Environment Map`;
+  document.getElementById('region-name').textContent = region.name;
+  subtitleEl.textContent = region.subtitle || region.boroughs.map(b => b.name).join(' · ');
+
+  const regionSelect = document.getElementById('region-select');
+  for (const { id, name } of Region.all()) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    regionSelect.appendChild(option);
+  }
+  regionSelect.value = region.id;
+  regionSelect.addEventListener('change', () => Region.switchTo(regionSelect.value));
+  // Nothing to switch to with a single region
+  regionSelect.closest('.region-picker').classList.toggle('hidden', Region.all().length < 2);
+
   // ---- Map init -------------------------------------------------------
-  const map = L.map('map', {
-    center: [51.4786, -0.2246],  // Putney/Hammersmith area
-    zoom: 13,
-    zoomControl: true,
-  });
+  const map = L.map('map', { zoomControl: true });
+  if (region.view) map.setView(region.view.center, region.view.zoom);
+  else             map.fitBounds(region.bounds);
 
   L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
     maxZoom: 19,
     attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
   }).addTo(map);
 
-  // ---- Layer init (order matches script load order) -------------------
-  AirQualityLayer.init(map);
-  NoiseLayer.init(map);
-  RoadNoiseLayer.init(map);
-  FloodRiskLayer.init(map);
-  DeprivationLayer.init(map);
-  CombinedScoreLayer.init(map);
-
-  // ---- Toggle wiring --------------------------------------------------
-  const toggleAir         = document.getElementById('toggle-air');
-  const toggleNoise       = document.getElementById('toggle-noise');
-  const toggleRoadNoise   = document.getElementById('toggle-road-noise');
-  const toggleFlood       = document.getElementById('toggle-flood');
-  const toggleDeprivation = document.getElementById('toggle-deprivation');
-  const toggleCombined    = document.getElementById('toggle-combined');
-  const roadNoiseSub      = document.getElementById('road-noise-sub');
-  const floodSub          = document.getElementById('flood-sub');
-
-  // Track which individual layers were visible when combined was switched on,
-  // so we can restore them when combined is switched off.
-  let _stateBeforeCombined = null;
-
-  function _setIndividualLayersVisible(airOn, noiseOn, roadNoiseOn, floodOn, depOn) {
-    if (airOn)       AirQualityLayer.show();  else AirQualityLayer.hide();
-    if (noiseOn)     NoiseLayer.show();       else NoiseLayer.hide();
-    if (roadNoiseOn) RoadNoiseLayer.show();   else RoadNoiseLayer.hide();
-    if (floodOn)     FloodRiskLayer.show();   else FloodRiskLayer.hide();
-    if (depOn)       DeprivationLayer.show(); else DeprivationLayer.hide();
-  }
+  // ---- Layer init (registration order = script load order) ------------
+  const defs = LayerRegistry.all();
+  for (const def of defs) def.layer.init(map);
+
+  // Click anywhere → "what's here?" report in the sidebar
+  LocationReport.init(map);
+  Shortlist.init(map);
 
-  toggleAir.addEventListener('change', () => {
-    if (toggleCombined.checked) return;
-    if (toggleAir.checked) AirQualityLayer.show();
-    else                   AirQualityLayer.hide();
-  });
-
-  toggleNoise.addEventListener('change', () => {
-    if (toggleCombined.checked) return;
-    if (toggleNoise.checked) NoiseLayer.show();
-    else                     NoiseLayer.hide();
-  });
-
-  toggleRoadNoise.addEventListener('change', () => {
-    if (toggleCombined.checked) return;
-    if (toggleRoadNoise.checked) {
-      RoadNoiseLayer.show();
-      roadNoiseSub.classList.remove('hidden');
+  // ---- Search ----------------------------------------------------------
+  // Providers are tried in order: LSOA codes/names, bundled postcode
+  // centroids (offline, if the region's file has been built), then online
+  // postcode and address lookup.
+  Geocoder.register(Geocoder.lsoas(() => DeprivationLayer._data));
+  const [[south, west], [north, east]] = region.bounds;
+  if (Region.hasFile(region.data.postcodes)) Geocoder.register(Geocoder.localPostcodes(region.data.postcodes));
+  Geocoder.register(Geocoder.postcodesIo());
+  Geocoder.register(Geocoder.nominatim({ viewbox: [west, south, east, north] }));
+  SearchBox.init(map);
+  Drawer.init(map);
+
+  // ---- Layer controls --------------------------------------------------
+  const listEl   = document.getElementById('layer-list');
+  const toggles  = {};   // layerId → checkbox
+  const subs     = {};   // layerId → sub-controls container
+  const rows     = {};   // layerId → toggle label
+  const statuses = {};   // layerId → { icon, detail, text, retry }
+  const options  = {};   // 'layerId.name' → { opt, get(), set(value) }
+
+  function _optionControl(def, opt) {
+    const key = `${def.id}.${opt.name}`;
+    const inputName = `opt-${def.id}-${opt.name}`;
+    const frag = document.createDocumentFragment();
+    // Choices may depend on the region, so they can be given as a function
+    const choices = typeof opt.choices === 'function' ? opt.choices() : opt.choices;
+    let control;
+
+    if (opt.type === 'radio') {
+      if (opt.label) {
+        const label = document.createElement('span');
+        label.className = 'sub-label';
+        label.textContent = opt.label;
+        frag.appendChild(label);
+      }
+      const radios = choices.map(choice => {
+        const label = document.createElement('label');
+        label.className = 'sub-option';
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = inputName;
+        input.value = choice.value;
+        input.checked = choice.value === opt.default;
+        label.append(input, ' ' + choice.label);
+        frag.appendChild(label);
+        return input;
+      });
+      control = {
+        get: () => (radios.find(r => r.checked) || {}).value,
+        set: v => radios.forEach(r => { r.checked = r.value === v; }),
+        inputs: radios,
+      };
+    } else if (opt.type === 'select') {
+      const label = document.createElement('label');
+      label.className = 'sub-option';
+      const select = document.createElement('select');
+      select.name = inputName;
+      const fill = list => {
+        select.replaceChildren(...list.map(choice => {
+          const option = document.createElement('option');
+          option.value = choice.value;
+          option.textContent = choice.label;
+          option.disabled = !!choice.disabled;
+          return option;
+        }));
+      };
+      fill(choices);
+      select.value = opt.default;
+      // Choices that depend on loaded data are re-read, keeping the selection
+      if (opt.refreshOn && typeof opt.choices === 'function') {
+        opt.refreshOn.on('change', () => {
+          const value = select.value;
+          fill(opt.choices());
+          select.value = value;
+        });
+      }
+      label.append(opt.label || '', select);
+      frag.appendChild(label);
+      control = { get: () => select.value, set: v => { select.value = v; }, inputs: [select] };
+    } else if (opt.type === 'checkbox') {
+      const label = document.createElement('label');
+      label.className = 'sub-option';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = inputName;
+      input.checked = !!opt.default;
+      label.append(input, ' ' + (opt.label || opt.name));
+      frag.appendChild(label);
+      control = { get: () => input.checked, set: v => { input.checked = !!v; }, inputs: [input] };
     } else {
-      RoadNoiseLayer.hide();
-      roadNoiseSub.classList.add('hidden');
+      throw new Error(`Unknown option type "${opt.type}" on layer "${def.id}"`);
     }
-  });
 
-  // Road noise metric sub-selector
-  document.querySelectorAll('input[name="road-noise-metric"]').forEach(radio => {
-    radio.addEventListener('change', () => {
-      if (radio.checked) RoadNoiseLayer.setMetric(radio.value);
-    });
-  });
+    control.opt = opt;
+    options[key] = control;
+    for (const input of control.inputs) {
+      input.addEventListener('change', () => opt.apply(control.get()));
+    }
+    return frag;
+  }
 
-  toggleFlood.addEventListener('change', () => {
-    if (toggleCombined.checked) return;
-    if (toggleFlood.checked) {
-      FloodRiskLayer.show();
-      floodSub.classList.remove('hidden');
-    } else {
-      FloodRiskLayer.hide();
-      floodSub.classList.add('hidden');
+  function _buildControls(def) {
+    const row = document.createElement('label');
+    row.className = 'layer-toggle' + (def.exclusive ? ' exclusive-toggle' : '');
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = def.defaultOn;
+    const dot = document.createElement('span');
+    dot.className = 'dot';
+    dot.style.background = def.color || '#888';
+    const icon = document.createElement('span');
+    icon.className = 'layer-status';
+    row.append(toggle, dot, def.label, icon);
+    if (def.exclusive && def.color) row.style.color = def.color;
+    listEl.appendChild(row);
+
+    // Status detail line: error text + retry
+    const detail = document.createElement('div');
+    detail.className = 'layer-status-detail hidden';
+    const text = document.createElement('span');
+    detail.appendChild(text);
+    let retry = null;
+    if (def.layer.retry) {
+      retry = document.createElement('button');
+      retry.type = 'button';
+      retry.className = 'layer-retry';
+      retry.textContent = 'Retry';
+      retry.addEventListener('click', () => def.layer.retry());
+      detail.appendChild(retry);
     }
-  });
+    listEl.appendChild(detail);
+    statuses[def.id] = { icon, detail, text, retry };
 
-  document.querySelectorAll('input[name="flood-mode"]').forEach(radio => {
-    radio.addEventListener('change', () => {
-      if (radio.checked) FloodRiskLayer.setMode(radio.value);
-    });
-  });
-
-  toggleDeprivation.addEventListener('change', () => {
-    if (toggleCombined.checked) return;
-    if (toggleDeprivation.checked) DeprivationLayer.show();
-    else                           DeprivationLayer.hide();
-  });
-
-  toggleCombined.addEventListener('change', () => {
-    if (toggleCombined.checked) {
-      // Save individual layer state, then hide them all
-      _stateBeforeCombined = {
-        air:       toggleAir.checked,
-        noise:     toggleNoise.checked,
-        roadNoise: toggleRoadNoise.checked,
-        flood:     toggleFlood.checked,
-        dep:       toggleDeprivation.checked,
-      };
-      AirQualityLayer.hide();
-      NoiseLayer.hide();
-      RoadNoiseLayer.hide();
-      FloodRiskLayer.hide();
-      DeprivationLayer.hide();
-      CombinedScoreLayer.show();
-    } else {
-      // Hide combined, restore individual layers
-      CombinedScoreLayer.hide();
-      if (_stateBeforeCombined) {
-        _setIndividualLayersVisible(
-          _stateBeforeCombined.air,
-          _stateBeforeCombined.noise,
-          _stateBeforeCombined.roadNoise,
-          _stateBeforeCombined.flood,
-          _stateBeforeCombined.dep
-        );
-        toggleAir.checked         = _stateBeforeCombined.air;
-        toggleNoise.checked       = _stateBeforeCombined.noise;
-        toggleRoadNoise.checked   = _stateBeforeCombined.roadNoise;
-        toggleFlood.checked       = _stateBeforeCombined.flood;
-        toggleDeprivation.checked = _stateBeforeCombined.dep;
-        roadNoiseSub.classList.toggle('hidden', !_stateBeforeCombined.roadNoise);
-        floodSub.classList.toggle('hidden', !_stateBeforeCombined.flood);
-        _stateBeforeCombined = null;
-      } else {
-        AirQualityLayer.show();
-        NoiseLayer.show();
-        RoadNoiseLayer.show();
-        FloodRiskLayer.show();
-        DeprivationLayer.show();
+    const sub = document.createElement('div');
+    sub.className = 'layer-sub';
+    for (const opt of def.options) sub.appendChild(_optionControl(def, opt));
+    if (def.controls) def.controls(sub);
+    if (sub.childNodes.length) listEl.appendChild(sub);
+
+    if (def.description) {
+      const note = document.createElement('p');
+      note.className = 'layer-note';
+      note.innerHTML = def.description;
+      listEl.appendChild(note);
+    }
+
+    toggles[def.id] = toggle;
+    subs[def.id] = sub;
+    rows[def.id] = row;
+
+    toggle.addEventListener('change', () => {
+      // Only one exclusive layer at a time
+      if (def.exclusive && toggle.checked) {
+        for (const other of defs) {
+          if (other !== def && other.exclusive) toggles[other.id].checked = false;
+        }
       }
+      _sync();
+    });
+  }
+
+  // Individual layers first, then exclusive ones below a divider
+  defs.filter(d => !d.exclusive).forEach(_buildControls);
+  if (defs.some(d => d.exclusive)) {
+    const divider = document.createElement('div');
+    divider.className = 'divider';
+    listEl.appendChild(divider);
+  }
+  defs.filter(d => d.exclusive).forEach(_buildControls);
+
+  // ---- Layer status ------------------------------------------------------
+  const STATUS_ICONS = { loading: '…', ready: '✓', partial: '!', failed: '✕' };
+
+  function _renderStatus(id, status) {
+    const el = statuses[id];
+    if (!el) return;
+    const state = status ? status.state : '';
+    el.icon.dataset.state = state;
+    el.icon.textContent = STATUS_ICONS[state] || '';
+    el.icon.title = status ? `${state}${status.detail ? ': ' + status.detail : ''}` : '';
+
+    // Only problems get a detail line
+    const problem = state === 'partial' || state === 'failed';
+    el.text.textContent = problem ? status.detail : '';
+    el.detail.dataset.state = state;
+    el.detail.classList.toggle('hidden', !problem);
+  }
+
+  LayerStatus.onChange(_renderStatus);
+  for (const def of defs) _renderStatus(def.id, LayerStatus.get(def.id));
+
+  /**
+   * Show/hide every layer to match the toggles. While an exclusive layer is
+   * on, the other toggles keep their state (to restore later) but their
+   * layers are hidden.
+   */
+  function _sync() {
+    const active = defs.find(d => d.exclusive && toggles[d.id].checked) || null;
+    const wanted = d => toggles[d.id].checked && (d.exclusive || !active);
+
+    // Hide first so an exclusive layer never overlaps the ones it replaces
+    for (const def of defs) if (!wanted(def)) def.layer.hide();
+    for (const def of defs) if (wanted(def)) def.layer.show();
+
+    for (const def of defs) {
+      subs[def.id].classList.toggle('hidden', !toggles[def.id].checked);
+      rows[def.id].classList.toggle('suspended', !def.exclusive && !!active && toggles[def.id].checked);
+    }
+  }
+
+  // ---- URL state --------------------------------------------------------
+  // The hash mirrors the view, checked layers and sub-options. Map moves and
+  // control changes push a history entry, so back/forward steps through them.
+  let _restoring = false;   // suppresses history writes while applying a URL
+
+  function _currentState() {
+    const center = map.getCenter();
+    const opts = {};
+    for (const [key, control] of Object.entries(options)) {
+      const value = control.get();
+      if (value !== control.opt.default) opts[key] = value;
     }
-  });
+    return {
+      view:    { zoom: map.getZoom(), lat: center.lat, lng: center.lng },
+      layers:  defs.filter(d => toggles[d.id].checked).map(d => d.id),
+      options: opts,
+    };
+  }
+
+  function _applyState(state) {
+    _restoring = true;
+
+    if (state.view) map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+
+    if (state.layers) {
+      for (const def of defs) toggles[def.id].checked = state.layers.includes(def.id);
+      // At most one exclusive layer
+      const exclusive = defs.filter(d => d.exclusive && toggles[d.id].checked);
+      exclusive.slice(1).forEach(d => { toggles[d.id].checked = false; });
+    }
+
+    // Options absent from the hash are at their default
+    for (const [key, control] of Object.entries(options)) {
+      let value = key in state.options ? state.options[key] : control.opt.default;
+      if (control.opt.type === 'checkbox' && typeof value === 'string') value = value === '1';
+      if (value === control.get()) continue;
+      control.set(value);
+      control.opt.apply(control.get());
+    }
+
+    _sync();
+    _restoring = false;
+  }
+
+  function _pushState() {
+    if (_restoring) return;
+    const hash = UrlState.format(_currentState());
+    if (hash !== location.hash) history.pushState(null, '', hash);
+  }
+
+  _applyState(UrlState.parse(location.hash));
+  history.replaceState(null, '', UrlState.format(_currentState()));
+
+  map.on('moveend', _pushState);
+  listEl.addEventListener('change', _pushState);
+  window.addEventListener('popstate', () => _applyState(UrlState.parse(location.hash)));
 })();
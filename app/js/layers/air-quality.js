@@ -1,24 +1,24 @@
 /**
- * Air Quality layer — fetches live data from ERG/KCL London Air API.
- * Exports AirQualityLayer._stations for use by combined-score.js.
+ * Air Quality layer — fetches live data from ERG/KCL London Air API (via
+ * ErgApi). Exports AirQualityLayer._stations for use by combined-score.js;
+ * parsing, station filtering and the IDW estimate live in Scoring
+ * (utils/scoring.js) so batch scoring in Node gives the same numbers.
+ *
+ * interpolate() estimates the AQI anywhere by inverse-distance weighting
+ * across all stations (Scoring.interpolate); the same estimate drives the optional
+ * "surface" raster overlay, drawn per tile on a coarse pixel grid.
+ *
+ * Markers and surface show either the highest index across all species
+ * ('max') or a single pollutant's index (setPollutant).
+ *
+ * setSnapshot() swaps the live index for a historical one (see
+ * panels/air-history.js) without rebuilding the markers; showLive() restores it.
+ * Station popups load their trend charts (panels/station-trends.js) on first open.
+ *
+ * The live index is re-fetched on a schedule (setRefresh; hourly by default)
+ * and applied to the existing markers, so open popups stay open.
  */
 const AirQualityLayer = (() => {
-  const SITES_URL =
-    'https://api.erg.ic.ac.uk/AirQuality/Information/MonitoringSites/GroupName=London/Json';
-  const AQI_URL =
-    'https://api.erg.ic.ac.uk/AirQuality/Hourly/MonitoringIndex/GroupName=London/Json';
-
-  // Target borough names as they appear in the ERG API
-  const TARGET_BOROUGHS = new Set([
-    'Hammersmith and Fulham',
-    'Richmond',
-    'Richmond Upon Thames',
-    'Wandsworth',
-    'Hounslow',
-    'Kensington and Chelsea',
-    'Kensington And Chelsea',
-  ]);
-
   // AQI band definitions (ERG 1–10 scale)
   const BANDS = [
     { max: 3,  label: 'Low',       color: '#3cb371', cssClass: 'aqi-low' },
@@ -29,10 +29,59 @@ const AirQualityLayer = (() => {
 
   const NO_DATA_COLOR = '#aaa';
 
+  const ATTRIBUTION =
+    'Air quality index © <a href="https://www.londonair.org.uk/" target="_blank">ERG/KCL London Air</a>';
+
+  // Selectable index: 'max' = highest across species, else an ERG SpeciesCode
+  const POLLUTANTS = {
+    max:  'Highest of all',
+    NO2:  'NO₂',
+    PM10: 'PM10',
+    PM25: 'PM2.5',
+    O3:   'O₃',
+    SO2:  'SO₂',
+  };
+
+  // Auto refresh of the live index. 'hour' fires REFRESH_PAST_HOUR_MIN past
+  // each hour, since ERG publishes the hourly index shortly after the hour.
+  const REFRESH_MODES = {
+    off:  'Off',
+    '15': 'Every 15 min',
+    '30': 'Every 30 min',
+    hour: 'Hourly',
+  };
+  const REFRESH_PAST_HOUR_MIN = 5;
+  const HIGHLIGHT_MS = 6000;   // how long a station whose band changed stays highlighted
+
+  // Surface overlay: interpolation cell size (screen px) and fill opacity
+  const SURFACE_CELL_PX = 8;
+  const SURFACE_OPACITY = 0.45;
+
   let _map = null;
   let _layer = null;       // L.LayerGroup
+  let _surface = null;     // L.GridLayer (interpolated AQI raster)
   let _visible = false;
-  let _stations = {};      // { siteCode: { lat, lng, maxAQI, name } } — shared with combined
+  let _surfaceOn = false;
+  let _stations = {};      // { siteCode: station } (Scoring.buildStations) — shared with combined
+  let _markers = {};       // siteCode → { marker, site, pollutants, date } (for in-place restyling)
+  let _interp = { ...Scoring.DEFAULT_INTERP };
+  let _pollutant = 'max';
+  let _liveIndex = {};     // siteCode → { pollutants, date } from the last live fetch
+  let _snapshot = null;    // label of the historical snapshot on show, or null for live
+  let _loadId = 0;         // guards against overlapping loads (e.g. source switch)
+  let _refresh = 'hour';   // REFRESH_MODES key
+  let _refreshTimer = null;
+  let _lastUpdated = null; // Date of the last successful live fetch
+
+  // 'change' fires after each successful (re)load ({ reason: 'data' }), when
+  // the IDW settings change ({ reason: 'interpolation' }), when the
+  // pollutant selection changes ({ reason: 'pollutant' }), when a
+  // historical snapshot replaces the index values ({ reason: 'time' }) and
+  // when a scheduled refresh updates them ({ reason: 'refresh' }). `ready`
+  // resolves once the first load attempt has settled, failed or not.
+  const _events = Emitter.create();
+  let _settle;
+  const _ready = new Promise(resolve => { _settle = resolve; });
 
   // ---- helpers -------------------------------------------------------
 
@@ -46,8 +95,14 @@ const AirQualityLayer = (() => {
     return band ? band.color : NO_DATA_COLOR;
   }
 
-  function _buildPopup(site, pollutants, date) {
-    const maxAQI = _maxAQI(pollutants);
+  /** The index a station shows for a pollutant key ('max' or a SpeciesCode), or null. */
+  function _stationValue(st, pollutant = _pollutant) {
+    return Scoring.stationValue(st, pollutant);
+  }
+
+  /** trends: StationTrends markup, or null while it has not been loaded. */
+  function _buildPopup(site, pollutants, date, trends = null) {
+    const maxAQI = Scoring.maxAQI(pollutants);
     const band = _bandForAQI(maxAQI);
     const bandLabel = band ? band.label : 'No data';
     const bandClass = band ? band.cssClass : 'aqi-no-data';
@@ -55,7 +110,8 @@ const AirQualityLayer = (() => {
     let rows = '';
     for (const p of pollutants) {
       const val = p.AirQualityIndex != null ? p.AirQualityIndex : '—';
-      rows += `<tr>
+      const selected = p.SpeciesCode === _pollutant;
+      rows += `<tr${selected ? ' style="font-weight:600"' : ''}>
         <td>${_escape(p.SpeciesCode || p.SpeciesName || '')}</td>
         <td>${_escape(String(val))}</td>
       </tr>`;
@@ -71,18 +127,10 @@ const AirQualityLayer = (() => {
         ${rows ? '<tr><td colspan="2" style="padding-top:4px;font-weight:600;color:#666;font-size:11px">POLLUTANTS</td></tr>' + rows : ''}
         ${date ? `<tr><td>Updated</td><td>${_escape(date)}</td></tr>` : ''}
       </table>
+      ${trends || '<p class="aq-trends-note">Loading trends…</p>'}
     `;
   }
 
-  function _maxAQI(pollutants) {
-    let max = null;
-    for (const p of pollutants) {
-      const v = parseFloat(p.AirQualityIndex);
-      if (!isNaN(v) && (max === null || v > max)) max = v;
-    }
-    return max;
-  }
-
   function _escape(str) {
     return String(str)
       .replace(/&/g, '&amp;')
@@ -91,96 +139,182 @@ const AirQualityLayer = (() => {
       .replace(/"/g, '&quot;');
   }
 
+  // ---- interpolation -------------------------------------------------
+
+  /** Stations as Geo.idw points (stations not measuring the pollutant are skipped by idw). */
+  function _stationPoints(pollutant = _pollutant) {
+    return Object.values(_stations).map(st => ({ ...st, value: _stationValue(st, pollutant) }));
+  }
+
+  /**
+   * IDW estimate of the AQI at a point, using the current power / radius.
+   * pollutant defaults to the selected one; only stations measuring it are
+   * used. Returns { value, nearest, nearestDistKm, count }; value is null
+   * when no station lies within the radius.
+   */
+  function interpolate(lat, lng, pollutant = _pollutant) {
+    return Scoring.interpolate(_stations, lat, lng, pollutant, _interp);
+  }
+
+  /**
+   * The n closest stations to a point: [{ ...station, distKm, value }], nearest
+   * first, where value is the index for the pollutant (default: the selected
+   * one). With an explicit pollutant, stations without that index are skipped.
+   */
+  function nearestStations(lat, lng, n = 3, pollutant = null) {
+    return Scoring.nearestStations(_stations, lat, lng, n, pollutant, pollutant || _pollutant);
+  }
+
+  const SurfaceLayer = L.GridLayer.extend({
+    createTile(coords) {
+      const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+      const size = this.getTileSize();
+      tile.width  = size.x;
+      tile.height = size.y;
+
+      const ctx = tile.getContext && tile.getContext('2d');
+      if (!ctx) return tile;
+      const points = _stationPoints();
+      if (!points.length) return tile;
+
+      const origin = coords.scaleBy(size);
+      for (let y = 0; y < size.y; y += SURFACE_CELL_PX) {
+        for (let x = 0; x < size.x; x += SURFACE_CELL_PX) {
+          const ll = _map.unproject(
+            origin.add([x + SURFACE_CELL_PX / 2, y + SURFACE_CELL_PX / 2]), coords.z);
+          const { value } = Geo.idw(ll.lat, ll.lng, points, _interp);
+          if (value == null) continue;
+          ctx.fillStyle = _markerColor(value);
+          ctx.fillRect(x, y, SURFACE_CELL_PX, SURFACE_CELL_PX);
+        }
+      }
+      return tile;
+    },
+  });
+
+  function _syncSurface() {
+    const want = _visible && _surfaceOn;
+    if (want && !_map.hasLayer(_surface)) _surface.addTo(_map);
+    if (!want && _map.hasLayer(_surface)) _map.removeLayer(_surface);
+  }
+
   // ---- data fetch ----------------------------------------------------
 
-  async function _fetchData() {
-    const [sitesResp, aqiResp] = await Promise.all([
-      fetch(SITES_URL),
-      fetch(AQI_URL),
-    ]);
-    const sitesJson = await sitesResp.json();
-    const aqiJson   = await aqiResp.json();
-    return { sitesJson, aqiJson };
-  }
-
-  function _parseSites(sitesJson) {
-    const arr =
-      sitesJson?.Sites?.Site ||
-      sitesJson?.AirQualityInformation?.LocalAuthority?.flatMap(la => la.Site || []) ||
-      [];
-    const map = {};
-    for (const s of (Array.isArray(arr) ? arr : [arr])) {
-      if (s['@SiteCode']) map[s['@SiteCode']] = s;
+  /** Fetch and (re)build the station markers, reporting progress to LayerStatus. */
+  async function _load() {
+    const loadId = ++_loadId;
+    LayerStatus.set('air', 'loading');
+    try {
+      const [sitesJson, aqiJson] = await Promise.all([ErgApi.sites(), ErgApi.hourlyIndex()]);
+      if (loadId !== _loadId) return;
+      const sitesMap = Scoring.parseSites(sitesJson);
+      _liveIndex = ErgApi.parseIndex(aqiJson);
+      _lastUpdated = new Date();
+      _snapshot = null;
+      _layer.clearLayers();
+      const built = _buildLayer(sitesMap, _liveIndex);
+      built.eachLayer(l => _layer.addLayer(l));
+      _surface.redraw();
+      if (_visible) _renderLegend();
+      _reportStatus();
+      _events.emit('change', { reason: 'data' });
+    } catch (err) {
+      if (loadId !== _loadId) return;
+      console.error('Air quality fetch failed:', err);
+      LayerStatus.set('air', 'failed', err.message);
     }
-    return map;
-  }
-
-  function _parseAQI(aqiJson) {
-    // Structure: { HourlyAirQualityIndex: { LocalAuthority: [...] } }
-    const las =
-      aqiJson?.HourlyAirQualityIndex?.LocalAuthority ||
-      [];
-    const result = {}; // siteCode → { pollutants, date }
-    const lasArr = Array.isArray(las) ? las : [las];
-    for (const la of lasArr) {
-      const sites = Array.isArray(la.Site) ? la.Site : (la.Site ? [la.Site] : []);
-      for (const site of sites) {
-        const code = site['@SiteCode'];
-        if (!code) continue;
-        const species = Array.isArray(site.Species)
-          ? site.Species
-          : (site.Species ? [site.Species] : []);
-        const pollutants = species.map(sp => ({
-          SpeciesCode: sp['@SpeciesCode'],
-          SpeciesName: sp['@SpeciesName'] || sp['@SpeciesCode'],
-          AirQualityIndex: sp['@AirQualityIndex'] != null ? parseFloat(sp['@AirQualityIndex']) : null,
-        }));
-        result[code] = {
-          pollutants,
-          date: site['@BulletinDate'] || '',
-        };
+    _settle();
+  }
+
+  /**
+   * Re-fetch the live index only and update the markers in place. Stations
+   * whose band changed are briefly highlighted. A failed refresh keeps the
+   * previous data on show.
+   */
+  async function refresh() {
+    if (!_map) return;
+    if (!Object.keys(_stations).length) return _load();   // nothing to update in place
+    const loadId = _loadId;
+    try {
+      const aqiJson = await ErgApi.hourlyIndex();
+      if (loadId !== _loadId) return;   // a full reload started meanwhile
+      const before = _bands();
+      _liveIndex = ErgApi.parseIndex(aqiJson);
+      _lastUpdated = new Date();
+      StationTrends.clear();
+      if (_snapshot == null) {
+        _applyIndex(_liveIndex, 'refresh');
+        const after = _bands();
+        _highlight(Object.keys(after).filter(code => after[code] !== before[code]));
+      } else if (_visible) {
+        _renderLegend();
       }
+      _refreshTrends();
+      _reportStatus();
+    } catch (err) {
+      if (loadId !== _loadId) return;
+      console.error('Air quality refresh failed:', err);
+      LayerStatus.set('air', 'partial',
+        `Refresh failed (${err.message}) — showing data from ${_formatTime(_lastUpdated)}.`);
     }
-    return result;
   }
 
-  // ---- layer build ---------------------------------------------------
+  function _reportStatus() {
+    const count = Object.keys(_stations).length;
+    const withData = Object.values(_stations).filter(st => st.maxAQI != null).length;
+    if (!count)                LayerStatus.set('air', 'partial', `No active stations found in ${Region.current.name}.`);
+    else if (withData < count) LayerStatus.set('air', 'partial', `${count - withData} of ${count} stations have no current index.`);
+    else                       LayerStatus.set('air', 'ready', `${count} stations`);
+  }
 
-  function _buildLayer(sitesMap, aqiMap) {
-    const group = L.layerGroup();
-    _stations = {};
+  /** Milliseconds until the next scheduled refresh. */
+  function _refreshDelay(now = new Date()) {
+    if (_refresh !== 'hour') return parseInt(_refresh, 10) * 60 * 1000;
+    const next = new Date(now);
+    next.setMinutes(REFRESH_PAST_HOUR_MIN, 0, 0);
+    if (next <= now) next.setHours(next.getHours() + 1);
+    return next - now;
+  }
+
+  function _scheduleRefresh() {
+    clearTimeout(_refreshTimer);
+    _refreshTimer = null;
+    if (!_map || _refresh === 'off') return;
+    _refreshTimer = setTimeout(async () => {
+      await refresh();
+      _scheduleRefresh();
+    }, _refreshDelay());
+  }
 
-    for (const [code, site] of Object.entries(sitesMap)) {
-      const borough = (site['@LocalAuthorityName'] || site.LocalAuthorityName || '').trim();
+  /** Background tabs throttle timers — catch up when the page is shown again. */
+  function _onVisibilityChange() {
+    if (document.hidden || _refresh === 'off' || !_lastUpdated) return;
+    const interval = _refresh === 'hour' ? 60 : parseInt(_refresh, 10);
+    if (Date.now() - _lastUpdated >= interval * 60 * 1000) {
+      refresh().then(_scheduleRefresh);
+    }
+  }
 
-      // Filter to target boroughs
-      const boroughNorm = borough.toLowerCase().replace(/\s+/g, ' ');
-      const inTarget = [...TARGET_BOROUGHS].some(
-        b => b.toLowerCase().replace(/\s+/g, ' ') === boroughNorm ||
-             boroughNorm.includes(b.toLowerCase().replace(/\s+/g, ' '))
-      );
-      if (!inTarget) continue;
+  function _formatTime(date) {
+    return date ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—';
+  }
 
-      const lat = parseFloat(site['@Latitude'] || site.Latitude);
-      const lng = parseFloat(site['@Longitude'] || site.Longitude);
-      if (isNaN(lat) || isNaN(lng)) continue;
+  // ---- layer build ---------------------------------------------------
 
-      // Check station is active / has data
-      const isActive = (site['@SiteType'] !== 'Closed') &&
-                       (site['@DateClosed'] == null || site['@DateClosed'] === '');
-      if (!isActive) continue;
+  function _buildLayer(sitesMap, aqiMap) {
+    const group = L.layerGroup();
+    _stations = Scoring.buildStations(sitesMap, aqiMap, Region.boroughNames());   // shared with combined
+    _markers = {};
 
+    for (const [code, st] of Object.entries(_stations)) {
       const aqiData = aqiMap[code] || { pollutants: [], date: '' };
-      const maxAQI  = _maxAQI(aqiData.pollutants);
-
-      const siteName = site['@SiteName'] || site.SiteName || code;
       const laSite = {
-        SiteName: siteName,
-        LocalAuthorityName: borough,
+        SiteName: st.name,
+        LocalAuthorityName: st.borough,
       };
 
-      const color = _markerColor(maxAQI);
-      const marker = L.circleMarker([lat, lng], {
+      const color = _markerColor(_stationValue(st));
+      const marker = L.circleMarker([st.lat, st.lng], {
         radius: 8,
         color: '#fff',
         weight: 1.5,
@@ -188,40 +322,98 @@ const AirQualityLayer = (() => {
         fillOpacity: 0.85,
       });
       marker.bindPopup(_buildPopup(laSite, aqiData.pollutants, aqiData.date));
+      marker.on('popupopen', () => _loadTrends(code));
       group.addLayer(marker);
-
-      // Export for combined score
-      _stations[code] = { lat, lng, maxAQI, name: siteName };
+      _markers[code] = { marker, site: laSite, pollutants: aqiData.pollutants, date: aqiData.date, trends: null };
     }
 
     return group;
   }
 
+  /** Replace every station's index values in place (stations missing from aqiMap → no data). */
+  function _applyIndex(aqiMap, reason = 'time') {
+    for (const [code, st] of Object.entries(_stations)) {
+      const aqiData = aqiMap[code] || { pollutants: [], date: '' };
+      st.maxAQI  = Scoring.maxAQI(aqiData.pollutants);
+      st.species = Scoring.speciesIndex(aqiData.pollutants);
+      _markers[code].pollutants = aqiData.pollutants;
+      _markers[code].date       = aqiData.date;
+    }
+    _restyleMarkers();
+    if (_surface) _surface.redraw();
+    if (_visible) _renderLegend();
+    _events.emit('change', { reason });
+  }
+
+  /** siteCode → band label of the value on show (null = no data). */
+  function _bands() {
+    const bands = {};
+    for (const [code, st] of Object.entries(_stations)) {
+      const band = _bandForAQI(_stationValue(st));
+      bands[code] = band ? band.label : null;
+    }
+    return bands;
+  }
+
+  function _highlight(codes) {
+    for (const code of codes) {
+      const el = _markers[code].marker.getElement();
+      if (!el) continue;
+      el.classList.add('aq-changed');
+      setTimeout(() => el.classList.remove('aq-changed'), HIGHLIGHT_MS);
+    }
+  }
+
+  /** After a refresh: reload trends in open popups, drop them elsewhere (reloaded on open). */
+  function _refreshTrends() {
+    for (const [code, m] of Object.entries(_markers)) {
+      if (m.marker.isPopupOpen()) _loadTrends(code, true);
+      else m.trends = null;
+    }
+  }
+
+  /** Fetch a station's trend charts (StationTrends) the first time its popup opens. */
+  async function _loadTrends(code, force = false) {
+    const m = _markers[code];
+    if (!m || (m.trends && !force)) return;
+    const html = await StationTrends.html(code);
+    if (_markers[code] !== m) return;   // markers rebuilt meanwhile
+    m.trends = html;
+    m.marker.setPopupContent(_buildPopup(m.site, m.pollutants, m.date, m.trends));
+  }
+
+  /** Recolour markers and refresh popups for the selected pollutant. */
+  function _restyleMarkers() {
+    for (const [code, m] of Object.entries(_markers)) {
+      m.marker.setStyle({ fillColor: _markerColor(_stationValue(_stations[code])) });
+      m.marker.setPopupContent(_buildPopup(m.site, m.pollutants, m.date, m.trends));
+    }
+  }
+
   // ---- public API ----------------------------------------------------
 
   async function init(map) {
     _map = map;
     _layer = L.layerGroup().addTo(_map);
+    _surface = new SurfaceLayer({ opacity: SURFACE_OPACITY, zIndex: 250 });
     _visible = true;
 
     _renderLegend();
+    document.addEventListener('visibilitychange', _onVisibilityChange);
+    await _load();
+    _scheduleRefresh();
+  }
 
-    try {
-      const { sitesJson, aqiJson } = await _fetchData();
-      const sitesMap = _parseSites(sitesJson);
-      const aqiMap   = _parseAQI(aqiJson);
-      _layer.clearLayers();
-      const built = _buildLayer(sitesMap, aqiMap);
-      built.eachLayer(l => _layer.addLayer(l));
-    } catch (err) {
-      console.error('Air quality fetch failed:', err);
-    }
+  /** Re-fetch the station list and live index. */
+  function retry() {
+    if (_map) return _load();
   }
 
   function show() {
     if (!_map || _visible) return;
     _layer.addTo(_map);
     _visible = true;
+    _syncSurface();
     _renderLegend();
   }
 
@@ -229,13 +421,118 @@ const AirQualityLayer = (() => {
     if (!_map || !_visible) return;
     _map.removeLayer(_layer);
     _visible = false;
+    _syncSurface();
     Legend.remove('air');
   }
 
+  /** Show or hide the interpolated AQI surface (only drawn while the layer is visible). */
+  function setSurfaceVisible(on) {
+    _surfaceOn = !!on;
+    if (!_map) return;
+    _syncSurface();
+    if (_visible) _renderLegend();
+  }
+
+  /** Update IDW settings: { power, maxRadiusKm }. Redraws the surface. */
+  function setInterpolation(opts = {}) {
+    const prev = { ..._interp };
+    if (opts.power > 0)       _interp.power = +opts.power;
+    if (opts.maxRadiusKm > 0) _interp.maxRadiusKm = +opts.maxRadiusKm;
+    if (_surface) _surface.redraw();
+    if (_visible) _renderLegend();
+    if (prev.power !== _interp.power || prev.maxRadiusKm !== _interp.maxRadiusKm) {
+      _events.emit('change', { reason: 'interpolation' });
+    }
+  }
+
+  /**
+   * Show a historical index (ErgApi.parseIndex shape) on the existing
+   * stations, labelled in the legend, e.g. "daily · 2024-01-08".
+   */
+  function setSnapshot(aqiMap, label) {
+    if (!_map) return;
+    _snapshot = label || 'historical';
+    _applyIndex(aqiMap);
+  }
+
+  /** Return to the last live index after setSnapshot(). */
+  function showLive() {
+    if (!_map || _snapshot == null) return;
+    _snapshot = null;
+    _applyIndex(_liveIndex);
+  }
+
+  /**
+   * The stations as currently shown, as a GeoJSON FeatureCollection of points
+   * for export: the index for each pollutant and the bulletin date per
+   * station, plus the data source, snapshot label (null = live) and fetch time
+   * in `metadata` and on every feature.
+   */
+  function stationSnapshot() {
+    const meta = {
+      generated: new Date().toISOString(),
+      source:    ErgApi.source,
+      snapshot:  _snapshot,
+      updated:   _lastUpdated ? _lastUpdated.toISOString() : null,
+    };
+    const features = Object.values(_stations).map(st => {
+      const m = _markers[st.code];
+      const indices = {};
+      for (const key of Object.keys(POLLUTANTS)) {
+        if (key !== 'max') indices[`aqi_${key}`] = st.species[key] != null ? Number(st.species[key]) : null;
+      }
+      return {
+        type:     'Feature',
+        geometry: { type: 'Point', coordinates: [st.lng, st.lat] },
+        properties: {
+          code:     st.code,
+          name:     st.name,
+          borough:  st.borough,
+          lat:      st.lat,
+          lng:      st.lng,
+          aqi_max:  st.maxAQI,
+          ...indices,
+          bulletin: (m && m.date) || null,
+          ...meta,
+        },
+      };
+    });
+    return { type: 'FeatureCollection', metadata: { ...meta, pollutants: POLLUTANTS }, features };
+  }
+
+  /** Auto-refresh interval: a REFRESH_MODES key ('off', '15', '30', 'hour'). */
+  function setRefresh(mode) {
+    if (!REFRESH_MODES[mode]) return;
+    _refresh = mode;
+    _scheduleRefresh();
+    if (_visible) _renderLegend();
+  }
+
+  /** Switch between the live ERG API and the bundled fixtures, and reload. */
+  function setSource(source) {
+    if (source === ErgApi.source) return;
+    ErgApi.setSource(source);
+    if (_map) return _load();
+  }
+
+  /** Colour markers and surface by one pollutant's index, or 'max' for the highest. */
+  function setPollutant(pollutant) {
+    if (!POLLUTANTS[pollutant] || pollutant === _pollutant) return;
+    _pollutant = pollutant;
+    _restyleMarkers();
+    if (_surface) _surface.redraw();
+    if (_visible) _renderLegend();
+    _events.emit('change', { reason: 'pollutant' });
+  }
+
   function _renderLegend() {
     Legend.render('air', {
-      title: 'Air Quality (AQI)',
-      subtitle: 'ERG/KCL London Air — live hourly',
+      title: _pollutant === 'max' ? 'Air Quality (AQI)' : `Air Quality (${POLLUTANTS[_pollutant]} index)`,
+      subtitle: _snapshot != null
+        ? `ERG/KCL London Air — ${_snapshot}`
+        : `ERG/KCL London Air — ${ErgApi.source === 'fixtures' ? 'offline fixtures' : 'live hourly'}` +
+          (_lastUpdated ? ` · updated ${_formatTime(_lastUpdated)}` : '') +
+          (_refresh !== 'off' ? ` · auto-refresh ${REFRESH_MODES[_refresh].toLowerCase()}` : ''),
       items: [
         { color: '#3cb371', label: 'Low (1–3)',        circle: true },
         { color: '#f0a500', label: 'Moderate (4–6)',   circle: true },
@@ -243,9 +540,82 @@ const AirQualityLayer = (() => {
         { color: '#c0392b', label: 'Very High (10)',    circle: true },
         { color: '#aaa',    label: 'No data',           circle: true },
       ],
-      note: 'Active stations in target boroughs only.',
+      note: 'Active stations in target boroughs only.' +
+            (_pollutant === 'max'
+              ? ' Colour = highest index across pollutants.'
+              : ` Grey = station does not measure ${POLLUTANTS[_pollutant]}.`) +
+            (_surfaceOn
+              ? ` Surface: IDW, power ${_interp.power}, radius ${_interp.maxRadiusKm} km.`
+              : ''),
     });
   }
 
-  return { init, show, hide, get _stations() { return _stations; } };
+  return {
+    init,
+    show,
+    hide,
+    retry,
+    refresh,
+    interpolate,
+    nearestStations,
+    setSurfaceVisible,
+    setInterpolation,
+    setPollutant,
+    setSnapshot,
+    showLive,
+    setSource,
+    setRefresh,
+    stationSnapshot,
+    on: _events.on,
+    get ready() { return _ready; },
+    get interpolation() { return { ..._interp }; },
+    get pollutant() { return _pollutant; },
+    get POLLUTANTS() { return POLLUTANTS; },
+    get REFRESH_MODES() { return REFRESH_MODES; },
+    get ATTRIBUTION() { return ATTRIBUTION; },
+    get lastUpdated() { return _lastUpdated; },
+    get snapshot() { return _snapshot; },
+    get _stations() { return _stations; },
+  };
 })();
+
+LayerRegistry.register({
+  id:     'air',
+  label:  'Air Quality',
+  color:  '#3cb371',
+  layer:  AirQualityLayer,
+  legend: ['air'],
+  attribution: AirQualityLayer.ATTRIBUTION,
+  options: [
+    {
+      name: 'source', type: 'select', label: 'Data', default: 'live',
+      choices: [{ value: 'live', label: 'ERG API' }, { value: 'fixtures', label: 'Offline fixtures' }],
+      apply: v => AirQualityLayer.setSource(v),
+    },
+    {
+      name: 'refresh', type: 'select', label: 'Refresh', default: 'hour',
+      choices: Object.entries(AirQualityLayer.REFRESH_MODES).map(([value, label]) => ({ value, label })),
+      apply: v => AirQualityLayer.setRefresh(v),
+    },
+    {
+      name: 'pollutant', type: 'select', label: 'Pollutant', default: 'max',
+      choices: Object.entries(AirQualityLayer.POLLUTANTS).map(([value, label]) => ({ value, label })),
+      apply: v => AirQualityLayer.setPollutant(v),
+    },
+    {
+      name: 'surface', type: 'checkbox', label: 'Surface', default: false,
+      apply: on => AirQualityLayer.setSurfaceVisible(on),
+    },
+    {
+      name: 'power', type: 'select', label: 'power', default: '2',
+      choices: [{ value: '1', label: '1' }, { value: '2', label: '2' }, { value: '3', label: '3' }],
+      apply: v => AirQualityLayer.setInterpolation({ power: parseFloat(v) }),
+    },
+    {
+      name: 'radius', type: 'select', label: 'radius', default: '5',
+      choices: [{ value: '2', label: '2 km' }, { value: '5', label: '5 km' }, { value: '10', label: '10 km' }],
+      apply: v => AirQualityLayer.setInterpolation({ maxRadiusKm: parseFloat(v) }),
+    },
+  ],
+  controls: container => AirHistory.controls(container),
+});
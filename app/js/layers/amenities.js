@@ -0,0 +1,234 @@
+/**
+ * Amenities layer — parks, schools, GP surgeries and stations from the
+ * current region's bundled OpenStreetMap extract (data.amenities, built by
+ * scripts/build-amenities.py). Parks are drawn as polygons, the rest as
+ * markers; each category can be switched off on its own.
+ *
+ * nearestFor(lsoa) gives the distance from an LSOA centroid to the nearest
+ * amenity of each type (Scoring.nearestAmenities, cached per LSOA), which
+ * combined-score.js offers as optional proximity components. The data loads
+ * whether or not the layer is shown; 'change' fires after each (re)load and
+ * `ready` resolves once the first attempt has settled, failed or not.
+ */
+const AmenitiesLayer = (() => {
+  const ATTRIBUTION =
+    'Amenities © <a href="https://www.openstreetmap.org/copyright" target="_blank">OpenStreetMap</a> contributors, ODbL';
+
+  const TYPES = Scoring.AMENITY_TYPES;
+  const COLORS = {
+    park:    '#2e8b57',
+    school:  '#e67e22',
+    gp:      '#c0392b',
+    station: '#34495e',
+  };
+
+  let _map = null;
+  let _layer = null;     // L.LayerGroup of the shown categories
+  let _groups = {};      // type → L.GeoJSON
+  let _visible = false;
+  let _loadId = 0;
+  let _amenities = {};   // Scoring.amenitiesFromGeojson result
+  let _nearest = new Map();   // lsoa_code → Scoring.nearestAmenities result
+  const _shown = Object.fromEntries(Object.keys(TYPES).map(type => [type, true]));
+  const _renderer = L.canvas({ padding: 0.5 });
+
+  const _events = Emitter.create();   // 'change' ({ reason: 'data' }) after each (re)load
+  let _settle;
+  const _ready = new Promise(resolve => { _settle = resolve; });
+
+  // ---- helpers -------------------------------------------------------
+
+  function _escape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function _count(type) {
+    return (_amenities[type] || []).length;
+  }
+
+  function _buildPopup(type, props) {
+    return `
+      <div class="popup-title">${_escape(props.name || TYPES[type].label)}</div>
+      <table class="popup-table">
+        <tr><td>Type</td><td>${_escape(TYPES[type].label)}</td></tr>
+        ${props.osm_id ? `<tr><td>OSM</td><td>${_escape(props.osm_id)}</td></tr>` : ''}
+      </table>
+    `;
+  }
+
+  function _buildGroup(type, features) {
+    const color = COLORS[type];
+    return L.geoJSON({ type: 'FeatureCollection', features }, {
+      renderer: _renderer,
+      style: { color, weight: 1, fillColor: color, fillOpacity: 0.35 },
+      pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+        renderer:    _renderer,
+        radius:      5,
+        color:       '#fff',
+        weight:      1,
+        fillColor:   color,
+        fillOpacity: 0.9,
+      }),
+      onEachFeature: (feature, lyr) => lyr.bindPopup(_buildPopup(type, feature.properties || {})),
+    });
+  }
+
+  function _syncGroups() {
+    if (!_layer) return;
+    for (const [type, group] of Object.entries(_groups)) {
+      if (_shown[type]) _layer.addLayer(group);
+      else              _layer.removeLayer(group);
+    }
+  }
+
+  // ---- data ----------------------------------------------------------
+
+  async function _load() {
+    const loadId = ++_loadId;
+    LayerStatus.set('amenities', 'loading');
+    try {
+      const url = Region.current.data.amenities;
+      if (!Region.hasFile(url)) {
+        throw new Error(`No amenities extract for ${Region.current.name} — build it with scripts/build-amenities.py.`);
+      }
+      const resp = await fetch(url);
+      if (!resp.ok) throw new Error(`${url}: HTTP ${resp.status}`);
+      const geojson = await resp.json();
+      if (loadId !== _loadId) return;
+
+      _amenities = Scoring.amenitiesFromGeojson(geojson);
+      _nearest = new Map();
+      if (_layer) _map.removeLayer(_layer);
+      _groups = {};
+      for (const type of Object.keys(TYPES)) {
+        _groups[type] = _buildGroup(type, (geojson.features || []).filter(f => f.properties && f.properties.category === type));
+      }
+      _layer = L.layerGroup();
+      _syncGroups();
+      if (_visible) {
+        _layer.addTo(_map);
+        _renderLegend();
+      }
+      _reportStatus();
+    } catch (err) {
+      if (loadId !== _loadId) return;
+      console.error('Amenities layer failed:', err);
+      if (_layer) _map.removeLayer(_layer);
+      _layer = null;
+      _groups = {};
+      _amenities = {};
+      _nearest = new Map();
+      LayerStatus.set('amenities', 'failed', err.message);
+    }
+    _events.emit('change', { reason: 'data' });
+    _settle();
+  }
+
+  function _reportStatus() {
+    const total = Object.keys(TYPES).reduce((n, type) => n + _count(type), 0);
+    if (!total) {
+      LayerStatus.set('amenities', 'failed', 'No parks, schools, GP surgeries or stations in the extract.');
+      return;
+    }
+    const missing = Object.keys(TYPES).filter(type => !_count(type)).map(type => TYPES[type].label);
+    if (missing.length) LayerStatus.set('amenities', 'partial', `Missing from the extract: ${missing.join(', ')}.`);
+    else                LayerStatus.set('amenities', 'ready', `${total} amenities`);
+  }
+
+  // ---- legend --------------------------------------------------------
+
+  function _renderLegend() {
+    Legend.render('amenities', {
+      title:    'Green space & amenities',
+      subtitle: 'OpenStreetMap extract',
+      items:    Object.keys(TYPES).filter(type => _shown[type]).map(type => ({
+        color: COLORS[type],
+        label: `${TYPES[type].label}${_count(type) ? ` (${_count(type)})` : ''}`,
+      })),
+      note: 'Parks drawn as areas; schools, GP surgeries and stations as points.',
+    });
+  }
+
+  // ---- public API ----------------------------------------------------
+
+  async function init(map) {
+    _map = map;
+    _visible = true;   // may be switched off before the data arrives
+    _renderLegend();
+    await _load();
+  }
+
+  function show() {
+    if (!_map || _visible) return;
+    if (_layer) _layer.addTo(_map);
+    _visible = true;
+    _renderLegend();
+  }
+
+  function hide() {
+    if (!_map || !_visible) return;
+    if (_layer) _map.removeLayer(_layer);
+    _visible = false;
+    Legend.remove('amenities');
+  }
+
+  function retry() {
+    if (_map) return _load();
+  }
+
+  /** Show or hide one category (Scoring.AMENITY_TYPES key). */
+  function setCategoryVisible(type, on) {
+    if (!(type in TYPES)) return;
+    _shown[type] = !!on;
+    _syncGroups();
+    if (_visible) _renderLegend();
+  }
+
+  /**
+   * Nearest amenity of each type to an LSOA centroid:
+   * { park: { km, name } | null, … }; {} without a centroid.
+   */
+  function nearestFor(lsoa) {
+    if (!lsoa.centroid) return {};
+    if (!_nearest.has(lsoa.lsoa_code)) {
+      _nearest.set(lsoa.lsoa_code, Scoring.nearestAmenities(lsoa.centroid[0], lsoa.centroid[1], _amenities));
+    }
+    return _nearest.get(lsoa.lsoa_code);
+  }
+
+  /** Whether any amenity of the type is loaded. */
+  function has(type) {
+    return _count(type) > 0;
+  }
+
+  return {
+    init,
+    show,
+    hide,
+    retry,
+    setCategoryVisible,
+    nearestFor,
+    has,
+    ATTRIBUTION,
+    on: _events.on,
+    get ready() { return _ready; },
+  };
+})();
+
+LayerRegistry.register({
+  id:        'amenities',
+  label:     'Green space & amenities (OSM)',
+  color:     '#2e8b57',
+  layer:     AmenitiesLayer,
+  legend:    ['amenities'],
+  defaultOn: false,
+  attribution: AmenitiesLayer.ATTRIBUTION,
+  options: Object.entries(Scoring.AMENITY_TYPES).map(([type, a]) => ({
+    name: type, type: 'checkbox', label: a.label, default: true,
+    apply: on => AmenitiesLayer.setCategoryVisible(type, on),
+  })),
+});
@@ -1,71 +1,93 @@
 /**
  * Combined Score layer — per-LSOA composite of air quality, noise, deprivation.
  *
- * Weights:
- *   40% deprivation: (11 - imd_decile) / 10  →  decile 1 (worst) = 1.0
- *   40% air quality: nearest station maxAQI / 10
- *   20% noise:       neutral 0.5 (WMS not per-LSOA queryable)
+ * Components (default weights, user-adjustable via setWeights):
+ *   40% deprivation: (11 - imd_decile) / 10  →  decile 1 (worst) = 1.0;
+ *                    setDepDomain() uses one IoD domain's decile instead
+ *                    (e.g. crime), neutral 0.5 where the file lacks it
+ *   40% air quality: IDW-interpolated station maxAQI / 10
+ *                    (AirQualityLayer.interpolate); neutral 0.5 if no
+ *                    station lies within the interpolation radius.
+ *                    setAirPollutant(true) uses the air layer's selected
+ *                    pollutant index instead of the maximum
+ *   20% noise:       noise band of the selected source and metric at the LSOA
+ *                    centroid (WMS GetFeatureInfo via NoiseLayer.sampleAt),
+ *                    below the contours = 0 → top class (≥75 dB Lden) = 1;
+ *                    neutral 0.5 while sampling or where the query fails
+ *
+ * Optional proximity components (off by default; parks and schools weigh 40
+ * like air quality, GP surgeries and stations 20 when switched on): distance
+ * from the centroid to the nearest amenity of the type
+ * (AmenitiesLayer.nearestFor), 0 km = 0 → Scoring.AMENITY_TYPES maxKm = 1;
+ * neutral 0.5 where the region has no amenity data.
+ *
+ * Weights are relative: they are normalised over the enabled components,
+ * so turning one off redistributes its share across the others.
+ *
+ * Inputs: show() waits for the air quality, deprivation and amenities layers,
+ * and while shown the layer rebuilds whenever an input reloads (their
+ * 'change' events). Its own 'change' event fires whenever the shown scores
+ * change, and on any weight or setting change even while hidden.
  *
  * Score ranges 0 (best) → 1 (worst).
  * Colour: green → yellow → red.
+ *
+ * The component maths, weighting and colour ramp are in Scoring
+ * (utils/scoring.js), shared with the Node batch scorer; this module supplies
+ * the live inputs and draws the result.
+ *
+ * exportFeatures() resolves to every LSOA's score and components as GeoJSON,
+ * for download (see panels/data-export.js).
  */
 const CombinedScoreLayer = (() => {
-  // Green → yellow → red gradient stops
-  const COLOR_STOPS = [
-    { t: 0.0,  r: 44,  g: 160, b: 44  }, // green
-    { t: 0.25, r: 143, g: 188, b: 50  },
-    { t: 0.5,  r: 240, g: 165, b: 0   }, // yellow-orange
-    { t: 0.75, r: 220, g: 90,  b: 30  },
-    { t: 1.0,  r: 180, g: 30,  b: 30  }, // red
-  ];
+  const COMPONENTS      = Scoring.COMPONENTS;
+  const DEFAULT_WEIGHTS = Scoring.DEFAULT_WEIGHTS;
 
   let _map = null;
   let _layer = null;
   let _visible = false;
+  let _entries = [];   // [{ lsoa, depComp, aqComp, aq, noiseComp, noiseSample, nearestSt, proximity, score, layer }]
+  let _buildId = 0;    // guards async noise sampling against stale builds
+  let _noiseCounts = [];   // [failed, total] of the finished noise sampling, for status refreshes
+  let _withProximity = false;   // whether _entries have their nearest amenities
+  let _weights = { ...DEFAULT_WEIGHTS };
+  let _enabled = { ...Scoring.DEFAULT_ENABLED };
+  let _followPollutant = false;   // air component from AirQualityLayer.pollutant instead of 'max'
+  let _depDomain = 'imd';         // Scoring.IMD_DOMAINS key of the deprivation component
+  const _events = Emitter.create();
+
+  // ---- air quality component -----------------------------------------
 
-  // ---- colour interpolation ------------------------------------------
+  /** Pollutant key the air component is interpolated from. */
+  function _airPollutant() {
+    return _followPollutant ? AirQualityLayer.pollutant : 'max';
+  }
 
-  function _lerp(a, b, t) { return Math.round(a + (b - a) * t); }
+  /** Interpolated air component for an LSOA: { aqComp, aq, nearestSt }. */
+  function _airFor(lsoa) {
+    return Scoring.airComponent(lsoa, AirQualityLayer._stations, _airPollutant(), AirQualityLayer.interpolation);
+  }
 
-  function _scoreColor(score) {
-    const s = Math.max(0, Math.min(1, score));
-    let lo = COLOR_STOPS[0];
-    let hi = COLOR_STOPS[COLOR_STOPS.length - 1];
-    for (let i = 0; i < COLOR_STOPS.length - 1; i++) {
-      if (s >= COLOR_STOPS[i].t && s <= COLOR_STOPS[i + 1].t) {
-        lo = COLOR_STOPS[i];
-        hi = COLOR_STOPS[i + 1];
-        break;
-      }
-    }
-    const span = hi.t - lo.t || 1;
-    const t = (s - lo.t) / span;
-    const r = _lerp(lo.r, hi.r, t);
-    const g = _lerp(lo.g, hi.g, t);
-    const b = _lerp(lo.b, hi.b, t);
-    return `rgb(${r},${g},${b})`;
-  }
-
-  // ---- haversine nearest-station -------------------------------------
-
-  function _haversine(lat1, lng1, lat2, lng2) {
-    const R = 6371;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLng = (lng2 - lng1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) ** 2 +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLng / 2) ** 2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  }
-
-  function _nearestStation(lat, lng, stations) {
-    let best = null;
-    let bestDist = Infinity;
-    for (const [code, st] of Object.entries(stations)) {
-      const d = _haversine(lat, lng, st.lat, st.lng);
-      if (d < bestDist) { bestDist = d; best = st; }
-    }
-    return best;
+  // ---- weights -------------------------------------------------------
+
+  /** Weights normalised to fractions summing to 1 over enabled components. */
+  function _effectiveWeights() {
+    return Scoring.effectiveWeights(_weights, _enabled);
+  }
+
+  function _score(entry) {
+    return Scoring.combine(entry, _effectiveWeights());
+  }
+
+  /** Whether any proximity component is weighted; the nearest-amenity search is skipped otherwise. */
+  function _usesProximity() {
+    const eff = _effectiveWeights();
+    return Object.keys(Scoring.AMENITY_TYPES).some(type => eff[type] > 0);
+  }
+
+  function _weightLabel(key) {
+    const w = _effectiveWeights()[key];
+    return w ? (w * 100).toFixed(0) + '%' : 'off';
   }
 
   // ---- popup ---------------------------------------------------------
@@ -77,75 +99,213 @@ const CombinedScoreLayer = (() => {
       .replace(/>/g, '&gt;');
   }
 
-  function _buildPopup(lsoa, score, depComp, aqComp, noiseComp, nearestSt) {
+  function _depNote(lsoa) {
+    const decile = Scoring.domainDecile(lsoa, _depDomain);
+    const label  = _depDomain === 'imd' ? 'IMD' : Scoring.IMD_DOMAINS[_depDomain];
+    return decile != null ? `(${_escape(label)} decile ${decile})` : `(no ${_escape(label.toLowerCase())} decile — neutral)`;
+  }
+
+  function _noiseNote(noiseSample) {
+    if (noiseSample === undefined) return '(sampling…)';
+    if (noiseSample === null)      return '(no data — neutral)';
+    return `(${_escape(noiseSample.label)} ${_escape(NoiseLayer.describe(noiseSample.metric, true))})`;
+  }
+
+  function _airNote(aq) {
+    const pollutant = _airPollutant();
+    const species = pollutant === 'max' ? '' : `, ${AirQualityLayer.POLLUTANTS[pollutant]}`;
+    if (!aq || !aq.nearest)  return `(no data${species})`;
+    if (aq.value == null)    return '(no station in range — neutral)';
+    return `(IDW of ${aq.count} station${aq.count === 1 ? '' : 's'}${species})`;
+  }
+
+  function _proximityNote(p) {
+    if (p.km == null) return '(no data — neutral)';
+    return `(${p.km.toFixed(2)} km${p.name ? ' — ' + _escape(p.name) : ''})`;
+  }
+
+  function _buildPopup({ lsoa, score, depComp, aqComp, aq, noiseComp, noiseSample, proximity }) {
     const pct = (v) => (v * 100).toFixed(0) + '%';
+    const eff = _effectiveWeights();
+    const proximityRows = Object.entries(proximity)
+      .filter(([type]) => eff[type] > 0)
+      .map(([type, p]) => `<tr><td>${_escape(COMPONENTS[type])} (${_weightLabel(type)})</td><td>${pct(p.comp)} <span style="color:#999;font-size:10px">${_proximityNote(p)}</span></td></tr>`)
+      .join('');
     return `
       <div class="popup-title">${_escape(lsoa.lsoa_name)}</div>
       <table class="popup-table">
         <tr><td>Borough</td><td>${_escape(lsoa.borough)}</td></tr>
         <tr><td>Combined score</td><td><strong>${score.toFixed(2)} / 1.00</strong></td></tr>
         <tr><td colspan="2" style="padding-top:5px;font-weight:600;color:#666;font-size:11px">COMPONENTS</td></tr>
-        <tr><td>Deprivation (40%)</td><td>${pct(depComp)} <span style="color:#999;font-size:10px">(IMD decile ${lsoa.imd_decile})</span></td></tr>
-        <tr><td>Air quality (40%)</td><td>${pct(aqComp)} <span style="color:#999;font-size:10px">${nearestSt ? '(' + _escape(nearestSt.name) + ')' : '(no data)'}</span></td></tr>
-        <tr><td>Noise (20%)</td><td>${pct(noiseComp)} <span style="color:#999;font-size:10px">(neutral — WMS only)</span></td></tr>
+        <tr><td>Deprivation (${_weightLabel('dep')})</td><td>${pct(depComp)} <span style="color:#999;font-size:10px">${_depNote(lsoa)}</span></td></tr>
+        <tr><td>Air quality (${_weightLabel('air')})</td><td>${pct(aqComp)} <span style="color:#999;font-size:10px">${_airNote(aq)}</span></td></tr>
+        ${aq && aq.nearest ? `<tr><td>Nearest station</td><td>${_escape(aq.nearest.name)} <span style="color:#999;font-size:10px">(${aq.nearestDistKm.toFixed(1)} km — ${Scoring.confidence(aq.nearestDistKm)} confidence)</span></td></tr>` : ''}
+        <tr><td>Noise (${_weightLabel('noise')})</td><td>${pct(noiseComp)} <span style="color:#999;font-size:10px">${_noiseNote(noiseSample)}</span></td></tr>
+        ${proximityRows}
       </table>
     `;
   }
 
   // ---- layer build ---------------------------------------------------
 
+  function _hasStations() {
+    return Object.keys(AirQualityLayer._stations).length > 0;
+  }
+
+  /**
+   * Score one LSOA. noiseSample is a NoiseLayer sample: undefined while
+   * pending, null when unavailable — both count as neutral noise. Without
+   * withProximity the proximity components are left neutral.
+   */
+  function _entryFor(lsoa, noiseSample, withProximity = _usesProximity()) {
+    const entry = {
+      lsoa,
+      ...Scoring.components(lsoa, {
+        stations:  AirQualityLayer._stations,
+        pollutant: _airPollutant(),
+        interp:    AirQualityLayer.interpolation,
+        domain:    _depDomain,
+        noiseSample,
+        nearest:   withProximity ? AmenitiesLayer.nearestFor(lsoa) : {},
+      }),
+      layer: null,
+    };
+    entry.score = _score(entry);
+    return entry;
+  }
+
   function _buildLayer() {
-    const stations = AirQualityLayer._stations;
-    const lsoaData = DeprivationLayer._data;
-
-    const hasStations = Object.keys(stations).length > 0;
-
-    const features = lsoaData.map(lsoa => {
-      // Deprivation component: decile 1 (worst) → 1.0, decile 10 → 0.1
-      const depComp = lsoa.imd_decile != null
-        ? (11 - lsoa.imd_decile) / 10
-        : 0.5;
-
-      // Air quality component: nearest station AQI / 10
-      let aqComp = 0.5; // neutral fallback
-      let nearestSt = null;
-      if (hasStations && lsoa.centroid) {
-        const [lat, lng] = lsoa.centroid;
-        nearestSt = _nearestStation(lat, lng, stations);
-        if (nearestSt && nearestSt.maxAQI != null) {
-          aqComp = Math.min(nearestSt.maxAQI / 10, 1);
-        }
-      }
-
-      // Noise: neutral
-      const noiseComp = 0.5;
-
-      const score = 0.4 * depComp + 0.4 * aqComp + 0.2 * noiseComp;
-
-      return { lsoa, score, depComp, aqComp, noiseComp, nearestSt };
-    });
+    // Noise starts neutral; per-LSOA samples arrive later (see _sampleNoise)
+    _withProximity = _usesProximity();
+    _entries = DeprivationLayer._data.map(lsoa => _entryFor(lsoa, undefined, _withProximity));
 
     const group = L.layerGroup();
 
-    for (const { lsoa, score, depComp, aqComp, noiseComp, nearestSt } of features) {
-      if (!lsoa.geometry) continue;
-      const layer = L.geoJSON({ type: 'Feature', geometry: lsoa.geometry }, {
+    for (const entry of _entries) {
+      if (!entry.lsoa.geometry) continue;
+      const layer = L.geoJSON({ type: 'Feature', geometry: entry.lsoa.geometry }, {
         style: {
-          fillColor: _scoreColor(score),
+          fillColor: Scoring.scoreColor(entry.score),
           fillOpacity: 0.7,
           color: '#555',
           weight: 0.5,
         },
       });
-      layer.bindPopup(_buildPopup(lsoa, score, depComp, aqComp, noiseComp, nearestSt));
+      layer.bindPopup(_buildPopup(entry));
       layer.on('mouseover', () => layer.setStyle({ weight: 2, fillOpacity: 0.9 }));
       layer.on('mouseout',  () => layer.setStyle({ weight: 0.5, fillOpacity: 0.7 }));
+      entry.layer = layer;
       group.addLayer(layer);
     }
 
     return group;
   }
 
+  function _restyleEntry(entry) {
+    entry.score = _score(entry);
+    if (!entry.layer) return;
+    entry.layer.setStyle({ fillColor: Scoring.scoreColor(entry.score) });
+    entry.layer.setPopupContent(_buildPopup(entry));
+  }
+
+  /** Recompute scores with the current weights and recolour in place. */
+  function _restyle() {
+    for (const entry of _entries) _restyleEntry(entry);
+  }
+
+  /** Query noise at each LSOA centroid and recolour as samples arrive. */
+  async function _sampleNoise() {
+    const buildId = _buildId;
+    const targets = _entries.filter(e => e.lsoa.centroid);
+    const points = targets.map(e => ({ lat: e.lsoa.centroid[0], lng: e.lsoa.centroid[1] }));
+
+    const samples = await NoiseLayer.sampleMany(points, (i, sample) => {
+      if (buildId !== _buildId) return;
+      const entry = targets[i];
+      entry.noiseSample = sample;
+      const norm = NoiseLayer.normalise(sample);
+      entry.noiseComp = norm != null ? norm : 0.5;
+      _restyleEntry(entry);
+    });
+    if (buildId !== _buildId) return;
+    _noiseCounts = [samples.filter(s => !s).length, samples.length];
+    _reportStatus(..._noiseCounts);
+    _events.emit('change', { reason: 'noise' });
+  }
+
+  /** (Re)build the choropleth from the current inputs and start noise sampling. */
+  function _rebuild() {
+    _buildId++;
+    if (_layer) _map.removeLayer(_layer);
+    _layer = _buildLayer();
+    _layer.addTo(_map);
+    _noiseCounts = [];
+    _reportStatus();
+    _events.emit('change', { reason: 'data' });
+    _sampleNoise();
+  }
+
+  /** Recompute the air component (e.g. after interpolation settings change). */
+  function _refreshAir() {
+    for (const entry of _entries) Object.assign(entry, _airFor(entry.lsoa));
+    _restyle();
+    _events.emit('change', { reason: 'air' });
+  }
+
+  /** Fill in the proximity components once a weight switches them on. */
+  function _refreshProximity() {
+    _withProximity = true;
+    for (const entry of _entries) {
+      entry.proximity = Scoring.proximityComponents(AmenitiesLayer.nearestFor(entry.lsoa));
+    }
+  }
+
+  /** Recompute the deprivation component (after a domain change). */
+  function _refreshDep() {
+    for (const entry of _entries) {
+      entry.depComp   = Scoring.depComponent(entry.lsoa, _depDomain);
+      entry.depDomain = _depDomain;
+    }
+    _restyle();
+    _events.emit('change', { reason: 'deprivation' });
+  }
+
+  // Input changes that only affect the air component (no rebuild needed)
+  const AIR_ONLY_CHANGES = ['interpolation', 'pollutant', 'time', 'refresh'];
+
+  /** React to an input layer's 'change' event while shown. */
+  function _onInputChange({ reason }) {
+    if (!_visible || !_layer) return;   // hidden, or still waiting for inputs
+    if (reason === 'pollutant' && !_followPollutant) return;
+    if (AIR_ONLY_CHANGES.includes(reason)) _refreshAir();
+    else                                   _rebuild();
+  }
+
+  // ---- status --------------------------------------------------------
+
+  /**
+   * Warn about inputs the score is built without. noiseFailed is undefined
+   * while noise sampling is still running.
+   */
+  function _reportStatus(noiseFailed, noiseTotal) {
+    const warnings = [];
+    if (!DeprivationLayer._data.length) {
+      LayerStatus.set('combined', 'failed', 'No LSOA data loaded — nothing to score.');
+      return;
+    }
+    if (!_hasStations()) warnings.push('No air quality stations — air component held at neutral 0.5.');
+    if (noiseFailed) warnings.push(`${noiseFailed} of ${noiseTotal} noise samples failed — neutral 0.5 used.`);
+    const eff = _effectiveWeights();
+    const noAmenities = Object.keys(Scoring.AMENITY_TYPES).filter(type => eff[type] > 0 && !AmenitiesLayer.has(type));
+    if (noAmenities.length) {
+      warnings.push(`No amenity data for ${noAmenities.map(type => COMPONENTS[type]).join(', ')} — proximity held at neutral 0.5.`);
+    }
+
+    if (noiseFailed === undefined) LayerStatus.set('combined', 'loading', ['Sampling noise…', ...warnings].join(' '));
+    else if (warnings.length)      LayerStatus.set('combined', 'partial', warnings.join(' '));
+    else                           LayerStatus.set('combined', 'ready');
+  }
+
   // ---- legend --------------------------------------------------------
 
   function _renderLegend() {
@@ -153,13 +313,13 @@ const CombinedScoreLayer = (() => {
       title: 'Combined Environment Score',
       subtitle: '0 = best environment, 1 = worst',
       items: [
-        { color: _scoreColor(0.0),  label: '0.0 — least concern' },
-        { color: _scoreColor(0.25), label: '0.25' },
-        { color: _scoreColor(0.5),  label: '0.5 — moderate' },
-        { color: _scoreColor(0.75), label: '0.75' },
-        { color: _scoreColor(1.0),  label: '1.0 — most concern' },
+        { color: Scoring.scoreColor(0.0),  label: '0.0 — least concern' },
+        { color: Scoring.scoreColor(0.25), label: '0.25' },
+        { color: Scoring.scoreColor(0.5),  label: '0.5 — moderate' },
+        { color: Scoring.scoreColor(0.75), label: '0.75' },
+        { color: Scoring.scoreColor(1.0),  label: '1.0 — most concern' },
       ],
-      note: '40% deprivation · 40% air quality · 20% noise (neutral)',
+      note: describeWeights(),
     });
   }
 
@@ -168,23 +328,236 @@ const CombinedScoreLayer = (() => {
   function init(map) {
     _map = map;
     // Layer built on demand (needs other layers loaded first)
+    DeprivationLayer.on('change', _onInputChange);
+    AirQualityLayer.on('change', _onInputChange);
+    NoiseLayer.on('change', _onInputChange);
+    AmenitiesLayer.on('change', _onInputChange);
   }
 
-  function show() {
+  async function show() {
     if (!_map || _visible) return;
-    _layer = _buildLayer();
-    _layer.addTo(_map);
+    const buildId = ++_buildId;
     _visible = true;
     _renderLegend();
+    LayerStatus.set('combined', 'loading', 'Waiting for deprivation and air quality data…');
+
+    await Promise.all([DeprivationLayer.ready, AirQualityLayer.ready, AmenitiesLayer.ready]);
+    if (buildId !== _buildId) return;   // hidden (or rebuilt) while waiting
+    _rebuild();
   }
 
   function hide() {
     if (!_map || !_visible) return;
     if (_layer) _map.removeLayer(_layer);
     _layer = null;
+    _entries = [];
+    _buildId++;
     _visible = false;
     Legend.remove('combined');
+    LayerStatus.clear('combined');
   }
 
-  return { init, show, hide };
+  /** Rebuild from the current inputs (re-samples failed noise points). */
+  function retry() {
+    if (!_visible) return;
+    hide();
+    show();
+  }
+
+  /**
+   * Score a single LSOA with the current weights, whether or not the layer is
+   * shown. Samples noise at the LSOA centroid (cached), so the result
+   * matches the map. Resolves to { score, depComp, aqComp, noiseComp, aq, noiseSample, proximity }.
+   */
+  async function scoreFor(lsoa) {
+    const noiseSample = lsoa.centroid
+      ? await NoiseLayer.sampleAt(lsoa.centroid[0], lsoa.centroid[1])
+      : null;
+    return score(lsoa, noiseSample);
+  }
+
+  /**
+   * Score a single LSOA synchronously, given its noise sample (undefined or
+   * null → neutral noise). Same result shape as scoreFor.
+   */
+  function score(lsoa, noiseSample) {
+    const { layer, ...entry } = _entryFor(lsoa, noiseSample);
+    return entry;
+  }
+
+  /**
+   * Update component weights and/or on-off state. Both arguments are partial
+   * maps keyed by component ('dep' | 'air' | 'noise' | 'park' | …); weights are relative.
+   */
+  function setWeights(weights = {}, enabled = {}) {
+    for (const key of Object.keys(COMPONENTS)) {
+      if (weights[key] != null && !isNaN(weights[key])) _weights[key] = Math.max(0, +weights[key]);
+      if (enabled[key] != null) _enabled[key] = !!enabled[key];
+    }
+    if (_visible) {
+      if (_layer && !_withProximity && _usesProximity()) _refreshProximity();
+      _restyle();
+      _renderLegend();
+      if (_layer) _reportStatus(..._noiseCounts);   // proximity data warnings follow the weights
+    }
+    _events.emit('change', { reason: 'weights' });
+    document.querySelectorAll('[data-weights-summary]').forEach(el => {
+      el.textContent = describeWeights();
+    });
+  }
+
+  /** Base the air component on the air layer's selected pollutant (true) or the highest index (false). */
+  function setAirPollutant(follow) {
+    follow = !!follow;
+    if (follow === _followPollutant) return;
+    _followPollutant = follow;
+    if (_visible && _layer) _refreshAir();
+    else _events.emit('change', { reason: 'air' });
+  }
+
+  /** Base the deprivation component on an IoD domain (Scoring.IMD_DOMAINS key; 'imd' = overall). */
+  function setDepDomain(domain) {
+    if (!(domain in Scoring.IMD_DOMAINS) || domain === _depDomain) return;
+    _depDomain = domain;
+    if (_visible && _layer) _refreshDep();
+    else _events.emit('change', { reason: 'deprivation' });
+  }
+
+  /**
+   * Every LSOA's score and components as a GeoJSON FeatureCollection, for
+   * export. Works whether or not the layer is shown: noise is sampled
+   * at each centroid first (cached, so instant once the layer has been
+   * built). Each feature carries the station that fed its air component, the
+   * nearest amenity of each type, the effective weights and the timestamp,
+   * so CSV rows stand alone; the raw
+   * settings are in `metadata`.
+   */
+  async function exportFeatures() {
+    await Promise.all([AirQualityLayer.ready, DeprivationLayer.ready, AmenitiesLayer.ready]);
+    const lsoas = DeprivationLayer._data;
+    const sampled = lsoas.filter(l => l.centroid);
+    const samples = await NoiseLayer.sampleMany(sampled.map(l => ({ lat: l.centroid[0], lng: l.centroid[1] })));
+    const sampleFor = new Map(sampled.map((l, i) => [l, samples[i]]));
+
+    const w = _effectiveWeights();
+    const meta = {
+      generated:     new Date().toISOString(),
+      region:        Region.current.id,
+      imd_edition:   DeprivationLayer.edition,
+      weights:       describeWeights(),
+      aq_pollutant:  _airPollutant(),
+      aq_source:     ErgApi.source,
+      aq_snapshot:   AirQualityLayer.snapshot,
+      noise_metric:  NoiseLayer.layerName(),
+    };
+
+    const features = lsoas.map(lsoa => ({
+      type:     'Feature',
+      geometry: lsoa.geometry || null,
+      properties: {
+        // Nearest amenities even when unweighted, for the distance columns
+        ...Scoring.exportProperties(lsoa, _entryFor(lsoa, sampleFor.get(lsoa), true), w),
+        ...meta,
+      },
+    }));
+
+    return {
+      type: 'FeatureCollection',
+      metadata: {
+        ...meta,
+        effective_weights: w,
+        weights_raw:       { ..._weights },
+        enabled:           { ..._enabled },
+        interpolation:     AirQualityLayer.interpolation,
+      },
+      features,
+    };
+  }
+
+  /** Human-readable summary of the weights in use, e.g. "40% deprivation · 60% air quality". */
+  function describeWeights() {
+    return Scoring.describeWeights(_effectiveWeights());
+  }
+
+  return {
+    init,
+    show,
+    hide,
+    retry,
+    setWeights,
+    setAirPollutant,
+    setDepDomain,
+    describeWeights,
+    scoreFor,
+    score,
+    exportFeatures,
+    on: _events.on,
+    get COMPONENTS() { return COMPONENTS; },
+    get weights() { return { ..._weights }; },
+    get enabled() { return { ..._enabled }; },
+    get depDomain() { return _depDomain; },
+  };
 })();
+
+LayerRegistry.register({
+  id:          'combined',
+  label:       'Combined Score',
+  color:       '#2980b9',
+  layer:       CombinedScoreLayer,
+  legend:      ['combined'],
+  defaultOn:   false,
+  exclusive:   true,
+  description: 'Shows a per-LSOA composite (<span data-weights-summary>' +
+               CombinedScoreLayer.describeWeights() +
+               '</span>). Hides individual layers while active.',
+  options: [{
+    name: 'domain', type: 'select', label: 'Deprivation', default: 'imd',
+    choices: () => DeprivationLayer.domainChoices(),
+    refreshOn: DeprivationLayer,
+    apply: domain => CombinedScoreLayer.setDepDomain(domain),
+  }, {
+    name: 'pollutant', type: 'checkbox', label: 'Air uses selected pollutant', default: false,
+    apply: on => CombinedScoreLayer.setAirPollutant(on),
+  }],
+
+  // One slider + on/off checkbox per component (proximity ones start off); recolours live
+  controls(container) {
+    const { weights, enabled } = CombinedScoreLayer;
+    const wrap = document.createElement('div');
+    wrap.className = 'combined-weights';
+
+    for (const [key, label] of Object.entries(CombinedScoreLayer.COMPONENTS)) {
+      const row = document.createElement('div');
+      row.className = 'weight-row';
+      row.innerHTML = `
+        <label class="sub-option"><input type="checkbox" ${enabled[key] ? 'checked' : ''} /> ${label}${key === 'noise' ? '*' : ''}</label>
+        <input type="range" min="0" max="100" step="5" value="${weights[key]}" ${enabled[key] ? '' : 'disabled'} />
+        <output>${weights[key]}</output>
+      `;
+      const enable = row.querySelector('input[type="checkbox"]');
+      const slider = row.querySelector('input[type="range"]');
+      const output = row.querySelector('output');
+
+      // A proximity component can only be switched on while the amenity
+      // extract has that type; one left on by a failed reload can still be switched off
+      const sync = () => {
+        const missing = key in Scoring.AMENITY_TYPES && !AmenitiesLayer.has(key);
+        enable.disabled = missing && !enable.checked;
+        slider.disabled = !enable.checked;
+        row.classList.toggle('unavailable', missing);
+        row.title = missing ? `No amenity data for ${label} — build the extract with scripts/build-amenities.py.` : '';
+      };
+      const apply = () => {
+        sync();
+        output.textContent = slider.value;
+        CombinedScoreLayer.setWeights({ [key]: parseFloat(slider.value) }, { [key]: enable.checked });
+      };
+      enable.addEventListener('change', apply);
+      slider.addEventListener('input', apply);
+      if (key in Scoring.AMENITY_TYPES) AmenitiesLayer.on('change', sync);
+      sync();
+      wrap.appendChild(row);
+    }
+    container.appendChild(wrap);
+  },
+});
@@ -1,9 +1,24 @@
 /**
- * Deprivation layer — IMD 2019 choropleth from pre-bundled GeoJSON.
- * Exports DeprivationLayer._data for use by combined-score.js.
+ * Deprivation layer — IMD choropleth from pre-bundled GeoJSON (the current
+ * region's data.imd files, one per edition; see utils/region.js). Exports
+ * DeprivationLayer._data for use by combined-score.js (entries built by
+ * Scoring.lsoasFromGeojson), always from the selected edition.
+ *
+ * setEdition() switches between IMD editions (Scoring.IMD_EDITIONS: 2015,
+ * 2019, 2025, …). setCompare() adds a change mode: each LSOA is coloured by
+ * how many deciles it moved from the comparison edition to the selected one
+ * (Scoring.decileChanges). Editions on different census geographies (2011
+ * vs 2021 LSOAs) are matched through the region's boundary lookup
+ * (data.lsoaLookup, scripts/build-lsoa-lookup.py).
+ *
+ * setDomain() colours by one IoD domain (Scoring.IMD_DOMAINS: crime,
+ * living environment, …) instead of the overall index, in either mode;
+ * popups list every domain with the selected one highlighted.
  */
 const DeprivationLayer = (() => {
-  const GEOJSON_URL = 'data/west-london-imd.geojson';
+  const ATTRIBUTION =
+    'English Indices of Deprivation © <a href="https://www.gov.uk/government/collections/english-indices-of-deprivation" target="_blank">MHCLG</a>, OGL v3 · ' +
+    'LSOA boundaries and lookups © <a href="https://geoportal.statistics.gov.uk/" target="_blank">ONS</a>, OGL v3';
 
   // ColorBrewer RdYlGn-10: decile 1 (worst/most deprived) → dark red, 10 → dark green
   const DECILE_COLORS = [
@@ -19,18 +34,53 @@ const DeprivationLayer = (() => {
     '#006837', // 10 — least deprived
   ];
 
+  // Change mode: deciles moved (ColorBrewer RdYlGn-7); positive = less deprived
+  const CHANGE_BINS = [
+    { max: -2.5,     color: '#d73027', label: '3+ deciles more deprived' },
+    { max: -1.5,     color: '#fc8d59', label: '2 deciles more deprived' },
+    { max: -0.5,     color: '#fee08b', label: '1 decile more deprived' },
+    { max: 0.5,      color: '#ffffbf', label: 'No change' },
+    { max: 1.5,      color: '#d9ef8b', label: '1 decile less deprived' },
+    { max: 2.5,      color: '#91cf60', label: '2 deciles less deprived' },
+    { max: Infinity, color: '#1a9850', label: '3+ deciles less deprived' },
+  ];
+  const NO_DATA_COLOR = '#ccc';
+
   let _map = null;
   let _layer = null;   // L.GeoJSON
   let _visible = false;
-  let _data = [];      // array of { lsoa_code, imd_decile, imd_score, centroid: [lat,lng] }
+  let _total = 0;      // features in the GeoJSON, with or without a decile
+  let _data = [];      // array of { lsoa_code, imd_decile, imd_score, crime_decile, …, centroid: [lat,lng] }
+  let _domain = 'imd'; // Scoring.IMD_DOMAINS key the choropleth shows
+  let _edition = Scoring.DEFAULT_EDITION;   // edition of _data
+  let _requested = _edition;   // last edition asked for (≠ _edition while loading or after a failed load)
+  let _compare = '';   // comparison edition for change mode; '' = off
+  let _base = null;    // { edition, lsoas, lsoaYear, lookup } of the comparison edition
+  let _baseError = null;
+  let _changes = null; // Map(lsoa_code → { from, to, delta, approx }) in change mode
+  let _loadId = 0;     // drops loads superseded by a newer edition choice
+  let _compareId = 0;
+  const _files = {};   // url → Promise<json>, so switching back is instant
+
+  // 'change' fires after each successful (re)load, including an edition
+  // switch; `ready` resolves once the first load attempt has settled,
+  // failed or not.
+  const _events = Emitter.create();
+  let _settle;
+  const _ready = new Promise(resolve => { _settle = resolve; });
 
   // ---- helpers -------------------------------------------------------
 
   function _decileColor(decile) {
-    if (decile == null || decile < 1 || decile > 10) return '#ccc';
+    if (decile == null || decile < 1 || decile > 10) return NO_DATA_COLOR;
     return DECILE_COLORS[decile - 1];
   }
 
+  function _changeColor(change) {
+    if (!change || change.delta == null) return NO_DATA_COLOR;
+    return CHANGE_BINS.find(b => change.delta <= b.max).color;
+  }
+
   function _escape(str) {
     return String(str || '')
       .replace(/&/g, '&amp;')
@@ -38,112 +88,320 @@ const DeprivationLayer = (() => {
       .replace(/>/g, '&gt;');
   }
 
+  function _editionLabel(edition) {
+    const meta = Scoring.IMD_EDITIONS[edition];
+    return meta ? meta.label : `IMD ${edition}`;
+  }
+
+  function _signed(v) {
+    return v > 0 ? `+${v}` : String(v);
+  }
+
+  function _domainRow(props, key) {
+    const decile = Scoring.domainDecile(props, key);
+    const label  = key === 'imd' ? 'IMD decile' : Scoring.IMD_DOMAINS[key];
+    const band   = decile != null
+      ? `<span class="popup-aqi-band" style="background:${_decileColor(decile)}">${decile} / 10</span>`
+      : '—';
+    return `<tr${key === _domain ? ' class="dep-domain-selected"' : ''}><td>${_escape(label)}</td><td>${band}</td></tr>`;
+  }
+
+  function _changeRow(code) {
+    const change = _changes && _changes.get(code);
+    if (!change) return '';
+    const domain = _domain === 'imd' ? '' : ` (${Scoring.IMD_DOMAINS[_domain].toLowerCase()})`;
+    const value  = change.delta != null
+      ? `<span class="popup-aqi-band dep-change-band" style="background:${_changeColor(change)}">${_signed(change.delta)}</span>
+         <span style="color:#999;font-size:10px">${change.from} → ${change.to}${change.approx ? ', boundaries changed' : ''}</span>`
+      : '<span style="color:#999">no match</span>';
+    return `<tr><td>Since ${_escape(_editionLabel(_compare))}${_escape(domain)}</td><td>${value}</td></tr>`;
+  }
+
   function _buildPopup(props) {
-    const decile = props.imd_decile;
-    const color  = _decileColor(decile);
+    const domains = Object.keys(Scoring.IMD_DOMAINS).filter(key => key !== 'imd');
+    const hasDomains = domains.some(key => Scoring.domainDecile(props, key) != null);
     return `
       <div class="popup-title">${_escape(props.lsoa_name)}</div>
       <table class="popup-table">
         <tr><td>Borough</td><td>${_escape(props.borough)}</td></tr>
         <tr><td>LSOA code</td><td>${_escape(props.lsoa_code)}</td></tr>
-        <tr><td>IMD decile</td><td>
-          <span class="popup-aqi-band" style="background:${color}">${decile != null ? decile : '—'} / 10</span>
-        </td></tr>
+        <tr><td>Edition</td><td>${_escape(_editionLabel(_edition))}</td></tr>
+        ${_domainRow(props, 'imd')}
         <tr><td>IMD score</td><td>${props.imd_score != null ? props.imd_score : '—'}</td></tr>
+        ${_changeRow(props.lsoa_code)}
+        ${hasDomains
+          ? `<tr><td colspan="2" style="padding-top:5px;font-weight:600;color:#666;font-size:11px">DOMAIN DECILES</td></tr>
+             ${domains.map(key => _domainRow(props, key)).join('')}`
+          : (_domain !== 'imd' ? '<tr><td colspan="2" style="color:#999">No domain data in this file.</td></tr>' : '')}
       </table>
       <p style="font-size:10px;color:#999;margin-top:5px">Decile 1 = most deprived, 10 = least deprived</p>
     `;
   }
 
-  /**
-   * Compute polygon centroid by averaging all ring coordinates.
-   * Sufficient precision for LSOA-scale polygons.
-   */
-  function _centroid(geometry) {
-    const coords = geometry.coordinates;
-    let sumLat = 0, sumLng = 0, count = 0;
-
-    function processRing(ring) {
-      for (const [lng, lat] of ring) {
-        sumLng += lng;
-        sumLat += lat;
-        count++;
-      }
+  function _style(feature) {
+    const props = feature.properties;
+    return {
+      fillColor: _changes
+        ? _changeColor(_changes.get(props.lsoa_code))
+        : _decileColor(Scoring.domainDecile(props, _domain)),
+      fillOpacity: 0.6,
+      color: '#666',
+      weight: 0.5,
+    };
+  }
+
+  // ---- data ----------------------------------------------------------
+
+  function _fetchJson(url) {
+    if (!_files[url]) {
+      _files[url] = fetch(url).then(resp => {
+        if (!resp.ok) throw new Error(`${url}: HTTP ${resp.status}`);
+        return resp.json();
+      });
+      _files[url].catch(() => { delete _files[url]; });   // retry may succeed
     }
+    return _files[url];
+  }
 
-    if (geometry.type === 'Polygon') {
-      processRing(coords[0]);
-    } else if (geometry.type === 'MultiPolygon') {
-      for (const poly of coords) processRing(poly[0]);
+  function _editionUrl(edition) {
+    const url = (Region.current.data.imd || {})[edition];
+    if (!url) throw new Error(`No ${_editionLabel(edition)} file configured for ${Region.current.name}.`);
+    return url;
+  }
+
+  /** The comparison edition's LSOAs, plus the boundary lookup when its geography differs. */
+  async function _loadBase(edition) {
+    const geojson = await _fetchJson(_editionUrl(edition));
+    const lsoaYear = Scoring.IMD_EDITIONS[edition].lsoaYear;
+    let lookup = null;
+    if (lsoaYear !== Scoring.IMD_EDITIONS[_edition].lsoaYear) {
+      const url = Region.current.data.lsoaLookup;
+      if (!Region.hasFile(url)) {
+        throw new Error(`No ${lsoaYear} → ${Scoring.IMD_EDITIONS[_edition].lsoaYear} LSOA boundary lookup for ${Region.current.name} — build it with scripts/build-lsoa-lookup.py.`);
+      }
+      lookup = await _fetchJson(url);
     }
+    return { edition, lsoas: Scoring.lsoasFromGeojson(geojson), lsoaYear, lookup };
+  }
 
-    if (count === 0) return null;
-    return [sumLat / count, sumLng / count];
+  function _computeChanges() {
+    _changes = _base ? Scoring.decileChanges(_base.lsoas, _data, {
+      domain:   _domain,
+      fromYear: _base.lsoaYear,
+      toYear:   Scoring.IMD_EDITIONS[_edition].lsoaYear,
+      lookup:   _base.lookup,
+    }) : null;
+  }
+
+  /** Load the comparison edition (if any) and recolour. */
+  async function _refreshCompare() {
+    const compareId = ++_compareId;
+    _base = null;
+    _baseError = null;
+    if (_compare && _compare !== _edition && _data.length) {
+      LayerStatus.set('deprivation', 'loading', `Loading ${_editionLabel(_compare)} for comparison…`);
+      try {
+        const base = await _loadBase(_compare);
+        if (compareId !== _compareId) return;
+        _base = base;
+        _computeChanges();
+      } catch (err) {
+        if (compareId !== _compareId) return;
+        console.error('Deprivation comparison failed:', err);
+        _baseError = err.message;
+      }
+    }
+    if (!_base) _changes = null;
+    if (_layer) _layer.setStyle(_style);
+    if (_visible) _renderLegend();
+    if (_data.length) _reportStatus();
   }
 
   // ---- public API ----------------------------------------------------
 
+  /** The LSOA entry from _data containing the point, or null. */
+  function lsoaAt(lat, lng) {
+    return _data.find(d => Geo.pointInPolygon(lat, lng, d.geometry)) || null;
+  }
+
+  /**
+   * Whether the loaded GeoJSON has deciles for an IoD domain. The overall
+   * index always counts; before any data has loaded every domain does.
+   */
+  function hasDomain(domain) {
+    if (domain === 'imd' || !_data.length) return domain in Scoring.IMD_DOMAINS;
+    return _data.some(d => Scoring.domainDecile(d, domain) != null);
+  }
+
+  /** Domain choices for a select, with the ones missing from the data disabled. */
+  function domainChoices() {
+    return Object.entries(Scoring.IMD_DOMAINS).map(([value, label]) => (
+      hasDomain(value) ? { value, label } : { value, label: `${label} (not in data)`, disabled: true }));
+  }
+
+  /** Change-mode record for an LSOA of the selected edition ({ from, to, delta, approx }), or null. */
+  function changeFor(code) {
+    return (_changes && _changes.get(code)) || null;
+  }
+
   async function init(map) {
     _map = map;
+    _visible = true;   // may be switched off before the data arrives
     _renderLegend();
+    await _load();
+  }
 
+  /**
+   * Fetch an edition and (re)build the choropleth, reporting to LayerStatus.
+   * If it fails, the edition already shown (if any) stays, _data with it.
+   */
+  async function _load(edition = _requested) {
+    const loadId = ++_loadId;
+    LayerStatus.set('deprivation', 'loading');
     try {
-      const resp = await fetch(GEOJSON_URL);
-      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-      const geojson = await resp.json();
+      const geojson = await _fetchJson(_editionUrl(edition));
+      if (loadId !== _loadId) return;   // another edition was picked meanwhile
 
+      _edition = edition;
+      if (_layer) _map.removeLayer(_layer);
       _layer = L.geoJSON(geojson, {
-        style: feature => ({
-          fillColor: _decileColor(feature.properties.imd_decile),
-          fillOpacity: 0.6,
-          color: '#666',
-          weight: 0.5,
-        }),
+        style: _style,
         onEachFeature: (feature, lyr) => {
-          lyr.bindPopup(_buildPopup(feature.properties));
+          lyr.bindPopup(() => _buildPopup(feature.properties));
           lyr.on('mouseover', () => lyr.setStyle({ weight: 2, fillOpacity: 0.8 }));
           lyr.on('mouseout',  () => _layer.resetStyle(lyr));
         },
       });
 
       // Build _data array for combined score
-      _data = geojson.features
-        .filter(f => f.properties.imd_decile != null)
-        .map(f => ({
-          lsoa_code:  f.properties.lsoa_code,
-          lsoa_name:  f.properties.lsoa_name,
-          borough:    f.properties.borough,
-          imd_decile: f.properties.imd_decile,
-          imd_score:  f.properties.imd_score,
-          centroid:   _centroid(f.geometry),
-          geometry:   f.geometry,
-        }));
-
-      _layer.addTo(_map);
-      _visible = true;
+      _data = Scoring.lsoasFromGeojson(geojson);
+      _changes = null;
+
+      if (_visible) {
+        _layer.addTo(_map);
+        _renderLegend();
+      }
+
+      _total = (geojson.features || []).length;
+      _reportStatus();
+      _events.emit('change', { reason: 'data' });
+      if (_compare) await _refreshCompare();
     } catch (err) {
+      if (loadId !== _loadId) return;
       console.error('Deprivation layer failed:', err);
+      if (_data.length) LayerStatus.set('deprivation', 'partial', `${err.message} — still showing ${_editionLabel(_edition)}.`);
+      else              LayerStatus.set('deprivation', 'failed', err.message);
+    }
+    _settle();
+  }
+
+  function _reportStatus() {
+    if (!_data.length) {
+      LayerStatus.set('deprivation', 'failed', 'No LSOAs with IMD data in the GeoJSON.');
+      return;
+    }
+    const warnings = [];
+    const domain  = Scoring.IMD_DOMAINS[_domain];
+    const missing = _domain !== 'imd' ? _data.filter(d => Scoring.domainDecile(d, _domain) == null).length : 0;
+    if (missing === _data.length) warnings.push(`No ${domain} deciles in the GeoJSON — rebuild it with scripts/build-geojson.py.`);
+    else if (missing)             warnings.push(`${missing} of ${_data.length} LSOAs have no ${domain} decile.`);
+    if (_data.length < _total)    warnings.push(`${_total - _data.length} of ${_total} LSOAs have no IMD decile.`);
+
+    if (_compare && _compare === _edition) {
+      warnings.push(`Change since ${_editionLabel(_compare)} is off while that edition is shown — pick an earlier one.`);
+    } else if (_baseError) {
+      warnings.push(`No comparison with ${_editionLabel(_compare)}: ${_baseError}`);
+    } else if (_changes) {
+      const unmatched = [..._changes.values()].filter(c => c.delta == null).length;
+      if (unmatched) warnings.push(`${unmatched} of ${_data.length} LSOAs could not be compared with ${_editionLabel(_compare)}.`);
     }
+
+    if (warnings.length) LayerStatus.set('deprivation', 'partial', warnings.join(' '));
+    else                 LayerStatus.set('deprivation', 'ready', `${_data.length} LSOAs, ${_editionLabel(_edition)}`);
+  }
+
+  /** Colour by an IoD domain (Scoring.IMD_DOMAINS key; 'imd' = overall index). */
+  function setDomain(domain) {
+    if (!(domain in Scoring.IMD_DOMAINS) || domain === _domain) return;
+    _domain = domain;
+    if (_base) _computeChanges();
+    if (_layer) {
+      _layer.setStyle(_style);
+      _reportStatus();
+    }
+    if (_visible) _renderLegend();
+  }
+
+  /** Show another IMD edition (one of editions()); _data follows it once loaded. */
+  function setEdition(edition) {
+    if (!editions().includes(edition) || edition === _requested) return;
+    _requested = edition;
+    if (_map) return _load();
+    _edition = edition;
+  }
+
+  /**
+   * Colour by decile change since another edition; '' returns to plain
+   * deciles, as does the edition already shown (nothing to compare).
+   */
+  function setCompare(edition) {
+    edition = editions().includes(edition) && edition !== _edition ? edition : '';
+    if (edition === _compare) return;
+    _compare = edition;
+    if (_map) return _refreshCompare();
+  }
+
+  /** Editions the current region has deployed files for, oldest first. */
+  function editions() {
+    const files = Region.current ? Region.current.data.imd || {} : {};
+    return Object.keys(files)
+      .filter(e => e in Scoring.IMD_EDITIONS && Region.hasFile(files[e]))
+      .sort();
+  }
+
+  /** Reload the GeoJSON (the edition last asked for). */
+  function retry() {
+    if (_map) return _load();
   }
 
   function show() {
-    if (!_map || _visible || !_layer) return;
-    _layer.addTo(_map);
+    if (!_map || _visible) return;
+    if (_layer) _layer.addTo(_map);
     _visible = true;
     _renderLegend();
   }
 
   function hide() {
-    if (!_map || !_visible || !_layer) return;
-    _map.removeLayer(_layer);
+    if (!_map || !_visible) return;
+    if (_layer) _map.removeLayer(_layer);
     _visible = false;
     Legend.remove('deprivation');
   }
 
   function _renderLegend() {
+    const domain = Scoring.IMD_DOMAINS[_domain];
+    if (_changes) {
+      const crossesGeography = _base.lsoaYear !== Scoring.IMD_EDITIONS[_edition].lsoaYear;
+      Legend.render('deprivation', {
+        title: `Deprivation change (${_editionLabel(_compare)} → ${_editionLabel(_edition)})`,
+        subtitle: _domain === 'imd' ? 'Overall IMD deciles moved, by LSOA' : `${domain} domain deciles moved, by LSOA`,
+        items: [
+          ...CHANGE_BINS.slice().reverse().map(({ color, label }) => ({ color, label })),
+          { color: NO_DATA_COLOR, label: 'No match' },
+        ],
+        note: 'Deciles rank LSOAs across England, so a move is relative to other areas.' +
+              (crossesGeography
+                ? ` ${_base.lsoaYear} and ${Scoring.IMD_EDITIONS[_edition].lsoaYear} LSOAs matched via the ONS lookup; split or merged areas are approximate.`
+                : ''),
+      });
+      return;
+    }
+    const edition = _editionLabel(_edition);
     Legend.render('deprivation', {
-      title: 'Deprivation (IMD 2019)',
-      subtitle: 'Index of Multiple Deprivation by LSOA',
+      title: _domain === 'imd' ? `Deprivation (${edition})` : `Deprivation — ${domain} (${edition})`,
+      subtitle: _domain === 'imd'
+        ? 'Index of Multiple Deprivation by LSOA'
+        : `${domain} domain decile by LSOA`,
       items: DECILE_COLORS.map((color, i) => ({
         color,
         label: i === 0 ? 'Decile 1 — most deprived'
@@ -157,6 +415,47 @@ const DeprivationLayer = (() => {
     init,
     show,
     hide,
+    retry,
+    lsoaAt,
+    changeFor,
+    hasDomain,
+    domainChoices,
+    setDomain,
+    setEdition,
+    setCompare,
+    editions,
+    editionLabel: _editionLabel,
+    ATTRIBUTION,
+    on: _events.on,
+    get domain() { return _domain; },
+    get edition() { return _edition; },
+    get compare() { return _compare; },
+    get ready() { return _ready; },
     get _data() { return _data; },
   };
 })();
+
+LayerRegistry.register({
+  id:     'deprivation',
+  label:  'Deprivation (IMD)',
+  color:  '#e74c3c',
+  layer:  DeprivationLayer,
+  legend: ['deprivation'],
+  attribution: DeprivationLayer.ATTRIBUTION,
+  options: [{
+    name: 'edition', type: 'select', label: 'Edition', default: Scoring.DEFAULT_EDITION,
+    choices: () => DeprivationLayer.editions().map(value => ({ value, label: DeprivationLayer.editionLabel(value) })),
+    apply: edition => DeprivationLayer.setEdition(edition),
+  }, {
+    name: 'compare', type: 'select', label: 'Change since', default: '',
+    // Nothing to compare with when the region has a single edition
+    choices: () => [{ value: '', label: '— (off)' }, ...(DeprivationLayer.editions().length > 1 ? DeprivationLayer.editions() : [])
+      .map(value => ({ value, label: DeprivationLayer.editionLabel(value) }))],
+    apply: edition => DeprivationLayer.setCompare(edition),
+  }, {
+    name: 'domain', type: 'select', label: 'Domain', default: 'imd',
+    choices: () => DeprivationLayer.domainChoices(),
+    refreshOn: DeprivationLayer,
+    apply: domain => DeprivationLayer.setDomain(domain),
+  }],
+});
@@ -18,6 +18,11 @@
  *    Low:       #c3e0ff  Very low: #b0b3b4
  *
  * ⚠ Both services have MaxScaleDenominator=50000: tiles are blank below zoom ~12.
+ *
+ * queryAt() asks both services for the features under a point (WMS
+ * GetFeatureInfo, JSON) and reduces them to a flood zone and a surface-water
+ * band. Unlike the tiles it works at any zoom. Answers are cached per rounded
+ * location; queryMany() runs a batch with limited concurrency.
  */
 const FloodRiskLayer = (() => {
   const RS_WMS_URL = 'https://environment.data.gov.uk/geoservices/datasets/' +
@@ -28,12 +33,15 @@ const FloodRiskLayer = (() => {
   const RS_LAYER = 'Flood_Zones_2_3_Rivers_and_Sea';
   const SW_LAYER = 'rofsw';
 
+  const ATTRIBUTION =
+    '© <a href="https://www.gov.uk/government/organisations/environment-agency" target="_blank">Environment Agency</a> flood risk data, OGL v3';
+
   const WMS_OPTS = {
     format:      'image/png',
     transparent: true,
     opacity:     0.65,
     version:     '1.3.0',
-    attribution: '© <a href="https://www.gov.uk/government/organisations/environment-agency" target="_blank">Environment Agency</a> flood risk data, OGL v3',
+    attribution: ATTRIBUTION,
   };
 
   // Legend definitions (colors extracted from WMS GetLegendGraphic)
@@ -65,14 +73,24 @@ const FloodRiskLayer = (() => {
   let _visible    = false;
   let _mode       = 'rs';  // 'rs' | 'sw' | 'both'
 
+  // GetFeatureInfo query window (degrees either side of the point) and
+  // parallel request limit for queryMany()
+  const QUERY_HALF_SIZE   = 0.0005;
+  const QUERY_CONCURRENCY = 4;
+
+  const _queryCache = new Map();   // `${lat},${lng}` → Promise<{ zone, surfaceWater }>
+
+  // Surface-water bands as named in the rofsw attributes, lowest → highest
+  const SW_BANDS = ['Very Low', 'Low', 'Medium', 'High'];
+
   // ---- helpers -------------------------------------------------------
 
   function _makeRS() {
-    return L.tileLayer.wms(RS_WMS_URL, { ...WMS_OPTS, layers: RS_LAYER });
+    return LayerStatus.trackTiles('flood', L.tileLayer.wms(RS_WMS_URL, { ...WMS_OPTS, layers: RS_LAYER }));
   }
 
   function _makeSW() {
-    return L.tileLayer.wms(SW_WMS_URL, { ...WMS_OPTS, layers: SW_LAYER });
+    return LayerStatus.trackTiles('flood', L.tileLayer.wms(SW_WMS_URL, { ...WMS_OPTS, layers: SW_LAYER }));
   }
 
   function _applyMode() {
@@ -94,6 +112,114 @@ const FloodRiskLayer = (() => {
     }
   }
 
+  // ---- point query ---------------------------------------------------
+
+  function _featureInfoUrl(baseUrl, layerName, lat, lng) {
+    const d = QUERY_HALF_SIZE;
+    const params = new URLSearchParams({
+      SERVICE:       'WMS',
+      VERSION:       '1.3.0',
+      REQUEST:       'GetFeatureInfo',
+      LAYERS:        layerName,
+      QUERY_LAYERS:  layerName,
+      STYLES:        '',
+      CRS:           'EPSG:4326',
+      BBOX:          [lat - d, lng - d, lat + d, lng + d].join(','),  // 1.3.0: lat/lng axis order
+      WIDTH:         '101',
+      HEIGHT:        '101',
+      I:             '50',
+      J:             '50',
+      INFO_FORMAT:   'application/json',
+      FEATURE_COUNT: '5',
+    });
+    return `${baseUrl}?${params}`;
+  }
+
+  async function _featuresAt(baseUrl, layerName, lat, lng) {
+    const resp = await fetch(_featureInfoUrl(baseUrl, layerName, lat, lng));
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const json = await resp.json();
+    return json.features || [];
+  }
+
+  function _stringValues(features) {
+    return features.flatMap(f => Object.values(f.properties || {}))
+      .filter(v => typeof v === 'string');
+  }
+
+  /** 'Flood Zone 3' | 'Flood Zone 2' | null from Flood Map for Planning features. */
+  function _zoneFrom(features) {
+    if (!features.length) return null;
+    let zone = null;
+    for (const v of _stringValues(features)) {
+      const m = v.match(/(?:zone|fz)\s*_?([23])/i);
+      if (m && (!zone || m[1] > zone)) zone = m[1];
+    }
+    return zone ? `Flood Zone ${zone}` : 'Flood Zone 2/3';
+  }
+
+  /** Highest surface-water risk band among RoFSW features, or null. */
+  function _swBandFrom(features) {
+    let best = -1;
+    for (const v of _stringValues(features)) {
+      const idx = SW_BANDS.findIndex(b => b.toLowerCase() === v.trim().toLowerCase());
+      if (idx > best) best = idx;
+    }
+    return best >= 0 ? SW_BANDS[best] : null;
+  }
+
+  /**
+   * Flood risk at a point, regardless of the current display mode.
+   * Resolves to { zone, surfaceWater } — each null when the point is outside
+   * every mapped area, or undefined when that service could not be queried.
+   * Answers where either service failed are not cached.
+   */
+  function queryAt(lat, lng) {
+    const key = `${lat.toFixed(5)},${lng.toFixed(5)}`;
+    if (_queryCache.has(key)) return _queryCache.get(key);
+
+    const promise = _query(lat, lng).then(result => {
+      if (result.zone === undefined || result.surfaceWater === undefined) _queryCache.delete(key);
+      return result;
+    });
+    _queryCache.set(key, promise);
+    return promise;
+  }
+
+  async function _query(lat, lng) {
+    const [rs, sw] = await Promise.allSettled([
+      _featuresAt(RS_WMS_URL, RS_LAYER, lat, lng),
+      _featuresAt(SW_WMS_URL, SW_LAYER, lat, lng),
+    ]);
+    return {
+      zone:         rs.status === 'fulfilled' ? _zoneFrom(rs.value) : undefined,
+      surfaceWater: sw.status === 'fulfilled' ? _swBandFrom(sw.value) : undefined,
+    };
+  }
+
+  /**
+   * Query many points with limited concurrency.
+   * points: [{ lat, lng }]; onResult(index, result) is called as each resolves.
+   * Resolves to the array of results in input order.
+   */
+  async function queryMany(points, onResult) {
+    const results = new Array(points.length).fill(null);
+    let next = 0;
+
+    async function worker() {
+      while (next < points.length) {
+        const i = next++;
+        results[i] = await queryAt(points[i].lat, points[i].lng);
+        if (onResult) onResult(i, results[i]);
+      }
+    }
+
+    const workers = [];
+    for (let w = 0; w < Math.min(QUERY_CONCURRENCY, points.length); w++) workers.push(worker());
+    await Promise.all(workers);
+    return results;
+  }
+
   // ---- public API ----------------------------------------------------
 
   function init(map) {
@@ -117,6 +243,14 @@ const FloodRiskLayer = (() => {
     _visible = false;
     Legend.remove('flood-rs');
     Legend.remove('flood-sw');
+    LayerStatus.clear('flood');
+  }
+
+  /** Re-request every visible tile. */
+  function retry() {
+    if (!_visible) return;
+    if (_rsLayer && _map.hasLayer(_rsLayer)) _rsLayer.redraw();
+    if (_swLayer && _map.hasLayer(_swLayer)) _swLayer.redraw();
   }
 
   function setMode(mode) {
@@ -125,5 +259,23 @@ const FloodRiskLayer = (() => {
     if (_visible) _applyMode();
   }
 
-  return { init, show, hide, setMode };
+  return { init, show, hide, setMode, retry, queryAt, queryMany, SW_BANDS, ATTRIBUTION };
 })();
+
+LayerRegistry.register({
+  id:     'flood',
+  label:  'Flood Risk (EA)',
+  color:  '#394386',
+  layer:  FloodRiskLayer,
+  legend: ['flood-rs', 'flood-sw'],
+  attribution: FloodRiskLayer.ATTRIBUTION,
+  options: [{
+    name: 'mode', type: 'radio', label: 'Show:', default: 'rs',
+    choices: [
+      { value: 'rs',   label: 'Rivers & sea' },
+      { value: 'sw',   label: 'Surface water' },
+      { value: 'both', label: 'Both' },
+    ],
+    apply: v => FloodRiskLayer.setMode(v),
+  }],
+});
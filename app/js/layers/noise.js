@@ -1,59 +1,331 @@
 /**
- * Noise layer — Defra END Round 3 WMS tiles.
- * No CORS issue: Leaflet WMS uses <img> tags.
+ * Noise layer — Defra END Round 3 strategic noise maps, served via the
+ * Extrium GeoServer WMS.
+ *
+ * Source: http://wms.extrium.co.uk/geoserver/NoiseE/wms  (HTTP only — no HTTPS)
+ * A page served over https may not load from it (mixed content): the layer
+ * then adds no tiles, skips the lookups and says why in its status.
+ * One WMS layer per source × metric, named <source>_<metric>_R3:
+ *   sources  RD  road · RL  rail · IND  industry · AIR  airport (Heathrow)
+ *   metrics  LDEN  Lden (day-evening-night weighted, default)
+ *            LQ16  LAeq,16h (daytime equivalent)
+ *            LNGT  Lnight
+ * e.g. NoiseE:RD_LDEN_R3 (road Lden), NoiseE:RL_LNGT_R3 (rail Lnight).
+ *
+ * Each layer has its own SLD, so the legend is that layer's GetLegendGraphic
+ * rather than a colour table kept here. The contour classes per metric
+ * (55–60 … ≥75 dB, Lnight 50–55 … ≥70 dB) are Scoring.NOISE_BANDS /
+ * NIGHT_NOISE_BANDS.
+ *
+ * Point sampling: sampleAt()/sampleMany() query the same layers with WMS
+ * GetFeatureInfo, read the contour's NoiseClass attribute and map it onto
+ * the bands (Scoring.noiseSample), so other layers (combined score) can use
+ * a per-location noise value. Results are cached per WMS layer + rounded
+ * location.
  */
 const NoiseLayer = (() => {
-  const WMS_URL =
-    'https://environment.data.gov.uk/spatialdata/' +
-    'environmental-noise-directive-end-noise-mapping-agglomerations-england-round-3/wms';
+  const WMS_URL = 'http://wms.extrium.co.uk/geoserver/NoiseE/wms';
+  const NAMESPACE = 'NoiseE';
+  const ATTRIBUTION =
+    'Noise © Defra END Round 3 via <a href="http://extrium.co.uk/noiseviewer.html" target="_blank">Extrium</a>';
 
-  const LAYER_NAME =
-    'Environmental_Noise_Directive_END_Noise_Mapping_Agglomerations_England_Round_3';
+  const SOURCES = {
+    road:     { code: 'RD',  label: 'Road' },
+    rail:     { code: 'RL',  label: 'Rail' },
+    industry: { code: 'IND', label: 'Industry' },
+    airport:  { code: 'AIR', label: 'Airport' },
+  };
 
-  const LEGEND_URL =
-    `${WMS_URL}?SERVICE=WMS&REQUEST=GetLegendGraphic&VERSION=1.3.0` +
-    `&LAYER=${encodeURIComponent(LAYER_NAME)}&FORMAT=image/png`;
+  const METRICS = {
+    lden:   { code: 'LDEN', label: 'Lden (day-evening-night)', bands: Scoring.NOISE_BANDS },
+    lq16:   { code: 'LQ16', label: 'LAeq,16h (daytime)',       bands: Scoring.NOISE_BANDS },
+    lnight: { code: 'LNGT', label: 'Lnight',                   bands: Scoring.NIGHT_NOISE_BANDS },
+  };
 
-  let _map = null;
-  let _layer = null;
+  // GetFeatureInfo: query window (degrees) and parallel request limit
+  const SAMPLE_HALF_SIZE = 0.0005;
+  const SAMPLE_CONCURRENCY = 6;
+
+  // GetFeatureInfo attribute holding a contour's noise class
+  const LEVEL_ATTRIBUTE = 'NoiseClass';
+
+  const BLOCKED = location.protocol === 'https:' && WMS_URL.startsWith('http:');
+  const BLOCKED_DETAIL = 'The noise server is http only, which this https page may not load from — open the map over http for noise.';
+
+  let _map     = null;
+  let _layer   = null;
   let _visible = false;
+  let _source  = 'road';
+  let _metric  = 'lden';
+  const _sampleCache = new Map();   // `${layerName}|${lat},${lng}` → Promise<sample>
+  const _events      = Emitter.create();   // 'change' ({ reason: 'source' | 'metric' }) on a switch
 
-  function init(map) {
-    _map = map;
-    _layer = L.tileLayer.wms(WMS_URL, {
-      layers: LAYER_NAME,
-      format: 'image/png',
+  // WMS layer name → { source, metric }, for every combination
+  const _styles = new Map();
+  for (const source of Object.keys(SOURCES)) {
+    for (const metric of Object.keys(METRICS)) _styles.set(layerName(source, metric), { source, metric });
+  }
+
+  /** WMS layer name of a source and metric, e.g. 'RL_LDEN_R3'. */
+  function layerName(source = _source, metric = _metric) {
+    return `${SOURCES[source].code}_${METRICS[metric].code}_R3`;
+  }
+
+  /** The contour classes of a WMS layer: [{ min, label }], ascending. */
+  function bandsFor(name = layerName()) {
+    const style = _styles.get(name);
+    return style ? METRICS[style.metric].bands : Scoring.NOISE_BANDS;
+  }
+
+  /** GetLegendGraphic of a WMS layer: its SLD's colours and class labels. */
+  function _legendUrl(name = layerName()) {
+    const params = new URLSearchParams({
+      SERVICE: 'WMS',
+      VERSION: '1.1.1',
+      REQUEST: 'GetLegendGraphic',
+      LAYER:   `${NAMESPACE}:${name}`,
+      FORMAT:  'image/png',
+    });
+    return `${WMS_URL}?${params}`;
+  }
+
+  /**
+   * Human label of a WMS layer: 'Rail Lden (day-evening-night)', or
+   * 'Rail Lden' when short. Unknown names are returned as they are.
+   */
+  function describe(name, short = false) {
+    const style = _styles.get(name);
+    if (!style) return name;
+    const metric = METRICS[style.metric].label;
+    return `${SOURCES[style.source].label} ${short ? metric.split(' ')[0] : metric}`;
+  }
+
+  function _makeLayer() {
+    return LayerStatus.trackTiles('noise', L.tileLayer.wms(WMS_URL, {
+      layers:      `${NAMESPACE}:${layerName()}`,
+      format:      'image/png',
       transparent: true,
-      opacity: 0.5,
-      version: '1.3.0',
-      attribution: '© Defra END Round 3',
+      opacity:     0.7,
+      version:     '1.1.1',
+      attribution: ATTRIBUTION,
+    }));
+  }
+
+  function _renderLegend() {
+    Legend.render('noise', {
+      title:    `${SOURCES[_source].label} Noise — ${METRICS[_metric].label}`,
+      subtitle: 'Defra END Round 3 · Average dB',
+      wmsLegendUrl: _legendUrl(),
+      note:     'Tiles and legend: Extrium GeoServer (http). Data: Defra END Round 3.' +
+                (_source === 'airport' ? ' Airport maps cover Heathrow only.' : ''),
     });
+  }
+
+  /** Add the tiles for the current source and metric, unless the page may not load them. */
+  function _addTiles() {
+    if (BLOCKED) {
+      LayerStatus.set('noise', 'failed', BLOCKED_DETAIL);
+      return;
+    }
+    _layer = _makeLayer();
     _layer.addTo(_map);
+  }
+
+  /** Swap in the tiles for the current source and metric. */
+  function _switch(reason) {
+    if (_visible) {
+      if (_layer) _map.removeLayer(_layer);
+      _addTiles();
+      _renderLegend();
+    }
+    _events.emit('change', { reason });
+  }
+
+  // ---- point sampling ------------------------------------------------
+
+  function _featureInfoUrl(name, lat, lng) {
+    const d = SAMPLE_HALF_SIZE;
+    const params = new URLSearchParams({
+      SERVICE:       'WMS',
+      VERSION:       '1.1.1',
+      REQUEST:       'GetFeatureInfo',
+      LAYERS:        `${NAMESPACE}:${name}`,
+      QUERY_LAYERS:  `${NAMESPACE}:${name}`,
+      STYLES:        '',
+      SRS:           'EPSG:4326',
+      BBOX:          [lng - d, lat - d, lng + d, lat + d].join(','),
+      WIDTH:         '101',
+      HEIGHT:        '101',
+      X:             '50',
+      Y:             '50',
+      INFO_FORMAT:   'application/json',
+      FEATURE_COUNT: '1',
+    });
+    return `${WMS_URL}?${params}`;
+  }
+
+  /**
+   * The dB level of a contour feature, from its LEVEL_ATTRIBUTE. The END
+   * contour layers carry the class as a string like "60.0-64.9" or ">=75.0"
+   * (take the lower bound), occasionally as a plain number. null if the
+   * attribute is missing or unreadable.
+   */
+  function _levelFromProps(props) {
+    const value = (props || {})[LEVEL_ATTRIBUTE];
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+    const m = value.match(/\d{2,3}(?:\.\d+)?/);
+    return m ? parseFloat(m[0]) : null;
+  }
+
+  /**
+   * Sample the noise band at a point, from the current source and metric or
+   * the given WMS layer. Resolves to { db, bandIndex, label, metric } — metric
+   * is the WMS layer name; bandIndex -1 / db null means below the lowest
+   * mapped contour — or null if the query failed.
+   */
+  function sampleAt(lat, lng, name = layerName()) {
+    if (BLOCKED) return Promise.resolve(null);
+    const key = `${name}|${lat.toFixed(5)},${lng.toFixed(5)}`;
+    if (_sampleCache.has(key)) return _sampleCache.get(key);
+
+    const promise = fetch(_featureInfoUrl(name, lat, lng))
+      .then(resp => {
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        return resp.json();
+      })
+      .then(json => {
+        const feature = (json.features || [])[0];
+        const db = feature ? _levelFromProps(feature.properties) : null;
+        if (feature && db == null) throw new Error(`contour without a ${LEVEL_ATTRIBUTE} attribute`);
+        return { ...Scoring.noiseSample(db, bandsFor(name)), metric: name };
+      })
+      .catch(() => {
+        _sampleCache.delete(key);   // allow a later retry
+        return null;
+      });
+
+    _sampleCache.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Sample many points with limited concurrency.
+   * points: [{ lat, lng }]; onSample(index, sample) is called as each resolves.
+   * Resolves to the array of samples in input order. Failed samples are
+   * reported once, as a partial / failed noise status, not per point.
+   */
+  async function sampleMany(points, onSample, name = layerName()) {
+    const results = new Array(points.length).fill(null);
+    let next = 0;
+
+    async function worker() {
+      while (next < points.length) {
+        const i = next++;
+        results[i] = await sampleAt(points[i].lat, points[i].lng, name);
+        if (onSample) onSample(i, results[i]);
+      }
+    }
+
+    const workers = [];
+    for (let w = 0; w < Math.min(SAMPLE_CONCURRENCY, points.length); w++) workers.push(worker());
+    await Promise.all(workers);
+
+    const failed = results.filter(sample => sample == null).length;
+    if (BLOCKED) LayerStatus.set('noise', 'failed', BLOCKED_DETAIL);
+    else if (failed) {
+      LayerStatus.set('noise', failed === points.length ? 'failed' : 'partial',
+        `${failed} of ${points.length} ${describe(name, true)} noise lookups failed.`);
+    }
+    return results;
+  }
+
+  /** Normalise a sample to 0 (below the contours) → 1 (top class); null if unknown. */
+  function normalise(sample) {
+    return Scoring.noiseComponent(sample);
+  }
+
+  // ---- public API ----------------------------------------------------
+
+  function init(map) {
+    _map = map;
+    _addTiles();
     _visible = true;
     _renderLegend();
   }
 
   function show() {
     if (!_map || _visible) return;
-    _layer.addTo(_map);
+    _addTiles();
     _visible = true;
     _renderLegend();
   }
 
   function hide() {
     if (!_map || !_visible) return;
-    _map.removeLayer(_layer);
+    if (_layer) _map.removeLayer(_layer);
+    _layer = null;
     _visible = false;
     Legend.remove('noise');
+    LayerStatus.clear('noise');
   }
 
-  function _renderLegend() {
-    Legend.render('noise', {
-      title: 'Noise (Defra END Round 3)',
-      wmsLegendUrl: LEGEND_URL,
-      note: 'Road, rail & industry noise contours (dB Lden).',
-    });
+  /** Re-request every visible tile. */
+  function retry() {
+    if (_visible && _layer) _layer.redraw();
+  }
+
+  /** Switch to a different noise source (road / rail / industry / airport). */
+  function setSource(source) {
+    if (!SOURCES[source] || source === _source) return;
+    _source = source;
+    _switch('source');
   }
 
-  return { init, show, hide };
+  /** Switch to a different noise metric (lden / lq16 / lnight). */
+  function setMetric(metric) {
+    if (!METRICS[metric] || metric === _metric) return;
+    _metric = metric;
+    _switch('metric');
+  }
+
+  return {
+    init,
+    show,
+    hide,
+    setSource,
+    setMetric,
+    retry,
+    layerName,
+    bandsFor,
+    describe,
+    sampleAt,
+    sampleMany,
+    normalise,
+    on: _events.on,
+    get source() { return _source; },
+    get metric() { return _metric; },
+    get SOURCES() { return SOURCES; },
+    get METRICS() { return METRICS; },
+    get ATTRIBUTION() { return ATTRIBUTION; },
+  };
 })();
+
+LayerRegistry.register({
+  id:     'noise',
+  label:  'Noise (Extrium/Defra)',
+  color:  '#ff6600',
+  layer:  NoiseLayer,
+  legend: ['noise'],
+  attribution: NoiseLayer.ATTRIBUTION,
+  options: [{
+    name: 'source', type: 'radio', label: 'Source:', default: 'road',
+    choices: Object.entries(NoiseLayer.SOURCES).map(([value, s]) => ({ value, label: s.label })),
+    apply: v => NoiseLayer.setSource(v),
+  }, {
+    name: 'metric', type: 'radio', label: 'Metric:', default: 'lden',
+    choices: Object.entries(NoiseLayer.METRICS)
+      .map(([value, m]) => ({ value, label: m.label.split(' ')[0] })),
+    apply: v => NoiseLayer.setMetric(v),
+  }],
+});
@@ -0,0 +1,280 @@
+/**
+ * Air quality history — date range, time slider and playback under the
+ * Air Quality toggle. Each step is shown on the existing station markers
+ * via AirQualityLayer.setSnapshot(); unticking History returns to live data.
+ *
+ * Resolutions:
+ *   daily  — one Daily/MonitoringIndex bulletin per day (ErgApi.dailyIndex)
+ *   hourly — raw hourly concentrations per target station (ErgApi.siteData),
+ *            banded with the Defra DAQI thresholds. The DAQI averages PM over
+ *            24 h and O₃ over 8 h, so hourly bands are indicative only.
+ *
+ * With the "Offline fixtures" data source the range defaults to the
+ * fixture window (ErgApi.fixtureWindow).
+ */
+const AirHistory = (() => {
+  const MAX_DAYS          = { daily: 31, hourly: 7 };
+  const PLAY_INTERVAL_MS  = 700;
+  const FETCH_CONCURRENCY = 4;
+  const DEFAULT_DAYS      = 7;
+
+  // DAQI upper bounds (µg/m³) for indices 1–9; anything above the last is 10
+  const DAQI_BOUNDS = {
+    O3:   [33, 66, 100, 120, 140, 160, 187, 213, 240],
+    NO2:  [67, 134, 200, 267, 334, 400, 467, 534, 600],
+    SO2:  [88, 177, 266, 354, 443, 532, 710, 887, 1064],
+    PM25: [11, 23, 35, 41, 47, 53, 58, 64, 70],
+    PM10: [16, 33, 50, 58, 66, 75, 83, 91, 100],
+  };
+
+  let _el = null;        // control elements, keyed by data-role
+  let _active = false;
+  let _frames = [];      // [{ label, index: { siteCode: { pollutants, date } } }]
+  let _frame = 0;
+  let _resolution = 'daily';
+  let _timer = null;
+  let _loadId = 0;       // drops results from superseded loads
+
+  // ---- helpers -------------------------------------------------------
+
+  /** DAQI band (1–10) for a concentration, or null for unbanded species. */
+  function _daqi(species, value) {
+    const bounds = DAQI_BOUNDS[species];
+    if (!bounds || value == null || isNaN(value) || value < 0) return null;
+    const v = Math.round(value);
+    const i = bounds.findIndex(max => v <= max);
+    return i < 0 ? 10 : i + 1;
+  }
+
+  function _isoDate(d) {
+    return d.toISOString().slice(0, 10);
+  }
+
+  function _addDays(date, n) {
+    const d = new Date(date + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + n);
+    return _isoDate(d);
+  }
+
+  /** Inclusive list of 'YYYY-MM-DD' dates. */
+  function _days(start, end) {
+    const days = [];
+    for (let d = start; d <= end; d = _addDays(d, 1)) days.push(d);
+    return days;
+  }
+
+  /** Run fn over items with at most FETCH_CONCURRENCY in flight; failures → null. */
+  async function _pool(items, fn) {
+    const results = new Array(items.length).fill(null);
+    let next = 0;
+    async function worker() {
+      while (next < items.length) {
+        const i = next++;
+        try {
+          results[i] = await fn(items[i]);
+        } catch (err) {
+          console.warn('Air history request failed:', err);
+        }
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, items.length) }, worker));
+    return results;
+  }
+
+  function _setStatus(text, isError = false) {
+    _el.status.textContent = text;
+    _el.status.classList.toggle('error', isError);
+  }
+
+  // ---- loading -------------------------------------------------------
+
+  async function _loadDaily(start, end) {
+    const days = _days(start, end);
+    const results = await _pool(days, day => ErgApi.dailyIndex(day));
+    const frames = [];
+    days.forEach((day, i) => {
+      if (results[i]) frames.push({ label: day, index: ErgApi.parseIndex(results[i]) });
+    });
+    return { frames, failed: days.length - frames.length, total: days.length, unit: 'days' };
+  }
+
+  async function _loadHourly(start, end) {
+    const codes = Object.keys(AirQualityLayer._stations);
+    const results = await _pool(codes, code => ErgApi.siteData(code, start, _addDays(end, 1)));
+
+    // time → siteCode → pollutants
+    const byTime = {};
+    codes.forEach((code, i) => {
+      for (const d of results[i] || []) {
+        const index = _daqi(d.species, d.value);
+        if (index == null) continue;
+        const sites = byTime[d.time] = byTime[d.time] || {};
+        const site = sites[code] = sites[code] || { pollutants: [], date: d.time.replace('T', ' ') };
+        site.pollutants.push({ SpeciesCode: d.species, SpeciesName: d.species, AirQualityIndex: index });
+      }
+    });
+
+    const frames = Object.keys(byTime).sort().map(time => ({
+      label: time.slice(0, 16).replace('T', ' '),
+      index: byTime[time],
+    }));
+    const failed = results.filter(r => !r).length;
+    return { frames, failed, total: codes.length, unit: 'stations' };
+  }
+
+  /** Fetch the chosen range and resolution, then show its first step. */
+  async function load() {
+    const start = _el.start.value;
+    const end   = _el.end.value;
+    const resolution = _el.resolution.value;
+    if (!start || !end || start > end) {
+      _setStatus('Choose a start date on or before the end date.', true);
+      return;
+    }
+    const days = _days(start, end).length;
+    if (days > MAX_DAYS[resolution]) {
+      _setStatus(`${resolution === 'daily' ? 'Daily' : 'Hourly'} history is limited to ${MAX_DAYS[resolution]} days.`, true);
+      return;
+    }
+
+    const loadId = ++_loadId;
+    _stop();
+    _setStatus('Loading…');
+    _el.load.disabled = true;
+    try {
+      const result = resolution === 'daily'
+        ? await _loadDaily(start, end)
+        : await _loadHourly(start, end);
+      if (loadId !== _loadId) return;
+
+      _frames = result.frames;
+      _resolution = resolution;
+      _el.slider.max = Math.max(0, _frames.length - 1);
+      _el.slider.disabled = _el.play.disabled = _frames.length < 2;
+
+      if (!_frames.length) {
+        _el.label.textContent = '';
+        AirQualityLayer.showLive();
+        _setStatus('No historical data for this range.', true);
+        return;
+      }
+      _setStatus(result.failed
+        ? `${result.failed} of ${result.total} ${result.unit} failed to load.`
+        : `${_frames.length} ${resolution === 'daily' ? 'days' : 'hours'} loaded.`,
+        !!result.failed);
+      _show(0);
+    } finally {
+      if (loadId === _loadId) _el.load.disabled = false;
+    }
+  }
+
+  // ---- playback ------------------------------------------------------
+
+  function _show(i) {
+    if (!_frames.length) return;
+    _frame = Math.max(0, Math.min(_frames.length - 1, i));
+    const frame = _frames[_frame];
+    _el.slider.value = _frame;
+    _el.label.textContent = frame.label;
+    if (_active) AirQualityLayer.setSnapshot(frame.index, `${_resolution} · ${frame.label}`);
+  }
+
+  function _play() {
+    if (_timer || _frames.length < 2) return;
+    if (_frame >= _frames.length - 1) _show(0);
+    _el.play.textContent = '⏸';
+    _el.play.title = 'Pause';
+    _timer = setInterval(() => {
+      if (_frame >= _frames.length - 1) _stop();
+      else _show(_frame + 1);
+    }, PLAY_INTERVAL_MS);
+  }
+
+  function _stop() {
+    if (_timer) clearInterval(_timer);
+    _timer = null;
+    if (!_el) return;
+    _el.play.textContent = '▶';
+    _el.play.title = 'Play';
+  }
+
+  // ---- activation ----------------------------------------------------
+
+  /** Default range: the fixture window offline, else the last week up to yesterday. */
+  async function _defaultRange() {
+    if (ErgApi.source === 'fixtures') {
+      try {
+        const { start, end } = await ErgApi.fixtureWindow();
+        return { start, end };
+      } catch (err) {
+        console.warn('Fixture manifest unavailable:', err);
+      }
+    }
+    const end = _addDays(_isoDate(new Date()), -1);
+    return { start: _addDays(end, 1 - DEFAULT_DAYS), end };
+  }
+
+  async function _setActive(on) {
+    _active = on;
+    _el.body.classList.toggle('hidden', !on);
+    if (!on) {
+      _stop();
+      AirQualityLayer.showLive();
+      return;
+    }
+    if (_frames.length) {
+      _show(_frame);
+    } else if (!_el.start.value) {
+      const { start, end } = await _defaultRange();
+      _el.start.value = start;
+      _el.end.value = end;
+    }
+  }
+
+  /** Build the history controls into the Air Quality sub-options (LayerRegistry `controls`). */
+  function controls(container) {
+    const wrap = document.createElement('div');
+    wrap.className = 'aq-history';
+    wrap.innerHTML = `
+      <label class="sub-option"><input type="checkbox" data-role="toggle" /> History</label>
+      <div class="aq-history-body hidden" data-role="body">
+        <div class="aq-history-row">
+          <input type="date" data-role="start" /> – <input type="date" data-role="end" />
+        </div>
+        <div class="aq-history-row">
+          <select data-role="resolution">
+            <option value="daily">Daily index</option>
+            <option value="hourly">Hourly (DAQI bands)</option>
+          </select>
+          <button type="button" class="aq-history-load" data-role="load">Load</button>
+        </div>
+        <div class="aq-history-row">
+          <button type="button" class="aq-history-play" data-role="play" title="Play" disabled>▶</button>
+          <input type="range" min="0" max="0" value="0" data-role="slider" disabled />
+        </div>
+        <div class="aq-history-label" data-role="label"></div>
+        <div class="aq-history-status" data-role="status"></div>
+      </div>
+    `;
+    _el = {};
+    wrap.querySelectorAll('[data-role]').forEach(el => { _el[el.dataset.role] = el; });
+
+    _el.toggle.addEventListener('change', () => _setActive(_el.toggle.checked));
+    _el.load.addEventListener('click', () => load());
+    _el.slider.addEventListener('input', () => { _stop(); _show(parseInt(_el.slider.value, 10)); });
+    _el.play.addEventListener('click', () => (_timer ? _stop() : _play()));
+
+    // A reload rebuilds the markers from live data — put the current step back
+    AirQualityLayer.on('change', ({ reason }) => {
+      if (reason === 'data' && _active) _show(_frame);
+    });
+
+    container.appendChild(wrap);
+  }
+
+  return {
+    controls,
+    load,
+    get active() { return _active; },
+  };
+})();
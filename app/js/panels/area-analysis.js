@@ -0,0 +1,447 @@
+/**
+ * Area analysis — draw a polygon or a radius circle (e.g. around a school or
+ * station) and get aggregate statistics for everything inside:
+ *   - LSOAs intersecting it, each with its share of the drawn area, and the
+ *     area-weighted IMD score and decile
+ *   - air quality stations inside it and their mean index (selected pollutant)
+ *   - the approximate share of the area in EA Flood Zones 2/3
+ * The result can be exported as GeoJSON (drawn shape + summary + LSOAs) or as
+ * a CSV of the intersecting LSOAs.
+ *
+ * Everything is approximate by sampling: LSOA shares come from a regular grid
+ * of about GRID_POINTS points over the shape, tested against
+ * DeprivationLayer's geometries; flood shares from FLOOD_SAMPLES
+ * FloodRiskLayer.queryAt() lookups on a coarser grid. LSOAs only clipped by a
+ * sliver smaller than a grid cell may be missed.
+ *
+ * Drawing: polygon — click to add corners, click the first corner or
+ * double-click to finish; circle — click the centre, radius from the input.
+ * Esc cancels. Map-click reports are paused while drawing, and the map's
+ * layers stop taking clicks (.area-drawing in app.css) so LSOA polygons and
+ * markers open no popups; corners come from 'preclick', which Leaflet fires
+ * even for a click a layer keeps.
+ */
+const AreaAnalysis = (() => {
+  const GRID_POINTS      = 2000;
+  const FLOOD_SAMPLES    = 36;
+  const DEFAULT_RADIUS_M = 500;
+  const FINISH_PX        = 10;   // click this close to the first corner to close the polygon
+
+  const SHAPE_STYLE   = { color: '#8e44ad', weight: 2, fillColor: '#8e44ad', fillOpacity: 0.08 };
+  const PREVIEW_STYLE = { color: '#8e44ad', weight: 2, dashArray: '4 4', interactive: false };
+
+  let _map = null;
+  let _el = null;            // { buttons, radius, hint, results, exports }
+  let _drawing = null;       // 'polygon' | 'circle' while drawing
+  let _vertices = [];        // L.LatLng corners of the polygon being drawn
+  let _preview = null;       // L.Polyline while drawing a polygon
+  let _shape = null;         // { type, geometry, center: [lat, lng], radiusM }
+  let _shapeLayer = null;
+  let _result = null;        // see _analyse()
+  let _floodId = 0;          // drops flood samples for a replaced shape
+  const _lsoaBounds = new WeakMap();   // LSOA record → Geo.bounds()
+
+  // ---- helpers -------------------------------------------------------
+
+  function _escape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function _pct(v) {
+    return v == null ? '—' : (v * 100).toFixed(v < 0.1 && v > 0 ? 1 : 0) + '%';
+  }
+
+  function _boundsOf(lsoa) {
+    if (!_lsoaBounds.has(lsoa)) _lsoaBounds.set(lsoa, Geo.bounds(lsoa.geometry));
+    return _lsoaBounds.get(lsoa);
+  }
+
+  function _overlaps([[s1, w1], [n1, e1]], [[s2, w2], [n2, e2]]) {
+    return s1 <= n2 && n1 >= s2 && w1 <= e2 && e1 >= w2;
+  }
+
+  function _inBounds(lat, lng, [[s, w], [n, e]]) {
+    return lat >= s && lat <= n && lng >= w && lng <= e;
+  }
+
+  function _weightedMean(rows, key) {
+    let sum = 0;
+    let weight = 0;
+    for (const r of rows) {
+      if (r[key] == null) continue;
+      sum += r[key] * r.share;
+      weight += r.share;
+    }
+    return weight ? sum / weight : null;
+  }
+
+  // ---- analysis ------------------------------------------------------
+
+  /**
+   * Aggregate statistics for the current shape:
+   * { areaKm2, lsoas: [{ lsoa_code, lsoa_name, borough, imd_decile, imd_score,
+   *   share, coverage }], imdScore, imdDecile, outsideShare, stations: [{ code,
+   *   name, value, distKm }], meanAQI, pollutant, flood }
+   * share: fraction of the drawn area in that LSOA; coverage: fraction of the
+   * LSOA inside the drawn area. flood fills in asynchronously (_sampleFlood).
+   */
+  function _analyse() {
+    const { geometry } = _shape;
+    const areaKm2 = Geo.areaKm2(geometry);
+    const grid = Geo.gridPoints(geometry, GRID_POINTS);
+    const bounds = Geo.bounds(geometry);
+    const candidates = DeprivationLayer._data.filter(l => l.geometry && _overlaps(_boundsOf(l), bounds));
+
+    const counts = new Map();
+    let outside = 0;
+    for (const p of grid) {
+      const lsoa = candidates.find(l => _inBounds(p.lat, p.lng, _boundsOf(l)) && Geo.pointInPolygon(p.lat, p.lng, l.geometry));
+      if (lsoa) counts.set(lsoa, (counts.get(lsoa) || 0) + 1);
+      else outside++;
+    }
+
+    const lsoas = [...counts].map(([l, n]) => {
+      const share = n / grid.length;
+      const lsoaArea = Geo.areaKm2(l.geometry);
+      return {
+        lsoa_code:  l.lsoa_code,
+        lsoa_name:  l.lsoa_name,
+        borough:    l.borough,
+        imd_decile: l.imd_decile,
+        imd_score:  l.imd_score,
+        share,
+        coverage:   lsoaArea ? Math.min(share * areaKm2 / lsoaArea, 1) : null,
+      };
+    }).sort((a, b) => b.share - a.share);
+
+    const [lat, lng] = _shape.center;
+    const stations = AirQualityLayer.nearestStations(lat, lng, Infinity)
+      .filter(st => Geo.pointInPolygon(st.lat, st.lng, geometry))
+      .map(st => ({ code: st.code, name: st.name, value: st.value, distKm: st.distKm }));
+    const valued = stations.filter(st => st.value != null);
+
+    const previousFlood = _result && _result.geometry === geometry ? _result.flood : null;
+    _result = {
+      geometry,
+      areaKm2,
+      lsoas,
+      imdScore:     _weightedMean(lsoas, 'imd_score'),
+      imdDecile:    _weightedMean(lsoas, 'imd_decile'),
+      outsideShare: grid.length ? outside / grid.length : null,
+      stations,
+      meanAQI:      valued.length ? valued.reduce((sum, st) => sum + st.value, 0) / valued.length : null,
+      pollutant:    AirQualityLayer.pollutant,
+      flood:        previousFlood,
+    };
+    if (!previousFlood) _sampleFlood();
+    _render();
+  }
+
+  /** Approximate flood-zone share from point lookups; renders as samples arrive. */
+  async function _sampleFlood() {
+    const floodId = ++_floodId;
+    const points = Geo.gridPoints(_shape.geometry, FLOOD_SAMPLES);
+    const flood = _result.flood = { total: points.length, answered: 0, fz2: 0, fz3: 0, done: false };
+
+    await FloodRiskLayer.queryMany(points, (i, answer) => {
+      if (floodId !== _floodId) return;
+      if (answer.zone === undefined) return;   // lookup failed
+      flood.answered++;
+      if (answer.zone === 'Flood Zone 2') flood.fz2++;
+      else if (answer.zone) flood.fz3++;
+      _render();
+    });
+    if (floodId !== _floodId) return;
+    flood.done = true;
+    _render();
+  }
+
+  // ---- rendering -----------------------------------------------------
+
+  function _floodLine(flood) {
+    if (!flood) return '<span class="loading-msg">sampling…</span>';
+    if (!flood.answered) {
+      return flood.done ? '<span class="error-msg">unavailable</span>' : '<span class="loading-msg">sampling…</span>';
+    }
+    const share = (flood.fz2 + flood.fz3) / flood.answered;
+    return `~${_pct(share)} in Zone 2/3 (${_pct(flood.fz3 / flood.answered)} Zone 3)` +
+           ` <span class="area-muted">${flood.answered}/${flood.total} points${flood.done ? '' : '…'}</span>`;
+  }
+
+  function _render() {
+    if (!_el) return;
+    _el.exports.forEach(btn => { btn.disabled = !_result; });
+    if (!_result) {
+      _el.results.innerHTML = '<p class="area-muted">Draw a polygon or place a circle on the map.</p>';
+      return;
+    }
+
+    const r = _result;
+    const pollutant = AirQualityLayer.POLLUTANTS[r.pollutant] || r.pollutant;
+    const shapeLabel = _shape.type === 'circle'
+      ? `Circle, ${_shape.radiusM} m radius`
+      : `Polygon, ${_shape.geometry.coordinates[0].length - 1} corners`;
+    const stationList = r.stations.length
+      ? r.stations.map(st => `${_escape(st.name || st.code)} (${st.value != null ? st.value : '—'})`).join(', ')
+      : 'none inside';
+
+    _el.results.innerHTML = `
+      <div class="area-columns">
+        <table class="popup-table area-summary">
+          <tr><td>Shape</td><td>${shapeLabel}</td></tr>
+          <tr><td>Area</td><td>${r.areaKm2.toFixed(2)} km²</td></tr>
+          <tr><td>LSOAs</td><td>${r.lsoas.length} intersecting` +
+            `${r.outsideShare > 0.005 ? ` <span class="area-muted">(${_pct(r.outsideShare)} of the area outside the LSOA data)</span>` : ''}</td></tr>
+          <tr><td>IMD score</td><td>${r.imdScore != null ? r.imdScore.toFixed(1) : '—'} <span class="area-muted">area-weighted</span></td></tr>
+          <tr><td>IMD decile</td><td>${r.imdDecile != null ? r.imdDecile.toFixed(1) : '—'} <span class="area-muted">area-weighted mean</span></td></tr>
+          <tr><td>Air quality</td><td>${r.meanAQI != null ? `mean index ${r.meanAQI.toFixed(1)}` : 'no index'} ` +
+            `<span class="area-muted">${_escape(pollutant)} · ${stationList}</span></td></tr>
+          <tr><td>Flood zones</td><td>${_floodLine(r.flood)}</td></tr>
+        </table>
+        <table class="area-lsoas">
+          <tr><th>LSOA</th><th>Borough</th><th class="num">Decile</th><th class="num">Score</th><th class="num">Of area</th><th class="num">Of LSOA</th></tr>
+          ${r.lsoas.map(l => `
+            <tr>
+              <td title="${_escape(l.lsoa_code)}">${_escape(l.lsoa_name)}</td>
+              <td>${_escape(l.borough)}</td>
+              <td class="num">${l.imd_decile != null ? l.imd_decile : '—'}</td>
+              <td class="num">${l.imd_score != null ? l.imd_score.toFixed(1) : '—'}</td>
+              <td class="num">${_pct(l.share)}</td>
+              <td class="num">${_pct(l.coverage)}</td>
+            </tr>`).join('')}
+        </table>
+      </div>
+    `;
+  }
+
+  // ---- export --------------------------------------------------------
+
+  function _feature() {
+    const r = _result;
+    const flood = r.flood && r.flood.answered ? r.flood : null;
+    return {
+      type: 'Feature',
+      geometry: r.geometry,
+      properties: {
+        shape:               _shape.type,
+        center:              _shape.center,
+        radius_m:            _shape.type === 'circle' ? _shape.radiusM : null,
+        area_km2:            +r.areaKm2.toFixed(4),
+        lsoa_count:          r.lsoas.length,
+        outside_lsoa_share:  r.outsideShare,
+        imd_score_weighted:  r.imdScore,
+        imd_decile_weighted: r.imdDecile,
+        aqi_pollutant:       r.pollutant,
+        aqi_mean:            r.meanAQI,
+        stations:            r.stations,
+        flood_zone_share:    flood ? (flood.fz2 + flood.fz3) / flood.answered : null,
+        flood_zone3_share:   flood ? flood.fz3 / flood.answered : null,
+        flood_samples:       flood ? flood.answered : 0,
+        lsoas:               r.lsoas,
+        generated:           new Date().toISOString(),
+      },
+    };
+  }
+
+  function _export(format) {
+    if (!_result) return;
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'geojson') {
+      Download.file(`area-analysis-${stamp}.geojson`, JSON.stringify(_feature(), null, 2), 'application/geo+json');
+    } else {
+      const rows = _result.lsoas.map(l => ({
+        ...l,
+        share:    +l.share.toFixed(4),
+        coverage: l.coverage != null ? +l.coverage.toFixed(4) : null,
+      }));
+      Download.file(`area-analysis-${stamp}.csv`, Download.csv(rows, [
+        'lsoa_code', 'lsoa_name', 'borough', 'imd_decile', 'imd_score',
+        { key: 'share',    label: 'share_of_area' },
+        { key: 'coverage', label: 'share_of_lsoa' },
+      ]), 'text/csv');
+    }
+  }
+
+  // ---- drawing -------------------------------------------------------
+
+  function _setShape(shape) {
+    _shape = shape;
+    if (_shapeLayer) _map.removeLayer(_shapeLayer);
+    _shapeLayer = shape.type === 'circle'
+      ? L.circle(shape.center, { ...SHAPE_STYLE, radius: shape.radiusM })
+      : L.geoJSON(shape.geometry, { style: SHAPE_STYLE });
+    _shapeLayer.addTo(_map);
+    _analyse();
+  }
+
+  function _circleAt(center) {
+    const radiusM = Math.max(10, Number(_el.radius.value) || DEFAULT_RADIUS_M);
+    return {
+      type:     'circle',
+      center,
+      radiusM,
+      geometry: Geo.circle(center[0], center[1], radiusM / 1000),
+    };
+  }
+
+  function _updatePreview(cursor) {
+    const points = cursor ? [..._vertices, cursor] : _vertices;
+    if (!_preview) _preview = L.polyline(points, PREVIEW_STYLE).addTo(_map);
+    else _preview.setLatLngs(points);
+  }
+
+  function _near(a, b) {
+    return _map.latLngToContainerPoint(a).distanceTo(_map.latLngToContainerPoint(b)) < FINISH_PX;
+  }
+
+  function _finishPolygon() {
+    // The clicks of a double-click land on the last corner
+    const corners = _vertices.filter((v, i) => i === 0 || !_near(v, _vertices[i - 1]));
+    _stopDrawing();
+    if (corners.length < 3) return;
+    const ring = corners.map(v => [v.lng, v.lat]);
+    ring.push(ring[0]);
+    const geometry = { type: 'Polygon', coordinates: [ring] };
+    const [[s, w], [n, e]] = Geo.bounds(geometry);
+    _setShape({ type: 'polygon', center: [(s + n) / 2, (w + e) / 2], radiusM: null, geometry });
+  }
+
+  function _onMapClick(e) {
+    if (_drawing === 'circle') {
+      _stopDrawing();
+      _setShape(_circleAt([e.latlng.lat, e.latlng.lng]));
+      return;
+    }
+    if (_vertices.length >= 3 && _near(e.latlng, _vertices[0])) {
+      _finishPolygon();
+      return;
+    }
+    _vertices.push(e.latlng);
+    _updatePreview();
+    _el.hint.textContent = _vertices.length < 3
+      ? 'Click to add corners.'
+      : 'Click the first corner or double-click to finish. Esc cancels.';
+  }
+
+  function _onMouseMove(e) {
+    if (_drawing === 'polygon' && _vertices.length) _updatePreview(e.latlng);
+  }
+
+  function _onKey(e) {
+    if (e.key === 'Escape') _stopDrawing();
+  }
+
+  function _startDrawing(mode) {
+    _stopDrawing();
+    _drawing = mode;
+    _vertices = [];
+    LocationReport.setClickEnabled(false);
+    _map.doubleClickZoom.disable();
+    _map.closePopup();
+    _map.getContainer().classList.add('area-drawing');
+    _map.on('preclick', _onMapClick);
+    _map.on('mousemove', _onMouseMove);
+    if (mode === 'polygon') _map.on('dblclick', _finishPolygon);
+    document.addEventListener('keydown', _onKey);
+    _el.buttons.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+    _el.hint.textContent = mode === 'circle'
+      ? 'Click the centre of the circle. Esc cancels.'
+      : 'Click to add corners. Esc cancels.';
+  }
+
+  function _stopDrawing() {
+    if (!_drawing) return;
+    _drawing = null;
+    _vertices = [];
+    if (_preview) _map.removeLayer(_preview);
+    _preview = null;
+    _map.off('preclick', _onMapClick);
+    _map.off('mousemove', _onMouseMove);
+    _map.off('dblclick', _finishPolygon);
+    document.removeEventListener('keydown', _onKey);
+    _map.getContainer().classList.remove('area-drawing');
+    _map.doubleClickZoom.enable();
+    // Re-enable reports after this click has reached every listener
+    setTimeout(() => LocationReport.setClickEnabled(true), 0);
+    _el.buttons.forEach(btn => btn.classList.remove('active'));
+    _el.hint.textContent = '';
+  }
+
+  function _clear() {
+    _stopDrawing();
+    _floodId++;
+    if (_shapeLayer) _map.removeLayer(_shapeLayer);
+    _shapeLayer = null;
+    _shape = null;
+    _result = null;
+    _render();
+  }
+
+  // ---- panel ---------------------------------------------------------
+
+  function init(container, map) {
+    _map = map;
+    container.innerHTML = `
+      <div class="area-layout">
+        <div class="area-tools">
+          <button type="button" class="tool-button" data-mode="polygon">Draw polygon</button>
+          <button type="button" class="tool-button" data-mode="circle">Place circle</button>
+          <label class="sub-option">radius <input type="number" class="area-radius" min="10" step="50" value="${DEFAULT_RADIUS_M}" /> m</label>
+          <button type="button" class="area-clear">Clear</button>
+          <span class="area-export">
+            Export <button type="button" data-export="geojson">GeoJSON</button>
+            <button type="button" data-export="csv">CSV</button>
+          </span>
+          <p class="area-hint"></p>
+        </div>
+        <div class="area-results"></div>
+      </div>
+    `;
+    _el = {
+      buttons: [...container.querySelectorAll('[data-mode]')],
+      radius:  container.querySelector('.area-radius'),
+      hint:    container.querySelector('.area-hint'),
+      results: container.querySelector('.area-results'),
+      exports: [...container.querySelectorAll('[data-export]')],
+    };
+
+    _el.buttons.forEach(btn => btn.addEventListener('click', () => {
+      if (_drawing === btn.dataset.mode) _stopDrawing();
+      else _startDrawing(btn.dataset.mode);
+    }));
+    _el.radius.addEventListener('change', () => {
+      if (_shape && _shape.type === 'circle') _setShape(_circleAt(_shape.center));
+    });
+    container.querySelector('.area-clear').addEventListener('click', _clear);
+    _el.exports.forEach(btn => btn.addEventListener('click', () => _export(btn.dataset.export)));
+
+    // Keep the statistics in step with the layers they are drawn from
+    DeprivationLayer.on('change', () => { if (_shape) _analyse(); });
+    AirQualityLayer.on('change', () => { if (_shape) _analyse(); });
+
+    _render();
+  }
+
+  return {
+    init,
+    onOpen() {
+      if (_shapeLayer && !_map.hasLayer(_shapeLayer)) _shapeLayer.addTo(_map);
+    },
+    onClose() {
+      _stopDrawing();
+      if (_shapeLayer) _map.removeLayer(_shapeLayer);
+    },
+    get result() { return _result ? _feature() : null; },
+  };
+})();
+
+Drawer.register({
+  id:      'area',
+  title:   'Analyse an area',
+  init:    AreaAnalysis.init,
+  onOpen:  AreaAnalysis.onOpen,
+  onClose: AreaAnalysis.onClose,
+});
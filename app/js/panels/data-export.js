@@ -0,0 +1,97 @@
+/**
+ * Data export — downloads of the numbers behind the map, for QGIS / pandas:
+ *   - combined scores: every LSOA's score, its deprivation / air / noise
+ *     components, the station that fed the air component, the weights and a
+ *     timestamp (CombinedScoreLayer.exportFeatures)
+ *   - air quality stations: the current index per pollutant and bulletin
+ *     date (AirQualityLayer.stationSnapshot)
+ * GeoJSON keeps the geometry (LSOA boundaries / station points) and adds a
+ * `metadata` member; CSV has the same properties without geometry.
+ */
+const DataExport = (() => {
+  const EXPORTS = {
+    combined: {
+      title: 'Combined scores',
+      note:  'Every LSOA with its score, deprivation, air and noise components, the station that ' +
+             'fed its air component, the weights used and a timestamp. Noise is sampled first ' +
+             'if the combined layer has not been shown.',
+      file:  'combined-scores',
+      load:  () => CombinedScoreLayer.exportFeatures(),
+    },
+    stations: {
+      title: 'Air quality stations',
+      note:  'The station snapshot on the map: index per pollutant, bulletin date and data source ' +
+             '(live, fixtures or a historical frame).',
+      file:  'aq-stations',
+      load:  async () => {
+        await AirQualityLayer.ready;
+        return AirQualityLayer.stationSnapshot();
+      },
+    },
+  };
+
+  let _el = null;   // { [exportId]: statusEl }
+
+  function _escape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function _stamp(iso) {
+    return iso.slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  }
+
+  async function _download(id, format) {
+    const def = EXPORTS[id];
+    const status = _el[id];
+    status.classList.remove('error');
+    status.textContent = 'Preparing…';
+    try {
+      const collection = await def.load();
+      if (!collection.features.length) throw new Error('nothing loaded yet');
+      const name = `${def.file}-${_stamp(collection.metadata.generated)}`;
+      if (format === 'geojson') {
+        Download.file(`${name}.geojson`, JSON.stringify(collection), 'application/geo+json');
+      } else {
+        const rows = collection.features.map(f => f.properties);
+        Download.file(`${name}.csv`, Download.csv(rows, Object.keys(rows[0])), 'text/csv');
+      }
+      status.textContent = `${collection.features.length} rows · ${new Date(collection.metadata.generated).toLocaleTimeString()}`;
+    } catch (err) {
+      console.error(`${def.title} export failed:`, err);
+      status.classList.add('error');
+      status.textContent = `Export failed: ${err.message}`;
+    }
+  }
+
+  function init(container) {
+    container.innerHTML = `
+      <div class="export-layout">
+        ${Object.entries(EXPORTS).map(([id, def]) => `
+          <section class="export-item">
+            <h3>${_escape(def.title)}</h3>
+            <p class="export-note">${_escape(def.note)}</p>
+            <button type="button" data-export="${id}" data-format="geojson">GeoJSON</button>
+            <button type="button" data-export="${id}" data-format="csv">CSV</button>
+            <span class="export-status" data-status="${id}"></span>
+          </section>`).join('')}
+      </div>
+    `;
+    _el = {};
+    for (const id of Object.keys(EXPORTS)) _el[id] = container.querySelector(`[data-status="${id}"]`);
+    container.addEventListener('click', e => {
+      const { export: id, format } = e.target.dataset;
+      if (id) _download(id, format);
+    });
+  }
+
+  return { init };
+})();
+
+Drawer.register({
+  id:    'export',
+  title: 'Export data',
+  init:  DataExport.init,
+});
@@ -0,0 +1,260 @@
+/**
+ * Location report — "what's here?" for any clicked point.
+ *
+ * Combines every layer's view of one location into a sidebar panel
+ * (#report-container) and drops a marker at the point:
+ *   - containing LSOA + IMD decile   (DeprivationLayer.lsoaAt; decile change
+ *                                     in the layer's change mode)
+ *   - nearest stations + AQI         (AirQualityLayer.nearestStations)
+ *   - flood zone / surface water     (FloodRiskLayer.queryAt, WMS GetFeatureInfo)
+ *   - noise, selected source/metric  (NoiseLayer.sampleAt)
+ *   - combined score of the LSOA     (CombinedScoreLayer.scoreFor)
+ *
+ * Reports open on the map's 'preclick', which Leaflet fires before a click
+ * reaches any layer: a feature popup stops the 'click' itself (e.g. on every
+ * LSOA polygon), so clicking inside a shown LSOA layer still gives a report,
+ * next to the LSOA popup. Clicks on marker icons (shortlist pins, the report
+ * marker) are left to the marker's own handler.
+ *
+ * build(lat, lng) resolves to a plain report object, so other features can
+ * snapshot it without touching the DOM. addAction() adds a button to the
+ * report (e.g. "add to shortlist"); it receives the finished report.
+ */
+const LocationReport = (() => {
+  const STATION_COUNT = 3;
+
+  let _map = null;
+  let _marker = null;
+  let _label = null;    // marker tooltip text, if any
+  let _container = null;
+  let _requestId = 0;   // drops results from superseded clicks
+  let _clicksEnabled = true;
+  const _actions = [];  // [{ label, title, run(report, options) }]
+
+  // ---- helpers -------------------------------------------------------
+
+  function _escape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function _sectionRow(title) {
+    return `<tr><td colspan="2" class="report-section">${_escape(title)}</td></tr>`;
+  }
+
+  function _row(label, value) {
+    return `<tr><td>${_escape(label)}</td><td>${value}</td></tr>`;
+  }
+
+  const PENDING = '<span class="loading-msg">querying…</span>';
+  const UNAVAILABLE = '<span class="error-msg">unavailable</span>';
+
+  // ---- report data ---------------------------------------------------
+
+  /** The synchronous part of a report (vector data already in memory). */
+  function _baseReport(lat, lng) {
+    const lsoa = DeprivationLayer.lsoaAt(lat, lng);
+    const change = lsoa ? DeprivationLayer.changeFor(lsoa.lsoa_code) : null;
+    return {
+      lat,
+      lng,
+      lsoa: lsoa ? {
+        lsoa_code:   lsoa.lsoa_code,
+        lsoa_name:   lsoa.lsoa_name,
+        borough:     lsoa.borough,
+        imd_decile:  lsoa.imd_decile,
+        imd_score:   lsoa.imd_score,
+        imd_edition: DeprivationLayer.edition,
+        // Decile change in the layer's change mode (for its selected domain)
+        imd_change:  change && change.delta != null ? {
+          since:  DeprivationLayer.compare,
+          domain: DeprivationLayer.domain,
+          delta:  change.delta,
+          approx: change.approx,
+        } : null,
+      } : null,
+      stations: AirQualityLayer.nearestStations(lat, lng, STATION_COUNT)
+        .map(st => ({ code: st.code, name: st.name, maxAQI: st.maxAQI, distKm: st.distKm })),
+      flood:    undefined,   // pending
+      noise:    undefined,
+      combined: undefined,
+      generated: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Full report for a point. noise is null when the WMS query failed;
+   * flood.zone / flood.surfaceWater are undefined when their service failed;
+   * combined is null outside the LSOA data.
+   */
+  async function build(lat, lng) {
+    const report = _baseReport(lat, lng);
+    const lsoa = DeprivationLayer.lsoaAt(lat, lng);
+
+    const [flood, noise, combined] = await Promise.all([
+      FloodRiskLayer.queryAt(lat, lng),
+      NoiseLayer.sampleAt(lat, lng),
+      lsoa ? CombinedScoreLayer.scoreFor(lsoa) : null,
+    ]);
+
+    report.flood = flood;
+    report.noise = noise;
+    report.combined = combined ? {
+      score:     combined.score,
+      depComp:   combined.depComp,
+      aqComp:    combined.aqComp,
+      noiseComp: combined.noiseComp,
+      weights:   CombinedScoreLayer.describeWeights(),
+    } : null;
+    return report;
+  }
+
+  // ---- rendering -----------------------------------------------------
+
+  function _floodCell(value) {
+    if (value === undefined) return UNAVAILABLE;
+    return value ? _escape(value) : 'Outside mapped areas';
+  }
+
+  function _changeLabel({ since, domain }) {
+    const what = domain && domain !== 'imd' ? `${Scoring.IMD_DOMAINS[domain]} change` : 'IMD change';
+    return `${what} since ${DeprivationLayer.editionLabel(since).replace('IMD ', '')}`;
+  }
+
+  function _changeValue({ delta, approx }) {
+    const text = delta > 0 ? `+${delta} deciles (improving)`
+               : delta < 0 ? `${delta} deciles (declining)`
+               : 'no change';
+    return `${text}${approx ? ' <span class="report-muted">≈ boundaries changed</span>' : ''}`;
+  }
+
+  function _render(report) {
+    const { lsoa, stations, flood, noise, combined } = report;
+    let rows = '';
+
+    rows += _sectionRow('Area');
+    if (lsoa) {
+      rows += _row('LSOA', `${_escape(lsoa.lsoa_name)} <span class="report-muted">${_escape(lsoa.lsoa_code)}</span>`);
+      rows += _row('Borough', _escape(lsoa.borough));
+      rows += _row(lsoa.imd_edition ? `${DeprivationLayer.editionLabel(lsoa.imd_edition)} decile` : 'IMD decile',
+        lsoa.imd_decile != null ? `${lsoa.imd_decile} / 10` : '—');
+      if (lsoa.imd_change) rows += _row(_changeLabel(lsoa.imd_change), _changeValue(lsoa.imd_change));
+    } else {
+      rows += _row('LSOA', 'Outside study area');
+    }
+
+    rows += _sectionRow('Air quality');
+    if (stations.length) {
+      for (const st of stations) {
+        rows += _row(st.name,
+          `${st.maxAQI != null ? 'AQI ' + st.maxAQI : 'no data'} <span class="report-muted">${st.distKm.toFixed(1)} km</span>`);
+      }
+    } else {
+      rows += _row('Stations', 'No station data');
+    }
+
+    rows += _sectionRow('Flood risk');
+    if (flood === undefined) {
+      rows += _row('Rivers & sea', PENDING);
+      rows += _row('Surface water', PENDING);
+    } else {
+      rows += _row('Rivers & sea', _floodCell(flood.zone));
+      rows += _row('Surface water', _floodCell(flood.surfaceWater));
+    }
+
+    rows += _sectionRow('Noise');
+    rows += _row(NoiseLayer.describe(noise ? noise.metric : NoiseLayer.layerName()),
+      noise === undefined ? PENDING : noise === null ? UNAVAILABLE : _escape(noise.label));
+
+    rows += _sectionRow('Combined score');
+    if (!lsoa) {
+      rows += _row('Score', '—');
+    } else if (combined === undefined) {
+      rows += _row('Score', PENDING);
+    } else {
+      rows += _row('Score', `<strong>${combined.score.toFixed(2)} / 1.00</strong>`);
+      rows += _row('Weights', `<span class="report-muted">${_escape(combined.weights)}</span>`);
+    }
+
+    const complete = combined !== undefined;
+    _container.innerHTML = `
+      <div class="report-header">
+        <h2>What's here?</h2>
+        <button type="button" class="report-close" title="Close">×</button>
+      </div>
+      <p class="report-coords">${report.lat.toFixed(5)}, ${report.lng.toFixed(5)}</p>
+      <table class="popup-table report-table">${rows}</table>
+      ${_actions.length ? `<div class="report-actions">${_actions.map((a, i) => `
+        <button type="button" data-action="${i}" title="${_escape(a.title || '')}" ${complete ? '' : 'disabled'}>${_escape(a.label)}</button>`).join('')}
+      </div>` : ''}
+    `;
+    _container.querySelector('.report-close').addEventListener('click', clear);
+    _container.querySelectorAll('[data-action]').forEach(btn => btn.addEventListener('click', () => {
+      _actions[Number(btn.dataset.action)].run(report, { label: _label });
+    }));
+    _container.classList.remove('hidden');
+  }
+
+  // ---- public API ----------------------------------------------------
+
+  function init(map) {
+    _map = map;
+    _container = document.getElementById('report-container');
+    _map.on('preclick', e => {
+      if (e.originalEvent.target.closest('.leaflet-marker-icon')) return;
+      if (_clicksEnabled) show(e.latlng.lat, e.latlng.lng);
+    });
+  }
+
+  /** Pause map-click reports, e.g. while a tool uses clicks to draw. */
+  function setClickEnabled(enabled) {
+    _clicksEnabled = enabled;
+  }
+
+  /**
+   * Mark a point on the map and fill the sidebar report for it.
+   * options.label adds a tooltip to the marker (e.g. a search result).
+   */
+  async function show(lat, lng, options = {}) {
+    const requestId = ++_requestId;
+
+    if (_marker) _marker.setLatLng([lat, lng]);
+    else {
+      _marker = L.marker([lat, lng], { keyboard: false, draggable: true }).addTo(_map);
+      // Clicking the marker refreshes its report; dropping it reports the new point
+      _marker.on('click', () => {
+        const ll = _marker.getLatLng();
+        show(ll.lat, ll.lng, { label: _label });
+      });
+      _marker.on('dragend', () => {
+        const ll = _marker.getLatLng();
+        show(ll.lat, ll.lng);
+      });
+    }
+    _label = options.label || null;
+    _marker.unbindTooltip();
+    if (_label) _marker.bindTooltip(_escape(_label)).openTooltip();
+
+    _render(_baseReport(lat, lng));
+    const report = await build(lat, lng);
+    if (requestId === _requestId) _render(report);
+    return report;
+  }
+
+  /** Add a button to every complete report: { label, title?, run(report, { label }) }. */
+  function addAction(action) {
+    _actions.push(action);
+  }
+
+  function clear() {
+    _requestId++;
+    if (_marker) _map.removeLayer(_marker);
+    _marker = null;
+    _container.classList.add('hidden');
+    _container.innerHTML = '';
+  }
+
+  return { init, build, show, clear, setClickEnabled, addAction };
+})();
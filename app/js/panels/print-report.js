@@ -0,0 +1,292 @@
+/**
+ * Snapshot & print — a PNG of the current map and a one-page printable
+ * report for an LSOA or a point.
+ *
+ * The PNG is MapSnapshot.capture(): visible tiles, vector layers, markers
+ * and the Legend panels, composited on one canvas.
+ *
+ * The report is filled into #print-report, which print CSS shows in place of
+ * the app: a map inset (MapSnapshot.inset, LSOA outlined), every layer's
+ * values at the point (LocationReport.build plus the interpolated AQI), and
+ * the data sources with each layer's attribution string (LayerRegistry).
+ * For an LSOA the point is its centroid, or a point inside it when the
+ * centroid falls outside.
+ *
+ * Reports are printed from this Drawer panel (LSOA) or from the location
+ * report's "⎙ Print" action (point).
+ */
+const PrintReport = (() => {
+  const INSET_ZOOM   = 15;
+  const INSET_WIDTH  = 680;
+  const INSET_HEIGHT = 340;
+
+  let _map = null;
+  let _el = null;   // { png, pngStatus, form, input, list, printStatus }
+
+  // ---- helpers -------------------------------------------------------
+
+  function _escape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function _stamp(date) {
+    return date.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  }
+
+  function _fmt(v, dp = 2) {
+    return v != null ? v.toFixed(dp) : '—';
+  }
+
+  function _setStatus(el, text, error = false) {
+    el.textContent = text;
+    el.classList.toggle('error', error);
+  }
+
+  /** A point inside the LSOA: the centroid if it is inside, else a grid point. */
+  function _pointIn(lsoa) {
+    const [lat, lng] = lsoa.centroid || [];
+    if (lat != null && Geo.pointInPolygon(lat, lng, lsoa.geometry)) return { lat, lng };
+    const points = Geo.gridPoints(lsoa.geometry, 9);
+    return points[Math.floor(points.length / 2)];
+  }
+
+  function _findLsoa(text) {
+    const q = text.trim().toLowerCase();
+    if (!q) return null;
+    return DeprivationLayer._data.find(d =>
+      d.lsoa_code.toLowerCase() === q ||
+      (d.lsoa_name || '').toLowerCase() === q ||
+      `${d.lsoa_name} (${d.lsoa_code})`.toLowerCase() === q) || null;
+  }
+
+  /** Attribution strings of every registered layer plus the base map, de-duplicated. */
+  function _sources() {
+    const sources = [`<strong>Base map:</strong> ${MapSnapshot.INSET_ATTRIBUTION}`];
+    for (const def of LayerRegistry.all()) {
+      if (def.attribution) sources.push(`<strong>${_escape(def.label)}:</strong> ${def.attribution}`);
+    }
+    return [...new Set(sources)];
+  }
+
+  // ---- report --------------------------------------------------------
+
+  function _row(label, value) {
+    return `<tr><th>${_escape(label)}</th><td>${value}</td></tr>`;
+  }
+
+  function _section(title) {
+    return `<tr class="print-section"><th colspan="2">${_escape(title)}</th></tr>`;
+  }
+
+  function _floodCell(value) {
+    if (value === undefined) return 'unavailable';
+    return value ? _escape(value) : 'Outside mapped areas';
+  }
+
+  function _tableHtml(report) {
+    const { lsoa, stations, flood, noise, combined } = report;
+    const air = AirQualityLayer.interpolate(report.lat, report.lng);
+    const pollutant = AirQualityLayer.POLLUTANTS[AirQualityLayer.pollutant];
+    let rows = '';
+
+    rows += _section('Area');
+    if (lsoa) {
+      rows += _row('LSOA', `${_escape(lsoa.lsoa_name)} (${_escape(lsoa.lsoa_code)})`);
+      rows += _row('Borough', _escape(lsoa.borough));
+      const edition = DeprivationLayer.editionLabel(lsoa.imd_edition || DeprivationLayer.edition);
+      rows += _row(`${edition} decile`, lsoa.imd_decile != null ? `${lsoa.imd_decile} / 10 (1 = most deprived)` : '—');
+      rows += _row(`${edition} score`, _fmt(lsoa.imd_score));
+      if (lsoa.imd_change) {
+        const { since, domain, delta, approx } = lsoa.imd_change;
+        const what = domain && domain !== 'imd' ? `${Scoring.IMD_DOMAINS[domain]} decile` : 'Decile';
+        rows += _row(`${what} change since ${DeprivationLayer.editionLabel(since)}`,
+          `${delta > 0 ? '+' : ''}${delta}${delta > 0 ? ' (improving)' : delta < 0 ? ' (declining)' : ''}` +
+          (approx ? ' <span class="print-muted">approximate: boundaries changed</span>' : ''));
+      }
+    } else {
+      rows += _row('LSOA', 'Outside study area');
+    }
+
+    rows += _section('Air quality');
+    rows += _row(`Estimated index (${pollutant})`, air.value != null
+      ? `${air.value.toFixed(1)} / 10 <span class="print-muted">IDW of ${air.count} station${air.count === 1 ? '' : 's'}</span>`
+      : 'No station within range');
+    for (const st of stations) {
+      rows += _row(st.name, `${st.maxAQI != null ? 'AQI ' + st.maxAQI : 'no data'} <span class="print-muted">${st.distKm.toFixed(1)} km</span>`);
+    }
+    const snapshot = AirQualityLayer.snapshot;
+    const updated = AirQualityLayer.lastUpdated;
+    rows += _row('Data', snapshot != null ? _escape(snapshot)
+      : updated ? `Updated ${_escape(new Date(updated).toLocaleString())}` : '—');
+
+    rows += _section('Flood risk');
+    rows += _row('Rivers & sea', flood ? _floodCell(flood.zone) : 'unavailable');
+    rows += _row('Surface water', flood ? _floodCell(flood.surfaceWater) : 'unavailable');
+
+    rows += _section('Noise');
+    rows += _row(NoiseLayer.describe(noise ? noise.metric : NoiseLayer.layerName()),
+      noise ? _escape(noise.label) : 'unavailable');
+
+    rows += _section('Combined score');
+    if (combined) {
+      rows += _row('Score', `<strong>${combined.score.toFixed(2)} / 1.00</strong> <span class="print-muted">0 = best</span>`);
+      rows += _row('Components', `deprivation ${_fmt(combined.depComp)} · air ${_fmt(combined.aqComp)} · noise ${_fmt(combined.noiseComp)}`);
+      rows += _row('Weights', _escape(combined.weights));
+    } else {
+      rows += _row('Score', '—');
+    }
+    return rows;
+  }
+
+  async function _fill(report, { title, geometry }) {
+    const container = document.getElementById('print-report');
+    const { canvas, skipped } = await MapSnapshot.inset({
+      lat:    report.lat,
+      lng:    report.lng,
+      zoom:   INSET_ZOOM,
+      width:  INSET_WIDTH,
+      height: INSET_HEIGHT,
+      geometry,
+      points: report.stations.map(st => {
+        const station = AirQualityLayer._stations[st.code];
+        return station ? { lat: station.lat, lng: station.lng, color: '#3cb371' } : null;
+      }).filter(Boolean),
+    });
+
+    container.innerHTML = `
+      <header>
+        <h1>${_escape(title)}</h1>
+        <p class="print-muted">${report.lat.toFixed(5)}, ${report.lng.toFixed(5)} ·
+          data as of ${_escape(new Date(report.generated).toLocaleString())}</p>
+      </header>
+      <img class="print-inset" src="${canvas.toDataURL('image/png')}" alt="Map of the area" />
+      ${skipped ? '<p class="print-muted">Some base-map tiles could not be loaded.</p>' : ''}
+      <p class="print-muted">Red dot: report location. Green dots: nearest air quality stations.${geometry ? ' Blue: LSOA boundary.' : ''}</p>
+      <table class="print-table">${_tableHtml(report)}</table>
+      <h2>Data sources</h2>
+      <ul class="print-sources">${_sources().map(s => `<li>${s}</li>`).join('')}</ul>
+      <p class="print-muted">Air quality is estimated from the nearest monitoring stations; noise and flood risk are
+        read from the published maps at this point; the combined score uses the weights above.
+        Modelled values are indicative only.</p>
+    `;
+    const img = container.querySelector('.print-inset');
+    if (img.decode) await img.decode().catch(() => {});
+  }
+
+  /** Print the report for a point; pass an already built report to skip the queries. */
+  async function printPoint(lat, lng, { label = null, report = null } = {}) {
+    const r = report || await LocationReport.build(lat, lng);
+    const lsoa = r.lsoa ? DeprivationLayer._data.find(d => d.lsoa_code === r.lsoa.lsoa_code) : null;
+    await _fill(r, {
+      title:    label || (r.lsoa ? `${r.lsoa.lsoa_name}, ${r.lsoa.borough}` : 'Location report'),
+      geometry: lsoa ? lsoa.geometry : null,
+    });
+    window.print();
+  }
+
+  /** Print the report for an LSOA entry (DeprivationLayer._data). */
+  async function printLsoa(lsoa) {
+    const { lat, lng } = _pointIn(lsoa);
+    const report = await LocationReport.build(lat, lng);
+    await _fill(report, { title: `${lsoa.lsoa_name} (${lsoa.lsoa_code}), ${lsoa.borough}`, geometry: lsoa.geometry });
+    window.print();
+  }
+
+  async function downloadPng() {
+    const { canvas, skipped } = await MapSnapshot.capture(_map);
+    Download.file(`map-${_stamp(new Date())}.png`, await MapSnapshot.toBlob(canvas), 'image/png');
+    return skipped;
+  }
+
+  // ---- panel ---------------------------------------------------------
+
+  function _fillList() {
+    _el.list.innerHTML = DeprivationLayer._data
+      .map(d => `<option value="${_escape(`${d.lsoa_name} (${d.lsoa_code})`)}"></option>`)
+      .join('');
+  }
+
+  function init(container, map) {
+    _map = map;
+    container.innerHTML = `
+      <div class="print-layout">
+        <section class="print-item">
+          <h3>Map image</h3>
+          <p class="print-note">The current view with its visible layers and legends, as a PNG.</p>
+          <button type="button" data-png>Download PNG</button>
+          <span class="print-status" data-png-status></span>
+        </section>
+        <section class="print-item">
+          <h3>Area report</h3>
+          <p class="print-note">One page for an LSOA: map, every layer's values and data sources.
+            For any point, click the map and use "⎙ Print" in the report.</p>
+          <form data-print-form>
+            <input type="text" list="print-lsoa-list" placeholder="LSOA name or code" />
+            <datalist id="print-lsoa-list"></datalist>
+            <button type="submit">Print</button>
+          </form>
+          <span class="print-status" data-print-status></span>
+        </section>
+      </div>
+    `;
+    _el = {
+      png:         container.querySelector('[data-png]'),
+      pngStatus:   container.querySelector('[data-png-status]'),
+      form:        container.querySelector('[data-print-form]'),
+      input:       container.querySelector('[data-print-form] input'),
+      list:        container.querySelector('#print-lsoa-list'),
+      printStatus: container.querySelector('[data-print-status]'),
+    };
+
+    _el.png.addEventListener('click', async () => {
+      _el.png.disabled = true;
+      _setStatus(_el.pngStatus, 'Rendering…');
+      try {
+        const skipped = await downloadPng();
+        _setStatus(_el.pngStatus, skipped ? `Saved; ${skipped} image${skipped === 1 ? '' : 's'} could not be included` : 'Saved');
+      } catch (err) {
+        console.error('Map snapshot failed:', err);
+        _setStatus(_el.pngStatus, `Snapshot failed: ${err.message}`, true);
+      }
+      _el.png.disabled = false;
+    });
+
+    _el.form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const lsoa = _findLsoa(_el.input.value);
+      if (!lsoa) {
+        _setStatus(_el.printStatus, 'No LSOA with that name or code.', true);
+        return;
+      }
+      _setStatus(_el.printStatus, 'Preparing…');
+      try {
+        await printLsoa(lsoa);
+        _setStatus(_el.printStatus, '');
+      } catch (err) {
+        console.error('Print report failed:', err);
+        _setStatus(_el.printStatus, `Report failed: ${err.message}`, true);
+      }
+    });
+
+    _fillList();
+    DeprivationLayer.on('change', _fillList);
+  }
+
+  return { init, downloadPng, printPoint, printLsoa };
+})();
+
+Drawer.register({
+  id:    'print',
+  title: 'Snapshot & print',
+  init:  PrintReport.init,
+});
+
+LocationReport.addAction({
+  label: '⎙ Print',
+  title: 'Print a one-page report for this location',
+  run:   (report, { label }) => PrintReport.printPoint(report.lat, report.lng, { label, report }),
+});
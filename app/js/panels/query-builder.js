@@ -0,0 +1,565 @@
+/**
+ * Query builder — shortlists LSOAs with AND/OR conditions over what the
+ * layers know about each area, e.g.
+ *   IMD decile ≥ 7 AND nearest station AQI ≤ 3 AND flood zone ≠ 3 AND Lden < 60
+ * While a query is set, every LSOA that fails it is dimmed on the map (also
+ * with the drawer closed) and the panel counts matches per borough.
+ *
+ * Query shape (also what is saved):
+ *   { op: 'and' | 'or', rules: [ { attr, cmp, value } | group, … ] }
+ * Groups nest one level below the top. Rules without a value are ignored.
+ *
+ * Attributes that need a remote lookup per LSOA centroid (flood zone,
+ * surface water, noise per source and metric) are fetched the first time a
+ * query uses them; until an answer arrives, or if the lookup fails, a
+ * condition on it is unknown and the area is only half dimmed (the progress
+ * line counts failed lookups). Noise below the lowest mapped contour counts
+ * as 0 dB. The station AQI is that of the nearest station reporting the
+ * pollutant selected on the air quality layer. Saved queries persist in
+ * localStorage (Store).
+ */
+const QueryBuilder = (() => {
+  const OPERATORS = {
+    eq: { label: '=', test: (a, b) => a === b },
+    ne: { label: '≠', test: (a, b) => a !== b },
+    lt: { label: '<', test: (a, b) => a < b },
+    le: { label: '≤', test: (a, b) => a <= b },
+    gt: { label: '>', test: (a, b) => a > b },
+    ge: { label: '≥', test: (a, b) => a >= b },
+  };
+
+  const FLOOD_ZONES = [
+    { value: 0, label: 'outside zones 2/3' },
+    { value: 2, label: 'Zone 2' },
+    { value: 3, label: 'Zone 3' },
+  ];
+
+  const SURFACE_WATER = [
+    { value: 0, label: 'none' },
+    { value: 1, label: 'very low' },
+    { value: 2, label: 'low' },
+    { value: 3, label: 'medium' },
+    { value: 4, label: 'high' },
+  ];
+
+  // type: 'number' (free value), 'choice' (= / ≠ only) or 'ordinal' (ordered choices).
+  // fetch: key of the remote lookup the attribute needs (see _fetcher).
+  // get(lsoa) → value, null when it does not apply (the rule fails), or
+  // undefined while unknown. available() → false leaves the attribute out of
+  // the list (a domain the IMD GeoJSON has no deciles for).
+  const ATTRIBUTES = {
+    imd_decile:    { label: 'IMD decile',          type: 'number', get: l => l.imd_decile },
+    imd_score:     { label: 'IMD score',           type: 'number', get: l => l.imd_score },
+    // One decile per IoD domain: crime_decile, environment_decile, …
+    ...Object.fromEntries(Object.entries(Scoring.IMD_DOMAINS)
+      .filter(([key]) => key !== 'imd')
+      .map(([key, label]) => [`${key}_decile`, {
+        label: `${label} decile`, type: 'number', get: l => l[`${key}_decile`], available: () => DeprivationLayer.hasDomain(key),
+      }])),
+    borough:       { label: 'Borough',             type: 'choice', get: l => l.borough, choices: () => _boroughs() },
+    station_aqi:   { label: 'Nearest station AQI', type: 'number', get: l => _nearestAQI(l) },
+    flood_zone:    { label: 'Flood zone',          type: 'ordinal', fetch: 'flood', choices: () => FLOOD_ZONES,
+                     get: l => _fact('flood', l, r => r.zone === undefined ? undefined : _floodZoneValue(r.zone)) },
+    surface_water: { label: 'Surface water risk',  type: 'ordinal', fetch: 'flood', choices: () => SURFACE_WATER,
+                     get: l => _fact('flood', l, r => r.surfaceWater === undefined ? undefined : FloodRiskLayer.SW_BANDS.indexOf(r.surfaceWater) + 1) },
+    // One level per noise source and metric: noise_lden (road), rail_lnight, …
+    ...Object.fromEntries(Object.keys(NoiseLayer.SOURCES).flatMap(source =>
+      Object.keys(NoiseLayer.METRICS).map(metric => {
+        const name = NoiseLayer.layerName(source, metric);
+        return [`${source === 'road' ? 'noise' : source}_${metric}`,
+          { label: `${NoiseLayer.describe(name, true)} (dB)`, type: 'number', fetch: name, get: l => _fact(name, l, _noiseDb) }];
+      }))),
+  };
+
+  const NEW_RULE = { attr: 'imd_decile', cmp: 'ge', value: 7 };
+
+  const MATCH_STYLE   = { stroke: true, color: '#1f6fb2', weight: 1.5, opacity: 0.9, fill: false };
+  const FAIL_STYLE    = { stroke: false, fill: true, fillColor: '#222', fillOpacity: 0.55 };
+  const UNKNOWN_STYLE = { stroke: false, fill: true, fillColor: '#222', fillOpacity: 0.25 };
+
+  const EVALUATE_DELAY_MS = 200;
+  const STORE_KEY         = 'queries';
+
+  let _map = null;
+  let _el = null;            // { tree, show, counts, progress, saveForm, saveName, saved }
+  let _query = { op: 'and', rules: [] };
+  let _results = new Map();  // lsoa_code → true | false | null (unknown)
+  let _overlay = null;       // L.GeoJSON over every LSOA, restyled per result
+  let _overlayLayers = new Map();   // lsoa_code → polygon layer
+  let _showOverlay = true;
+  let _evaluateTimer = null;
+  let _factsId = 0;          // drops lookups from before a data reload
+  const _facts = {};         // fetch key → Map(lsoa_code → answer)
+  const _progress = {};      // fetch key → { done, failed, total }
+  const _events = Emitter.create();   // 'change' after each evaluation
+
+  // ---- helpers -------------------------------------------------------
+
+  function _escape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function _boroughs() {
+    return [...new Set(DeprivationLayer._data.map(l => l.borough))].sort()
+      .map(b => ({ value: b, label: b }));
+  }
+
+  function _floodZoneValue(zone) {
+    if (zone === null) return 0;
+    // 'Flood Zone 2/3' (zone not named in the attributes) counts as the higher risk
+    return zone === 'Flood Zone 2' ? 2 : 3;
+  }
+
+  function _noiseDb(sample) {
+    if (!sample) return undefined;   // query failed
+    return sample.db != null ? sample.db : 0;
+  }
+
+  /** Answer of a remote lookup for an LSOA, mapped through fn; undefined while missing. */
+  function _fact(key, lsoa, fn) {
+    const answers = _facts[key];
+    if (!answers || !answers.has(lsoa.lsoa_code)) return undefined;
+    return fn(answers.get(lsoa.lsoa_code));
+  }
+
+  function _nearestAQI(lsoa) {
+    if (!lsoa.centroid) return null;
+    if (!Object.keys(AirQualityLayer._stations).length) return undefined;   // not loaded yet
+    const [nearest] = AirQualityLayer.nearestStations(lsoa.centroid[0], lsoa.centroid[1], 1, AirQualityLayer.pollutant);
+    return nearest ? nearest.value : null;
+  }
+
+  function _isGroup(node) {
+    return Array.isArray(node.rules);
+  }
+
+  function _isComplete(rule) {
+    return ATTRIBUTES[rule.attr] && OPERATORS[rule.cmp] && rule.value != null && rule.value !== '';
+  }
+
+  function _operatorsFor(attr) {
+    return ATTRIBUTES[attr].type === 'choice' ? ['eq', 'ne'] : Object.keys(OPERATORS);
+  }
+
+  /** The node at a dotted index path ('' = top group, '1.0' = first rule of the second item). */
+  function _node(path) {
+    let node = _query;
+    for (const i of path.split('.').filter(Boolean)) node = node.rules[Number(i)];
+    return node;
+  }
+
+  function _parentOf(path) {
+    const parts = path.split('.');
+    const index = Number(parts.pop());
+    return { parent: _node(parts.join('.')), index };
+  }
+
+  // ---- evaluation ----------------------------------------------------
+
+  /**
+   * Three-valued result of a node for an LSOA: true / false, null when it
+   * depends on an answer not yet known, undefined when the node is empty.
+   */
+  function _evaluateNode(node, lsoa) {
+    if (_isGroup(node)) {
+      const values = node.rules.map(r => _evaluateNode(r, lsoa)).filter(v => v !== undefined);
+      if (!values.length) return undefined;
+      if (node.op === 'or') return values.includes(true) ? true : values.includes(null) ? null : false;
+      return values.includes(false) ? false : values.includes(null) ? null : true;
+    }
+    if (!_isComplete(node)) return undefined;
+    const value = ATTRIBUTES[node.attr].get(lsoa);
+    if (value === undefined) return null;
+    if (value === null) return false;
+    return OPERATORS[node.cmp].test(value, node.value);
+  }
+
+  function _fetchKeys(node, keys = new Set()) {
+    if (_isGroup(node)) node.rules.forEach(r => _fetchKeys(r, keys));
+    else if (_isComplete(node) && ATTRIBUTES[node.attr].fetch) keys.add(ATTRIBUTES[node.attr].fetch);
+    return keys;
+  }
+
+  // Keys other than 'flood' are noise WMS layer names (NoiseLayer.layerName)
+  function _fetcher(key) {
+    if (key === 'flood') return (points, onResult) => FloodRiskLayer.queryMany(points, onResult);
+    return (points, onResult) => NoiseLayer.sampleMany(points, onResult, key);
+  }
+
+  /** Whether a lookup answer is (partly) missing because its service failed. */
+  function _lookupFailed(key, answer) {
+    if (key === 'flood') return answer.zone === undefined || answer.surfaceWater === undefined;
+    return answer == null;
+  }
+
+  function _lookupLabel(key) {
+    return key === 'flood' ? 'flood risk' : NoiseLayer.describe(key, true) + ' noise';
+  }
+
+  /** Start the remote lookups the query needs and has not run yet. */
+  function _ensureFacts() {
+    for (const key of _fetchKeys(_query)) {
+      if (_facts[key]) continue;
+      const factsId = _factsId;
+      const answers = _facts[key] = new Map();
+      const targets = DeprivationLayer._data.filter(l => l.centroid);
+      _progress[key] = { done: 0, failed: 0, total: targets.length };
+
+      _fetcher(key)(
+        targets.map(l => ({ lat: l.centroid[0], lng: l.centroid[1] })),
+        (i, answer) => {
+          if (factsId !== _factsId) return;
+          answers.set(targets[i].lsoa_code, answer);
+          _progress[key].done++;
+          if (_lookupFailed(key, answer)) _progress[key].failed++;
+          _scheduleEvaluate();
+        });
+    }
+  }
+
+  function _scheduleEvaluate() {
+    if (_evaluateTimer) return;
+    _evaluateTimer = setTimeout(() => {
+      _evaluateTimer = null;
+      _evaluate();
+    }, EVALUATE_DELAY_MS);
+  }
+
+  function _evaluate() {
+    if (!_map) return;
+    _ensureFacts();
+    _results = new Map();
+    const active = _hasCompleteRule(_query);
+    if (active) {
+      for (const lsoa of DeprivationLayer._data) _results.set(lsoa.lsoa_code, _evaluateNode(_query, lsoa));
+    }
+    _updateOverlay(active);
+    _renderCounts(active);
+    _events.emit('change', { active });
+  }
+
+  function _hasCompleteRule(node) {
+    return _isGroup(node) ? node.rules.some(_hasCompleteRule) : _isComplete(node);
+  }
+
+  // ---- map overlay ---------------------------------------------------
+
+  function _buildOverlay() {
+    if (_overlay) _map.removeLayer(_overlay);
+    _overlayLayers = new Map();
+    const features = DeprivationLayer._data
+      .filter(l => l.geometry)
+      .map(l => ({ type: 'Feature', properties: { code: l.lsoa_code }, geometry: l.geometry }));
+    _overlay = L.geoJSON(features, {
+      interactive: false,
+      style: () => FAIL_STYLE,
+      onEachFeature: (feature, layer) => _overlayLayers.set(feature.properties.code, layer),
+    });
+  }
+
+  function _updateOverlay(active) {
+    if (!active || !_showOverlay) {
+      if (_overlay && _map.hasLayer(_overlay)) _map.removeLayer(_overlay);
+      return;
+    }
+    if (!_overlay) _buildOverlay();
+    for (const [code, layer] of _overlayLayers) {
+      const result = _results.get(code);
+      layer.setStyle(result === true ? MATCH_STYLE : result === null ? UNKNOWN_STYLE : FAIL_STYLE);
+    }
+    if (!_map.hasLayer(_overlay)) _overlay.addTo(_map);
+    _overlay.bringToFront();
+  }
+
+  // ---- rendering -----------------------------------------------------
+
+  function _valueControl(rule) {
+    const attr = ATTRIBUTES[rule.attr];
+    if (attr.choices) {
+      const choices = attr.choices();
+      return `<select data-field="value">
+        <option value="">—</option>
+        ${choices.map(c => `<option value="${_escape(c.value)}" ${c.value === rule.value ? 'selected' : ''}>${_escape(c.label)}</option>`).join('')}
+      </select>`;
+    }
+    return `<input type="number" step="any" data-field="value" value="${rule.value != null ? _escape(rule.value) : ''}" />`;
+  }
+
+  function _ruleHtml(rule, path) {
+    return `
+      <div class="query-rule" data-path="${path}">
+        <select data-field="attr">
+          ${Object.entries(ATTRIBUTES)
+            .filter(([key, a]) => key === rule.attr || !a.available || a.available())
+            .map(([key, a]) => `<option value="${key}" ${key === rule.attr ? 'selected' : ''}>${_escape(a.label)}</option>`).join('')}
+        </select>
+        <select data-field="cmp">
+          ${_operatorsFor(rule.attr).map(op => `<option value="${op}" ${op === rule.cmp ? 'selected' : ''}>${OPERATORS[op].label}</option>`).join('')}
+        </select>
+        ${_valueControl(rule)}
+        <button type="button" class="query-remove" data-action="remove" title="Remove">×</button>
+      </div>`;
+  }
+
+  function _groupHtml(group, path) {
+    const nested = path !== '';
+    const items = group.rules.map((node, i) => {
+      const childPath = nested ? `${path}.${i}` : String(i);
+      return _isGroup(node) ? _groupHtml(node, childPath) : _ruleHtml(node, childPath);
+    }).join('');
+    return `
+      <div class="query-group${nested ? ' nested' : ''}" data-path="${path}">
+        <div class="query-group-head">
+          <select data-field="op">
+            <option value="and" ${group.op === 'and' ? 'selected' : ''}>All of (AND)</option>
+            <option value="or" ${group.op === 'or' ? 'selected' : ''}>Any of (OR)</option>
+          </select>
+          ${nested ? '<button type="button" class="query-remove" data-action="remove" title="Remove group">×</button>' : ''}
+        </div>
+        ${items || '<p class="query-empty">No conditions yet.</p>'}
+        <div class="query-group-add">
+          <button type="button" data-action="add-rule">+ Condition</button>
+          ${nested ? '' : '<button type="button" data-action="add-group">+ Group</button>'}
+        </div>
+      </div>`;
+  }
+
+  function _renderTree() {
+    if (_el) _el.tree.innerHTML = _groupHtml(_query, '');
+  }
+
+  function _renderCounts(active) {
+    if (!_el) return;
+    if (!active) {
+      _el.counts.innerHTML = '<p class="query-empty">Add a condition to highlight matching areas.</p>';
+      _el.progress.textContent = '';
+      return;
+    }
+
+    const byBorough = {};
+    let matched = 0;
+    let unknown = 0;
+    for (const lsoa of DeprivationLayer._data) {
+      const b = byBorough[lsoa.borough] = byBorough[lsoa.borough] || { match: 0, total: 0, unknown: 0 };
+      const result = _results.get(lsoa.lsoa_code);
+      b.total++;
+      if (result === true)      { b.match++; matched++; }
+      else if (result === null) { b.unknown++; unknown++; }
+    }
+    const rows = Object.keys(byBorough).sort().map(name => {
+      const b = byBorough[name];
+      return `<tr><td>${_escape(name)}</td><td class="num">${b.match}</td><td class="num">${b.total}</td>` +
+             `<td class="num query-unknown">${b.unknown || ''}</td></tr>`;
+    }).join('');
+    _el.counts.innerHTML = `
+      <table class="query-counts-table">
+        <tr><th>Borough</th><th class="num">Match</th><th class="num">LSOAs</th><th class="num">Unknown</th></tr>
+        ${rows}
+        <tr class="query-total"><td>Total</td><td class="num">${matched}</td><td class="num">${DeprivationLayer._data.length}</td>` +
+        `<td class="num query-unknown">${unknown || ''}</td></tr>
+      </table>`;
+
+    // Failed lookups are summed here rather than logged per LSOA
+    const used = Object.entries(_progress).filter(([key]) => _facts[key]);
+    const running = used.filter(([, p]) => p.done < p.total);
+    const failed = used.filter(([, p]) => p.failed);
+    _el.progress.textContent = [
+      running.length ? 'Looking up ' + running.map(([key, p]) => `${_lookupLabel(key)} ${p.done}/${p.total}`).join(', ') + '…' : '',
+      failed.length ? 'Failed lookups: ' + failed.map(([key, p]) => `${_lookupLabel(key)} ${p.failed}/${p.total}`).join(', ') + ' — counted as unknown.' : '',
+    ].filter(Boolean).join(' ');
+  }
+
+  // ---- saved queries -------------------------------------------------
+
+  function _describeNode(node) {
+    if (_isGroup(node)) {
+      const parts = node.rules.filter(_hasCompleteRule).map(r => _isGroup(r) ? `(${_describeNode(r)})` : _describeNode(r));
+      return parts.join(node.op === 'or' ? ' OR ' : ' AND ');
+    }
+    const attr = ATTRIBUTES[node.attr];
+    const choice = attr.choices ? attr.choices().find(c => c.value === node.value) : null;
+    return `${attr.label} ${OPERATORS[node.cmp].label} ${choice ? choice.label : node.value}`;
+  }
+
+  /** Human-readable summary of the current query, e.g. "IMD decile ≥ 7 AND Road Lden (dB) < 60". */
+  function describe(query = _query) {
+    return _describeNode(query);
+  }
+
+  function _saved() {
+    return Store.get(STORE_KEY, []);
+  }
+
+  function _renderSaved() {
+    if (!_el) return;
+    const saved = _saved();
+    _el.saved.innerHTML = saved.length
+      ? saved.map((q, i) => `
+          <li>
+            <button type="button" class="query-load" data-load="${i}" title="${_escape(describe(q.query))}">${_escape(q.name)}</button>
+            <button type="button" class="query-remove" data-delete="${i}" title="Delete">×</button>
+          </li>`).join('')
+      : '<li class="query-empty">None saved yet.</li>';
+  }
+
+  function _save(name) {
+    const saved = _saved().filter(q => q.name !== name);
+    saved.push({ name, query: JSON.parse(JSON.stringify(_query)) });
+    saved.sort((a, b) => a.name.localeCompare(b.name));
+    if (!Store.set(STORE_KEY, saved)) _el.progress.textContent = 'Could not save — browser storage is unavailable.';
+    _renderSaved();
+  }
+
+  // ---- editing -------------------------------------------------------
+
+  function _onTreeChange(e) {
+    const field = e.target.dataset.field;
+    const holder = e.target.closest('[data-path]');
+    if (!field || !holder) return;
+    const node = _node(holder.dataset.path);
+
+    if (field === 'op') {
+      node.op = e.target.value;
+    } else if (field === 'attr') {
+      node.attr = e.target.value;
+      if (!_operatorsFor(node.attr).includes(node.cmp)) node.cmp = 'eq';
+      node.value = null;
+      _renderTree();
+    } else if (field === 'cmp') {
+      node.cmp = e.target.value;
+    } else if (field === 'value') {
+      const attr = ATTRIBUTES[node.attr];
+      const raw = e.target.value;
+      if (raw === '')                  node.value = null;
+      else if (attr.type === 'choice') node.value = raw;
+      else if (!isNaN(parseFloat(raw))) node.value = parseFloat(raw);
+      else                             node.value = null;
+    }
+    _scheduleEvaluate();
+  }
+
+  function _onTreeClick(e) {
+    const action = e.target.dataset.action;
+    const holder = e.target.closest('[data-path]');
+    if (!action || !holder) return;
+    const path = holder.dataset.path;
+
+    if (action === 'add-rule')       _node(path).rules.push({ ...NEW_RULE });
+    else if (action === 'add-group') _node(path).rules.push({ op: 'or', rules: [{ ...NEW_RULE }] });
+    else if (action === 'remove') {
+      const { parent, index } = _parentOf(path);
+      parent.rules.splice(index, 1);
+    }
+    _renderTree();
+    _scheduleEvaluate();
+  }
+
+  /** Replace the current query (e.g. a saved one) and re-evaluate. */
+  function setQuery(query) {
+    _query = JSON.parse(JSON.stringify(query && _isGroup(query) ? query : { op: 'and', rules: [] }));
+    _renderTree();
+    _evaluate();
+  }
+
+  // ---- panel ---------------------------------------------------------
+
+  function init(container, map) {
+    _map = map;
+    container.innerHTML = `
+      <div class="query-layout">
+        <div class="query-builder">
+          <div class="query-tree"></div>
+          <div class="query-actions">
+            <label class="sub-option"><input type="checkbox" class="query-show" checked /> Dim areas that do not match</label>
+            <button type="button" class="query-clear">Clear</button>
+          </div>
+        </div>
+        <div class="query-side">
+          <h3>Matches by borough</h3>
+          <div class="query-counts"></div>
+          <p class="query-progress"></p>
+          <h3>Saved queries</h3>
+          <form class="query-save">
+            <input type="text" placeholder="Name this query" required />
+            <button type="submit">Save</button>
+          </form>
+          <ul class="query-saved"></ul>
+        </div>
+      </div>
+    `;
+    _el = {
+      tree:     container.querySelector('.query-tree'),
+      show:     container.querySelector('.query-show'),
+      counts:   container.querySelector('.query-counts'),
+      progress: container.querySelector('.query-progress'),
+      saveForm: container.querySelector('.query-save'),
+      saveName: container.querySelector('.query-save input'),
+      saved:    container.querySelector('.query-saved'),
+    };
+
+    _el.tree.addEventListener('change', _onTreeChange);
+    _el.tree.addEventListener('input', e => { if (e.target.type === 'number') _onTreeChange(e); });
+    _el.tree.addEventListener('click', _onTreeClick);
+    _el.show.addEventListener('change', () => {
+      _showOverlay = _el.show.checked;
+      _evaluate();
+    });
+    container.querySelector('.query-clear').addEventListener('click', () => setQuery(null));
+
+    _el.saveForm.addEventListener('submit', e => {
+      e.preventDefault();
+      const name = _el.saveName.value.trim();
+      if (!name || !_hasCompleteRule(_query)) return;
+      _save(name);
+      _el.saveName.value = '';
+    });
+    _el.saved.addEventListener('click', e => {
+      const load = e.target.dataset.load;
+      const del = e.target.dataset.delete;
+      if (load != null) {
+        const q = _saved()[Number(load)];
+        if (q) setQuery(q.query);
+      } else if (del != null) {
+        const saved = _saved();
+        saved.splice(Number(del), 1);
+        Store.set(STORE_KEY, saved);
+        _renderSaved();
+      }
+    });
+
+    // New LSOA data → fresh lookups and outlines; new air data → station AQI
+    DeprivationLayer.on('change', () => {
+      _factsId++;
+      for (const key of Object.keys(_facts)) delete _facts[key];
+      if (_overlay) _map.removeLayer(_overlay);
+      _overlay = null;
+      _renderTree();   // borough and domain choices
+      _evaluate();
+    });
+    AirQualityLayer.on('change', _scheduleEvaluate);
+
+    if (!_query.rules.length) _query.rules.push({ ...NEW_RULE });
+    _renderTree();
+    _renderSaved();
+    _evaluate();
+  }
+
+  return {
+    init,
+    setQuery,
+    describe,
+    on: _events.on,
+    get query() { return JSON.parse(JSON.stringify(_query)); },
+    get results() { return new Map(_results); },
+  };
+})();
+
+Drawer.register({
+  id:    'query',
+  title: 'Query areas',
+  init:  QueryBuilder.init,
+});
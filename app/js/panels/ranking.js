@@ -0,0 +1,251 @@
+/**
+ * Ranking table — every LSOA (DeprivationLayer._data) with its IMD, air,
+ * noise and combined score, in a Drawer panel. Sortable by any column and
+ * filterable by borough. Hovering a row outlines the LSOA on the map;
+ * clicking a row zooms to it.
+ *
+ * Scores come from CombinedScoreLayer.score() with the current weights, so
+ * they match the combined layer whether or not it is shown. Noise is
+ * sampled at each centroid once the panel is first opened (the cache is
+ * shared with the combined layer); until a sample arrives the row carries
+ * neutral noise, as on the map.
+ */
+const RankingTable = (() => {
+  const COLUMNS = [
+    { key: 'name',    label: 'LSOA',       get: r => r.lsoa.lsoa_name },
+    { key: 'borough', label: 'Borough',    get: r => r.lsoa.borough },
+    { key: 'decile',  label: 'IMD decile', get: r => r.lsoa.imd_decile,  numeric: true },
+    { key: 'imd',     label: 'IMD score',  get: r => r.lsoa.imd_score,   numeric: true },
+    { key: 'air',     label: 'Air',        get: r => r.score.aqComp,     numeric: true },
+    { key: 'noise',   label: 'Noise',      get: r => r.score.noiseComp,  numeric: true },
+    { key: 'score',   label: 'Combined',   get: r => r.score.score,      numeric: true },
+  ];
+
+  const RENDER_DELAY_MS = 250;   // batches re-renders while noise samples stream in
+  const HIGHLIGHT_STYLE = { color: '#111', weight: 3, fill: false, interactive: false };
+  const ZOOM_MAX        = 16;
+
+  let _map = null;
+  let _el = null;            // { filter, count, head, body }
+  let _rows = [];            // [{ lsoa, noiseSample, score }]
+  let _byCode = new Map();   // lsoa_code → row
+  let _sort = { key: 'score', dir: 'desc' };
+  let _hidden = new Set();   // boroughs filtered out
+  let _highlight = null;     // L.GeoJSON outline of the hovered row
+  let _open = false;
+  let _renderTimer = null;
+  let _sampleId = 0;         // drops samples from superseded runs
+  let _sampling = null;      // { done, total } while noise sampling runs
+
+  // ---- helpers -------------------------------------------------------
+
+  function _escape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function _pct(v) {
+    return v == null ? '—' : (v * 100).toFixed(0) + '%';
+  }
+
+  function _noiseCell(row) {
+    if (row.noiseSample === undefined) return '<span class="ranking-muted">…</span>';
+    if (row.noiseSample === null)      return `${_pct(row.score.noiseComp)} <span class="ranking-muted">n/a</span>`;
+    return `${_pct(row.score.noiseComp)} <span class="ranking-muted">${_escape(row.noiseSample.label)}</span>`;
+  }
+
+  // ---- data ----------------------------------------------------------
+
+  function _buildRows() {
+    _rows = DeprivationLayer._data.map(lsoa => ({ lsoa, noiseSample: undefined, score: null }));
+    _byCode = new Map(_rows.map(r => [r.lsoa.lsoa_code, r]));
+    _rescore();
+    _buildFilter();
+    _sampleNoise();
+  }
+
+  /** Re-score every row with the current weights and air data. */
+  function _rescore() {
+    for (const row of _rows) row.score = CombinedScoreLayer.score(row.lsoa, row.noiseSample);
+    _scheduleRender();
+  }
+
+  async function _sampleNoise() {
+    const sampleId = ++_sampleId;
+    const targets = _rows.filter(r => r.lsoa.centroid);
+    for (const row of targets) row.noiseSample = undefined;
+    _sampling = { done: 0, total: targets.length };
+
+    await NoiseLayer.sampleMany(
+      targets.map(r => ({ lat: r.lsoa.centroid[0], lng: r.lsoa.centroid[1] })),
+      (i, sample) => {
+        if (sampleId !== _sampleId) return;
+        const row = targets[i];
+        row.noiseSample = sample;
+        row.score = CombinedScoreLayer.score(row.lsoa, sample);
+        _sampling.done++;
+        _scheduleRender();
+      });
+    if (sampleId !== _sampleId) return;
+    _sampling = null;
+    _scheduleRender();
+  }
+
+  // ---- rendering -----------------------------------------------------
+
+  function _scheduleRender() {
+    if (!_open || _renderTimer) return;
+    _renderTimer = setTimeout(() => {
+      _renderTimer = null;
+      _render();
+    }, RENDER_DELAY_MS);
+  }
+
+  function _sorted(rows) {
+    const col = COLUMNS.find(c => c.key === _sort.key);
+    const sign = _sort.dir === 'asc' ? 1 : -1;
+    return rows.slice().sort((a, b) => {
+      const va = col.get(a);
+      const vb = col.get(b);
+      if (va == null) return vb == null ? 0 : 1;   // missing values last either way
+      if (vb == null) return -1;
+      return sign * (col.numeric ? va - vb : String(va).localeCompare(String(vb)));
+    });
+  }
+
+  function _render() {
+    if (!_el) return;
+    const visible = _sorted(_rows.filter(r => !_hidden.has(r.lsoa.borough)));
+
+    _el.body.innerHTML = visible.map(r => `
+      <tr data-code="${_escape(r.lsoa.lsoa_code)}">
+        <td title="${_escape(r.lsoa.lsoa_code)}">${_escape(r.lsoa.lsoa_name)}</td>
+        <td>${_escape(r.lsoa.borough)}</td>
+        <td class="num">${r.lsoa.imd_decile != null ? r.lsoa.imd_decile : '—'}</td>
+        <td class="num">${r.lsoa.imd_score != null ? r.lsoa.imd_score.toFixed(1) : '—'}</td>
+        <td class="num">${_pct(r.score.aqComp)}</td>
+        <td class="num">${_noiseCell(r)}</td>
+        <td class="num"><strong>${r.score.score.toFixed(2)}</strong></td>
+      </tr>`).join('');
+
+    for (const th of _el.head.querySelectorAll('th')) {
+      const active = th.dataset.key === _sort.key;
+      th.classList.toggle('sorted', active);
+      th.setAttribute('aria-sort', active ? (_sort.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+      th.querySelector('.sort-arrow').textContent = active ? (_sort.dir === 'asc' ? '▲' : '▼') : '';
+    }
+
+    _el.count.textContent = `${visible.length} of ${_rows.length} LSOAs` +
+      (_sampling ? ` · sampling noise ${_sampling.done}/${_sampling.total}…` : '') +
+      ` · weights ${CombinedScoreLayer.describeWeights()}`;
+  }
+
+  function _buildFilter() {
+    const boroughs = [...new Set(_rows.map(r => r.lsoa.borough))].sort();
+    _el.filter.innerHTML = boroughs.map(b => `
+      <label class="sub-option"><input type="checkbox" value="${_escape(b)}" ${_hidden.has(b) ? '' : 'checked'} /> ${_escape(b)}</label>
+    `).join('');
+  }
+
+  // ---- map sync ------------------------------------------------------
+
+  function _showHighlight(row) {
+    _clearHighlight();
+    if (!row || !row.lsoa.geometry) return;
+    _highlight = L.geoJSON({ type: 'Feature', geometry: row.lsoa.geometry }, { style: HIGHLIGHT_STYLE }).addTo(_map);
+  }
+
+  function _clearHighlight() {
+    if (_highlight) _map.removeLayer(_highlight);
+    _highlight = null;
+  }
+
+  function _rowFor(target) {
+    const tr = target.closest('tr[data-code]');
+    return tr ? _byCode.get(tr.dataset.code) : null;
+  }
+
+  // ---- panel ---------------------------------------------------------
+
+  function init(container, map) {
+    _map = map;
+    container.innerHTML = `
+      <div class="ranking-toolbar">
+        <div class="ranking-filter"></div>
+        <div class="ranking-count"></div>
+      </div>
+      <table class="ranking-table">
+        <thead><tr>${COLUMNS.map(c => `
+          <th data-key="${c.key}" class="${c.numeric ? 'num' : ''}">${c.label}<span class="sort-arrow"></span></th>`).join('')}
+        </tr></thead>
+        <tbody></tbody>
+      </table>
+    `;
+    _el = {
+      filter: container.querySelector('.ranking-filter'),
+      count:  container.querySelector('.ranking-count'),
+      head:   container.querySelector('thead'),
+      body:   container.querySelector('tbody'),
+    };
+
+    _el.head.addEventListener('click', e => {
+      const th = e.target.closest('th[data-key]');
+      if (!th) return;
+      const col = COLUMNS.find(c => c.key === th.dataset.key);
+      _sort = _sort.key === col.key
+        ? { key: col.key, dir: _sort.dir === 'asc' ? 'desc' : 'asc' }
+        : { key: col.key, dir: col.numeric ? 'desc' : 'asc' };
+      _render();
+    });
+
+    _el.filter.addEventListener('change', e => {
+      if (e.target.checked) _hidden.delete(e.target.value);
+      else _hidden.add(e.target.value);
+      _render();
+    });
+
+    _el.body.addEventListener('mouseover', e => {
+      const row = _rowFor(e.target);
+      if (row) _showHighlight(row);
+    });
+    _el.body.addEventListener('mouseleave', _clearHighlight);
+    _el.body.addEventListener('click', e => {
+      const row = _rowFor(e.target);
+      if (!row || !row.lsoa.geometry) return;
+      _map.fitBounds(L.geoJSON(row.lsoa.geometry).getBounds(), { maxZoom: ZOOM_MAX });
+    });
+
+    // Keep scores in step with the inputs
+    DeprivationLayer.on('change', _buildRows);
+    AirQualityLayer.on('change', _rescore);
+    NoiseLayer.on('change', _sampleNoise);
+    CombinedScoreLayer.on('change', ({ reason }) => {
+      if (reason === 'weights' || reason === 'air' || reason === 'deprivation') _rescore();
+    });
+
+    _buildRows();
+  }
+
+  return {
+    init,
+    onOpen() {
+      _open = true;
+      _render();
+    },
+    onClose() {
+      _open = false;
+      _clearHighlight();
+    },
+  };
+})();
+
+Drawer.register({
+  id:      'ranking',
+  title:   'Rank areas',
+  init:    RankingTable.init,
+  onOpen:  RankingTable.onOpen,
+  onClose: RankingTable.onClose,
+});
@@ -0,0 +1,82 @@
+/**
+ * Search box — postcode, address or LSOA lookup via Geocoder.
+ *
+ * Picking a result flies the map there and opens the location report
+ * (with a marker) for that point. A single result is picked automatically.
+ */
+const SearchBox = (() => {
+  // Zoom to fly to, by result kind
+  const ZOOM = { postcode: 16, address: 17, lsoa: 15 };
+
+  let _map = null;
+  let _input = null;
+  let _results = null;
+  let _status = null;
+  let _searchId = 0;
+
+  function _clearResults() {
+    _results.innerHTML = '';
+    _results.classList.add('hidden');
+  }
+
+  function _select(result) {
+    _clearResults();
+    _map.flyTo([result.lat, result.lng], ZOOM[result.kind] || 16);
+    LocationReport.show(result.lat, result.lng, { label: result.label });
+  }
+
+  function _renderResults(results) {
+    _results.innerHTML = '';
+    for (const result of results) {
+      const li = document.createElement('li');
+      li.textContent = result.label;
+      li.title = result.label;
+      li.addEventListener('click', () => _select(result));
+      _results.appendChild(li);
+    }
+    _results.classList.toggle('hidden', !results.length);
+  }
+
+  async function _search() {
+    const query = _input.value.trim();
+    const searchId = ++_searchId;
+    _clearResults();
+    if (!query) {
+      _status.textContent = '';
+      return;
+    }
+
+    _status.className = 'loading-msg';
+    _status.textContent = 'Searching…';
+    const results = await Geocoder.search(query);
+    if (searchId !== _searchId) return;
+
+    if (!results.length) {
+      _status.className = 'error-msg';
+      _status.textContent = 'No matches found.';
+      return;
+    }
+    _status.textContent = '';
+    if (results.length === 1) _select(results[0]);
+    else _renderResults(results);
+  }
+
+  // ---- public API ----------------------------------------------------
+
+  function init(map) {
+    _map = map;
+    _input   = document.getElementById('search-input');
+    _results = document.getElementById('search-results');
+    _status  = document.getElementById('search-status');
+
+    document.getElementById('search-form').addEventListener('submit', e => {
+      e.preventDefault();
+      _search();
+    });
+    _input.addEventListener('keydown', e => {
+      if (e.key === 'Escape') _clearResults();
+    });
+  }
+
+  return { init };
+})();
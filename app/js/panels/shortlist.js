@@ -0,0 +1,355 @@
+/**
+ * Shortlist — candidate properties pinned on the map, compared side by side.
+ *
+ * Pins are added from the location report ("☆ Shortlist"), which snapshots
+ * the full report (LSOA, IMD decile, nearest stations, flood, noise,
+ * combined score) at that moment; "Refresh" re-takes the snapshot with the
+ * current data and weights. Each pin also carries a label, notes and a link.
+ *
+ * The list persists in localStorage (Store) and can be exported / imported
+ * as JSON:
+ *   { type: 'wlem-shortlist', version: 1, exported, items: [entry, …] }
+ *   entry: { id, lat, lng, label, notes, link, added, report }
+ * Importing adds entries whose id is not already on the list.
+ *
+ * init(map) (from app.js) draws the pins; the comparison table is a Drawer panel.
+ */
+const Shortlist = (() => {
+  const STORE_KEY     = 'shortlist';
+  const FILE_TYPE     = 'wlem-shortlist';
+  const FILE_VERSION  = 1;
+  const SAVE_DELAY_MS = 400;   // batches saves while notes are typed
+
+  let _map = null;
+  let _pins = null;          // L.LayerGroup of numbered markers
+  let _el = null;            // { table, status, file }
+  let _items = Store.get(STORE_KEY, []);
+  let _saveTimer = null;
+  const _events = Emitter.create();   // 'change' when entries are added, removed or edited
+
+  // Comparison rows below the editable ones. value() feeds the "best" marker:
+  // best 'min' / 'max' highlights the lowest / highest value across pins.
+  const ROWS = [
+    { label: 'LSOA', html: r => r.lsoa
+      ? `${_escape(r.lsoa.lsoa_name)}<br><span class="report-muted">${_escape(r.lsoa.lsoa_code)}</span>`
+      : 'Outside study area' },
+    { label: 'Borough', html: r => r.lsoa ? _escape(r.lsoa.borough) : '—' },
+    { label: 'IMD decile', best: 'max',
+      value: r => r.lsoa ? r.lsoa.imd_decile : null,
+      html:  (r, v) => v != null ? `${v} / 10` : '—' },
+    { label: 'Nearest AQI', best: 'min',
+      value: r => (r.stations[0] ? r.stations[0].maxAQI : null),
+      html:  (r, v) => r.stations[0]
+        ? `${v != null ? v : 'no data'}<br><span class="report-muted">${_escape(r.stations[0].name)} · ${r.stations[0].distKm.toFixed(1)} km</span>`
+        : '—' },
+    { label: 'Flood zone', html: r => _floodCell(r.flood && r.flood.zone) },
+    { label: 'Surface water', html: r => _floodCell(r.flood && r.flood.surfaceWater) },
+    { label: 'Noise',
+      html: r => r.noise
+        ? `${_escape(r.noise.label)}<br><span class="report-muted">${_escape(NoiseLayer.describe(r.noise.metric))}</span>`
+        : '<span class="error-msg">unavailable</span>' },
+    { label: 'Combined score', best: 'min',
+      value: r => (r.combined ? r.combined.score : null),
+      html:  (r, v) => v != null
+        ? `<strong>${v.toFixed(2)}</strong><br><span class="report-muted">${_escape(r.combined.weights)}</span>`
+        : '—' },
+    { label: 'Snapshot', html: r => _escape(new Date(r.generated).toLocaleString()) },
+  ];
+
+  // ---- helpers -------------------------------------------------------
+
+  function _escape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function _floodCell(value) {
+    if (value === undefined) return '<span class="error-msg">unavailable</span>';
+    return value ? _escape(value) : 'Outside mapped areas';
+  }
+
+  /** Only http(s) links are rendered as anchors. */
+  function _safeLink(link) {
+    return /^https?:\/\//i.test(link || '') ? link : null;
+  }
+
+  function _newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  }
+
+  function _find(id) {
+    return _items.find(item => item.id === id) || null;
+  }
+
+  function _save() {
+    clearTimeout(_saveTimer);
+    _saveTimer = null;
+    if (!Store.set(STORE_KEY, _items)) _setStatus('Could not save — browser storage is unavailable.', true);
+  }
+
+  function _saveSoon() {
+    clearTimeout(_saveTimer);
+    _saveTimer = setTimeout(_save, SAVE_DELAY_MS);
+  }
+
+  function _changed(reason) {
+    _save();
+    _renderPins();
+    _renderTable();
+    _events.emit('change', { reason });
+  }
+
+  function _setStatus(text, isError = false) {
+    if (!_el) return;
+    _el.status.textContent = text;
+    _el.status.classList.toggle('error', isError);
+  }
+
+  // ---- pins ----------------------------------------------------------
+
+  function _renderPins() {
+    if (!_pins) return;
+    _pins.clearLayers();
+    _items.forEach((item, i) => {
+      const marker = L.marker([item.lat, item.lng], {
+        icon: L.divIcon({ className: 'shortlist-pin', html: `<span>${i + 1}</span>`, iconSize: [22, 22] }),
+        keyboard: false,
+      });
+      marker.bindTooltip(_escape(item.label || `Candidate ${i + 1}`));
+      marker.on('click', () => _focus(item.id));
+      _pins.addLayer(marker);
+    });
+  }
+
+  function _focus(id) {
+    Drawer.open('shortlist');
+    if (!_el) return;
+    const cells = _el.table.querySelectorAll(`[data-id="${id}"]`);
+    cells.forEach(cell => cell.classList.add('focused'));
+    if (cells[0]) cells[0].scrollIntoView({ block: 'nearest', inline: 'center' });
+    setTimeout(() => cells.forEach(cell => cell.classList.remove('focused')), 1500);
+  }
+
+  // ---- comparison table ----------------------------------------------
+
+  function _bestValues(row) {
+    const values = _items.map(item => row.value(item.report)).filter(v => v != null);
+    if (values.length < 2) return null;
+    return row.best === 'min' ? Math.min(...values) : Math.max(...values);
+  }
+
+  function _renderTable() {
+    if (!_el) return;
+    if (!_items.length) {
+      _el.table.innerHTML = '<p class="shortlist-empty">No candidates yet — click the map and use “☆ Shortlist” in the report.</p>';
+      return;
+    }
+
+    const head = _items.map((item, i) => `
+      <th data-id="${item.id}">
+        <span class="shortlist-num">${i + 1}</span>
+        <button type="button" data-zoom="${item.id}" title="Zoom to pin">Zoom</button>
+        <button type="button" data-refresh="${item.id}" title="Re-take the snapshot with current data">Refresh</button>
+        <button type="button" class="shortlist-remove" data-remove="${item.id}" title="Remove">×</button>
+      </th>`).join('');
+
+    const edit = (field, label, control) => `
+      <tr><th>${label}</th>${_items.map(item => `<td data-id="${item.id}">${control(item, field)}</td>`).join('')}</tr>`;
+    const input = (item, field) =>
+      `<input type="text" data-field="${field}" data-item="${item.id}" value="${_escape(item[field])}" />`;
+
+    const rows = ROWS.map(row => {
+      const best = row.best ? _bestValues(row) : null;
+      return `<tr><th>${row.label}</th>${_items.map(item => {
+        const v = row.value ? row.value(item.report) : undefined;
+        const isBest = best != null && v === best;
+        return `<td data-id="${item.id}" class="${isBest ? 'best' : ''}">${row.html(item.report, v)}</td>`;
+      }).join('')}</tr>`;
+    }).join('');
+
+    _el.table.innerHTML = `
+      <table class="shortlist-table">
+        <tr><th></th>${head}</tr>
+        ${edit('label', 'Label', input)}
+        ${edit('link', 'Link', (item, field) => input(item, field) +
+          ` <a class="shortlist-link" target="_blank" rel="noopener" href="${_escape(_safeLink(item.link) || '')}"` +
+          `${_safeLink(item.link) ? '' : ' hidden'}>open ↗</a>`)}
+        ${edit('notes', 'Notes', (item, field) =>
+          `<textarea rows="2" data-field="${field}" data-item="${item.id}">${_escape(item.notes)}</textarea>`)}
+        ${rows}
+      </table>
+    `;
+  }
+
+  // ---- import / export -----------------------------------------------
+
+  function _export() {
+    const file = { type: FILE_TYPE, version: FILE_VERSION, exported: new Date().toISOString(), items: _items };
+    Download.file(`shortlist-${file.exported.slice(0, 10)}.json`, JSON.stringify(file, null, 2), 'application/json');
+  }
+
+  function _validEntry(entry) {
+    return entry && typeof entry.lat === 'number' && typeof entry.lng === 'number' &&
+           entry.report && typeof entry.report === 'object' && Array.isArray(entry.report.stations);
+  }
+
+  async function _import(file) {
+    let added = 0;
+    let skipped = 0;
+    try {
+      const json = JSON.parse(await file.text());
+      const entries = Array.isArray(json) ? json : json && json.type === FILE_TYPE ? json.items : null;
+      if (!Array.isArray(entries)) throw new Error('not a shortlist file');
+      for (const entry of entries) {
+        if (!_validEntry(entry) || (entry.id && _find(entry.id))) {
+          skipped++;
+          continue;
+        }
+        _items.push({
+          id:    entry.id || _newId(),
+          lat:   entry.lat,
+          lng:   entry.lng,
+          label: String(entry.label || ''),
+          notes: String(entry.notes || ''),
+          link:  String(entry.link || ''),
+          added: entry.added || new Date().toISOString(),
+          report: entry.report,
+        });
+        added++;
+      }
+    } catch (err) {
+      _setStatus(`Import failed: ${err.message}`, true);
+      return;
+    }
+    _changed('import');
+    _setStatus(`Imported ${added} candidate${added === 1 ? '' : 's'}` + (skipped ? `, skipped ${skipped} (duplicate or invalid).` : '.'));
+  }
+
+  // ---- public API ----------------------------------------------------
+
+  /** Pin a finished LocationReport report; returns the new entry. */
+  function add(report, { label = '' } = {}) {
+    const item = {
+      id:    _newId(),
+      lat:   report.lat,
+      lng:   report.lng,
+      label: label || (report.lsoa ? report.lsoa.lsoa_name : ''),
+      notes: '',
+      link:  '',
+      added: new Date().toISOString(),
+      report,
+    };
+    _items.push(item);
+    _changed('add');
+    _setStatus(`Added “${item.label || 'candidate'}”.`);
+    return item;
+  }
+
+  function remove(id) {
+    _items = _items.filter(item => item.id !== id);
+    _changed('remove');
+  }
+
+  async function refresh(id) {
+    const item = _find(id);
+    if (!item) return;
+    _setStatus('Refreshing snapshot…');
+    const report = await LocationReport.build(item.lat, item.lng);
+    if (!_find(id)) return;
+    item.report = report;
+    _changed('refresh');
+    _setStatus('Snapshot refreshed.');
+  }
+
+  function init(map) {
+    _map = map;
+    _pins = L.layerGroup().addTo(_map);
+    _renderPins();
+  }
+
+  function initPanel(container) {
+    container.innerHTML = `
+      <div class="shortlist-toolbar">
+        <button type="button" data-tool="export">Export JSON</button>
+        <label class="shortlist-import">Import JSON <input type="file" accept=".json,application/json" /></label>
+        <button type="button" data-tool="clear">Clear all</button>
+        <span class="shortlist-status"></span>
+      </div>
+      <div class="shortlist-body"></div>
+    `;
+    _el = {
+      table:  container.querySelector('.shortlist-body'),
+      status: container.querySelector('.shortlist-status'),
+      file:   container.querySelector('input[type="file"]'),
+    };
+
+    container.querySelector('[data-tool="export"]').addEventListener('click', _export);
+    container.querySelector('[data-tool="clear"]').addEventListener('click', () => {
+      if (!_items.length || !confirm(`Remove all ${_items.length} candidates from the shortlist?`)) return;
+      _items = [];
+      _changed('clear');
+    });
+    _el.file.addEventListener('change', () => {
+      if (_el.file.files[0]) _import(_el.file.files[0]);
+      _el.file.value = '';
+    });
+
+    // Editable cells save as they are typed (no re-render, so focus stays);
+    // pin tooltips follow the label once the field is left
+    _el.table.addEventListener('input', e => {
+      const item = _find(e.target.dataset.item);
+      if (!item) return;
+      item[e.target.dataset.field] = e.target.value;
+      if (e.target.dataset.field === 'link') {
+        const anchor = e.target.parentElement.querySelector('.shortlist-link');
+        anchor.href = _safeLink(item.link) || '';
+        anchor.hidden = !_safeLink(item.link);
+      }
+      _saveSoon();
+    });
+    _el.table.addEventListener('change', e => {
+      if (!_find(e.target.dataset.item)) return;
+      _save();
+      _renderPins();
+      _events.emit('change', { reason: 'edit' });
+    });
+    _el.table.addEventListener('click', e => {
+      const { zoom, refresh: refreshId, remove: removeId } = e.target.dataset;
+      if (zoom) {
+        const item = _find(zoom);
+        if (item) _map.setView([item.lat, item.lng], Math.max(_map.getZoom(), 16));
+      } else if (refreshId) {
+        refresh(refreshId);
+      } else if (removeId) {
+        remove(removeId);
+      }
+    });
+
+    _renderTable();
+  }
+
+  return {
+    init,
+    initPanel,
+    add,
+    remove,
+    refresh,
+    on: _events.on,
+    get items() { return JSON.parse(JSON.stringify(_items)); },
+  };
+})();
+
+Drawer.register({
+  id:    'shortlist',
+  title: 'Shortlist',
+  init:  Shortlist.initPanel,
+});
+
+LocationReport.addAction({
+  label: '☆ Shortlist',
+  title: 'Pin this location to the shortlist with a snapshot of this report',
+  run:   (report, { label }) => Shortlist.add(report, { label }),
+});
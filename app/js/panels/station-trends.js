@@ -0,0 +1,180 @@
+/**
+ * Station trends — the charts section of an air quality station popup:
+ * per-species sparklines of hourly concentrations over the last 24 hours
+ * and 7 days, plus the previous year's annual mean against WHO and UK limits.
+ *
+ * All data comes through ErgApi, so it follows the layer's data source. With
+ * the offline fixtures, "now" is the last day of the fixture window.
+ *
+ * load(code) resolves to plain data; html(code) to the popup markup.
+ */
+const StationTrends = (() => {
+  // Annual-mean limits (µg/m³): WHO 2021 air quality guidelines and the UK
+  // (England) limit values. Species without an annual standard are omitted.
+  const ANNUAL_LIMITS = {
+    NO2:  { who: 10, uk: 40 },
+    PM10: { who: 15, uk: 40 },
+    PM25: { who: 5,  uk: 20 },
+  };
+
+  const SPECIES_ORDER = ['NO2', 'PM25', 'PM10', 'O3', 'SO2'];
+  const WEEK_HOURS    = 7 * 24;
+  const DAY_HOURS     = 24;
+  const LINE_COLOR    = '#2980b9';
+  const HOUR_MS       = 3600 * 1000;
+
+  const _cache = new Map();   // `${source}|${siteCode}` → Promise<trends>
+
+  // ---- helpers -------------------------------------------------------
+
+  function _escape(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function _addDays(date, n) {
+    const d = new Date(date + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+  }
+
+  function _speciesLabel(code) {
+    return AirQualityLayer.POLLUTANTS[code] || code;
+  }
+
+  /** Date range to fetch and the annual-report year, for the current source. */
+  async function _window() {
+    if (ErgApi.source === 'fixtures') {
+      const manifest = await ErgApi.fixtureWindow();
+      return {
+        start: _addDays(manifest.end, -7),
+        end:   _addDays(manifest.end, 1),
+        year:  manifest.annualYear || Number(manifest.start.slice(0, 4)) - 1,
+      };
+    }
+    const today = new Date().toISOString().slice(0, 10);
+    return {
+      start: _addDays(today, -7),
+      end:   _addDays(today, 1),
+      year:  new Date().getUTCFullYear() - 1,
+    };
+  }
+
+  // ---- data ----------------------------------------------------------
+
+  async function _fetch(siteCode) {
+    const { start, end, year } = await _window();
+    const [data, annual] = await Promise.all([
+      ErgApi.siteData(siteCode, start, end),
+      ErgApi.annualMeans(siteCode, year).catch(err => {
+        console.warn(`Annual report for ${siteCode} unavailable:`, err);
+        return {};
+      }),
+    ]);
+
+    // Hourly slots ending at the latest measurement, so gaps stay visible
+    const times = data.filter(d => d.value != null).map(d => Date.parse(d.time + 'Z'));
+    const latest = times.length ? Math.max(...times) : null;
+    const series = {};
+    for (const d of data) {
+      if (latest == null) break;
+      const slot = WEEK_HOURS - 1 - Math.round((latest - Date.parse(d.time + 'Z')) / HOUR_MS);
+      if (slot < 0 || slot >= WEEK_HOURS) continue;
+      (series[d.species] = series[d.species] || new Array(WEEK_HOURS).fill(null))[slot] = d.value;
+    }
+
+    const codes = [...new Set([...Object.keys(series), ...Object.keys(annual)])]
+      .sort((a, b) => (SPECIES_ORDER.indexOf(a) + 1 || 99) - (SPECIES_ORDER.indexOf(b) + 1 || 99));
+    const species = {};
+    for (const code of codes) {
+      const week = series[code] || new Array(WEEK_HOURS).fill(null);
+      const lastValue = [...week].reverse().find(v => v != null);
+      species[code] = {
+        week,
+        day:    week.slice(-DAY_HOURS),
+        latest: lastValue != null ? lastValue : null,
+        annual: annual[code] != null ? annual[code] : null,
+        limits: ANNUAL_LIMITS[code] || null,
+      };
+    }
+    return { siteCode, species, year, latest: latest != null ? new Date(latest).toISOString() : null };
+  }
+
+  /**
+   * Trend data for a station:
+   * { siteCode, year, latest, species: { NO2: { day, week, latest, annual, limits } } }.
+   * Cached per data source; failures are not cached.
+   */
+  function load(siteCode) {
+    const key = `${ErgApi.source}|${siteCode}`;
+    if (!_cache.has(key)) {
+      _cache.set(key, _fetch(siteCode).catch(err => {
+        _cache.delete(key);
+        throw err;
+      }));
+    }
+    return _cache.get(key);
+  }
+
+  /** Forget cached trends (e.g. after the live index refreshes). */
+  function clear() {
+    _cache.clear();
+  }
+
+  // ---- markup --------------------------------------------------------
+
+  function _limitBadge(label, mean, limit) {
+    const ok = mean <= limit;
+    return `<span class="${ok ? 'limit-ok' : 'limit-over'}">${ok ? '✓' : '✕'} ${label} ${limit}</span>`;
+  }
+
+  function _annualLine(year, s) {
+    if (s.annual == null) return `<span class="aq-trends-muted">No ${year} annual mean</span>`;
+    const mean = `${year} mean ${s.annual.toFixed(1)}`;
+    if (!s.limits) return `${mean} <span class="aq-trends-muted">(no annual limit)</span>`;
+    return `${mean} · ${_limitBadge('UK', s.annual, s.limits.uk)} · ${_limitBadge('WHO', s.annual, s.limits.who)}`;
+  }
+
+  function _rows(trends) {
+    let rows = '';
+    for (const [code, s] of Object.entries(trends.species)) {
+      const max = Math.max(0, ...s.week.filter(v => v != null));
+      const title = values => {
+        const valid = values.filter(v => v != null);
+        return valid.length ? `${Math.min(...valid)}–${Math.max(...valid)} µg/m³` : 'No data';
+      };
+      rows += `
+        <tr>
+          <td>${_escape(_speciesLabel(code))}${s.latest != null ? `<br><span class="aq-trends-muted">${s.latest} now</span>` : ''}</td>
+          <td>${Sparkline.svg(s.day,  { width: 60,  height: 20, color: LINE_COLOR, max, title: title(s.day) })}</td>
+          <td>${Sparkline.svg(s.week, { width: 100, height: 20, color: LINE_COLOR, max, title: title(s.week) })}</td>
+        </tr>
+        <tr><td colspan="3" class="aq-trend-annual">${_annualLine(trends.year, s)}</td></tr>`;
+    }
+    return rows;
+  }
+
+  /** Popup section for a station; resolves to a short note when the data cannot be fetched. */
+  async function html(siteCode) {
+    try {
+      const trends = await load(siteCode);
+      if (!Object.keys(trends.species).length) {
+        return '<p class="aq-trends-note">No recent measurements for this station.</p>';
+      }
+      return `
+        <table class="popup-table aq-trends">
+          <tr><td colspan="3" class="aq-trends-title">TRENDS (µg/m³)</td></tr>
+          <tr class="aq-trends-head"><td></td><td>24 h</td><td>7 days</td></tr>
+          ${_rows(trends)}
+        </table>
+      `;
+    } catch (err) {
+      console.warn(`Trends for ${siteCode} unavailable:`, err);
+      return `<p class="aq-trends-note">Trends unavailable (${_escape(err.message)}).</p>`;
+    }
+  }
+
+  return { load, html, clear, ANNUAL_LIMITS };
+})();
@@ -0,0 +1,40 @@
+/**
+ * Download utility — saves generated text (CSV, GeoJSON) as a file.
+ *
+ * Usage:
+ *   Download.file('areas.csv', Download.csv(rows, ['lsoa_code', 'imd_decile']), 'text/csv')
+ *   Download.file('area.geojson', JSON.stringify(feature), 'application/geo+json')
+ *
+ * csv(rows, columns): columns are property names, or { key, label } to
+ * rename the header. null/undefined become empty cells. csv() is DOM-free
+ * and also used from Node (scripts/score-lsoas.js).
+ */
+const Download = (() => {
+  function _cell(value) {
+    if (value == null) return '';
+    const str = String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function csv(rows, columns) {
+    const cols = columns.map(c => (typeof c === 'string' ? { key: c, label: c } : c));
+    const lines = [cols.map(c => _cell(c.label)).join(',')];
+    for (const row of rows) lines.push(cols.map(c => _cell(row[c.key])).join(','));
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  function file(filename, content, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  return { csv, file };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Download;
@@ -0,0 +1,103 @@
+/**
+ * Drawer — tool panels that open in a strip below the map, one at
+ * a time, with a button per panel under "Tools" in the sidebar.
+ *
+ * Usage (at the end of a panel module):
+ *   Drawer.register({
+ *     id:     'ranking',
+ *     title:  'Rank areas',
+ *     init:   (containerEl, map) => …,   // called once, on first open
+ *     onOpen: () => …,            // optional, every open
+ *     onClose: () => …,           // optional, every close
+ *   });
+ *
+ * app.js calls Drawer.init(map) after every panel has registered. Opening or
+ * closing the drawer changes the map size, so the map is told to re-measure.
+ */
+const Drawer = (() => {
+  const _panels = [];    // registration order
+  let _map = null;
+  let _el = null;        // { drawer, title, body, close, tools }
+  let _current = null;   // open panel id
+  const _buttons = {};   // panel id → sidebar button
+  const _bodies = {};    // panel id → container (created on first open)
+
+  function register(panel) {
+    if (!panel || !panel.id || !panel.init) throw new Error('Drawer: id and init are required');
+    if (_panels.some(p => p.id === panel.id)) throw new Error(`Drawer: duplicate panel id "${panel.id}"`);
+    _panels.push(panel);
+  }
+
+  function _get(id) {
+    return _panels.find(p => p.id === id) || null;
+  }
+
+  function init(map) {
+    _map = map;
+    _el = {
+      drawer: document.getElementById('drawer'),
+      title:  document.getElementById('drawer-title'),
+      body:   document.getElementById('drawer-body'),
+      close:  document.getElementById('drawer-close'),
+      tools:  document.getElementById('tool-list'),
+    };
+    _el.close.addEventListener('click', close);
+
+    for (const panel of _panels) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'tool-button';
+      btn.textContent = panel.title;
+      btn.addEventListener('click', () => toggle(panel.id));
+      _el.tools.appendChild(btn);
+      _buttons[panel.id] = btn;
+    }
+  }
+
+  function open(id) {
+    const panel = _get(id);
+    if (!panel || !_el) return;
+    if (_current === id) return;
+    if (_current) close();
+
+    if (!_bodies[id]) {
+      const body = document.createElement('div');
+      body.className = 'drawer-panel';
+      _el.body.appendChild(body);
+      _bodies[id] = body;
+      panel.init(body, _map);
+    }
+    _bodies[id].classList.remove('hidden');
+    _el.title.textContent = panel.title;
+    _el.drawer.classList.remove('hidden');
+    _buttons[id].classList.add('active');
+    _current = id;
+    _map.invalidateSize();
+    if (panel.onOpen) panel.onOpen();
+  }
+
+  function close() {
+    if (!_current) return;
+    const panel = _get(_current);
+    _bodies[_current].classList.add('hidden');
+    _buttons[_current].classList.remove('active');
+    _el.drawer.classList.add('hidden');
+    _current = null;
+    _map.invalidateSize();
+    if (panel.onClose) panel.onClose();
+  }
+
+  function toggle(id) {
+    if (_current === id) close();
+    else open(id);
+  }
+
+  return {
+    register,
+    init,
+    open,
+    close,
+    toggle,
+    get current() { return _current; },
+  };
+})();
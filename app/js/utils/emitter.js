@@ -0,0 +1,42 @@
+/**
+ * Emitter utility — minimal named-event pub/sub for layer modules.
+ *
+ * Usage:
+ *   const _events = Emitter.create();
+ *   const off = _events.on('change', detail => …);   // returns an unsubscribe fn
+ *   _events.emit('change', { reason: 'data' });
+ *
+ * Layers expose `on` publicly and keep `emit` private. A throwing listener is
+ * logged and does not stop the others.
+ */
+const Emitter = (() => {
+  function create() {
+    const _listeners = {};   // event → [fn]
+
+    function on(event, fn) {
+      (_listeners[event] = _listeners[event] || []).push(fn);
+      return () => off(event, fn);
+    }
+
+    function off(event, fn) {
+      const list = _listeners[event];
+      if (!list) return;
+      const i = list.indexOf(fn);
+      if (i >= 0) list.splice(i, 1);
+    }
+
+    function emit(event, detail) {
+      for (const fn of (_listeners[event] || []).slice()) {
+        try {
+          fn(detail);
+        } catch (err) {
+          console.error(`"${event}" listener failed:`, err);
+        }
+      }
+    }
+
+    return { on, off, emit };
+  }
+
+  return { create };
+})();
@@ -0,0 +1,126 @@
+/**
+ * ERG API utility — every request to the ERG/KCL London Air API goes through
+ * here, so the live layer, history playback and station popups share one
+ * fetch layer and one offline stand-in.
+ *
+ * Usage:
+ *   ErgApi.sites()                          → MonitoringSites JSON
+ *   ErgApi.hourlyIndex()                    → latest Hourly/MonitoringIndex JSON
+ *   ErgApi.dailyIndex('2024-01-08')         → Daily/MonitoringIndex JSON for that day
+ *   ErgApi.siteData('HF4', start, end)      → [{ species, time, value }] hourly µg/m³
+ *   ErgApi.annualMeans('HF4', 2023)         → { NO2: 38.2, PM10: 19.5, … } µg/m³
+ *   ErgApi.parseIndex(json)                 → { siteCode: { pollutants, date } }
+ *   ErgApi.setSource('fixtures')            // 'live' (default) | 'fixtures'
+ *
+ * Fixtures (app/data/fixtures/erg/, built by scripts/build-erg-fixtures.py)
+ * cover a fixed window described by manifest.json; fixtureWindow() returns it.
+ * Dates are 'YYYY-MM-DD' strings; siteData end dates are exclusive.
+ */
+const ErgApi = (() => {
+  const BASE_URL     = 'https://api.erg.ic.ac.uk/AirQuality';
+  const FIXTURES_URL = 'data/fixtures/erg';
+  const GROUP        = 'London';
+
+  let _source = 'live';
+  let _manifest = null;   // Promise<manifest> (fixtures only)
+
+  // ---- helpers -------------------------------------------------------
+
+  function _asArray(v) {
+    return Array.isArray(v) ? v : (v ? [v] : []);
+  }
+
+  async function _getJson(url, what) {
+    const resp = await fetch(url);
+    if (!resp.ok) throw new Error(`${what}: HTTP ${resp.status}`);
+    return resp.json();
+  }
+
+  /** Fetch from the live API or the matching fixture file. */
+  function _get(livePath, fixturePath, what) {
+    return _source === 'fixtures'
+      ? _getJson(`${FIXTURES_URL}/${fixturePath}`, `${what} (fixture)`)
+      : _getJson(`${BASE_URL}/${livePath}`, what);
+  }
+
+  // ---- requests ------------------------------------------------------
+
+  function sites() {
+    return _get(`Information/MonitoringSites/GroupName=${GROUP}/Json`, 'sites.json', 'Monitoring sites');
+  }
+
+  function hourlyIndex() {
+    return _get(`Hourly/MonitoringIndex/GroupName=${GROUP}/Json`, 'hourly-index.json', 'Hourly index');
+  }
+
+  function dailyIndex(date) {
+    return _get(`Daily/MonitoringIndex/GroupName=${GROUP}/Date=${date}/Json`,
+                `daily-index/${date}.json`, `Daily index ${date}`);
+  }
+
+  /**
+   * Hourly measurements for every species at a site, start ≤ time < end.
+   * Fixture files hold the whole fixture window and are filtered here.
+   */
+  async function siteData(siteCode, startDate, endDate) {
+    const code = encodeURIComponent(siteCode);
+    const json = await _get(`Data/Site/SiteCode=${code}/StartDate=${startDate}/EndDate=${endDate}/Json`,
+                            `site-data/${code}.json`, `Site data ${siteCode}`);
+    return _asArray(json?.AirQualityData?.Data)
+      .map(d => ({
+        species: d['@SpeciesCode'],
+        time:    String(d['@MeasurementDateGMT'] || '').replace(' ', 'T'),
+        value:   d['@Value'] === '' || d['@Value'] == null ? null : parseFloat(d['@Value']),
+      }))
+      .filter(d => d.species && d.time >= startDate && d.time < endDate);
+  }
+
+  /** Annual mean concentration per species from the site's MonitoringReport. */
+  async function annualMeans(siteCode, year) {
+    const code = encodeURIComponent(siteCode);
+    const json = await _get(`Annual/MonitoringReport/SiteCode=${code}/Year=${year}/Json`,
+                            `annual/${code}-${year}.json`, `Annual report ${siteCode} ${year}`);
+    const means = {};
+    for (const item of _asArray(json?.SiteReport?.ReportItem)) {
+      if (!/^mean/i.test(item['@ReportItemName'] || '')) continue;
+      const value = parseFloat(item['@Annual']);
+      if (item['@SpeciesCode'] && !isNaN(value)) means[item['@SpeciesCode']] = value;
+    }
+    return means;
+  }
+
+  /** The fixture window: { start, end, annualYear, synthetic, note }. */
+  function fixtureWindow() {
+    if (!_manifest) {
+      _manifest = _getJson(`${FIXTURES_URL}/manifest.json`, 'Fixture manifest')
+        .catch(err => { _manifest = null; throw err; });
+    }
+    return _manifest;
+  }
+
+  // ---- parsing -------------------------------------------------------
+
+  /** See Scoring.parseIndex: { siteCode: { pollutants, date } }. */
+  function parseIndex(json) {
+    return Scoring.parseIndex(json);
+  }
+
+  // ---- source --------------------------------------------------------
+
+  function setSource(source) {
+    if (source !== 'live' && source !== 'fixtures') throw new Error(`ErgApi: unknown source "${source}"`);
+    _source = source;
+  }
+
+  return {
+    sites,
+    hourlyIndex,
+    dailyIndex,
+    siteData,
+    annualMeans,
+    fixtureWindow,
+    parseIndex,
+    setSource,
+    get source() { return _source; },
+  };
+})();
@@ -0,0 +1,220 @@
+/**
+ * Geo utility — small spherical helpers shared by the layers.
+ *
+ * Usage:
+ *   Geo.haversine(lat1, lng1, lat2, lng2)            → km
+ *   Geo.idw(lat, lng, points, { power, maxRadiusKm }) → { value, nearest, nearestDistKm, count }
+ *   Geo.pointInPolygon(lat, lng, geometry)           → boolean (GeoJSON Polygon / MultiPolygon)
+ *   Geo.circle(lat, lng, radiusKm)                   → GeoJSON Polygon approximating the circle
+ *   Geo.bounds(geometry)                             → [[south, west], [north, east]]
+ *   Geo.areaKm2(geometry)                            → km² (planar approximation)
+ *   Geo.gridPoints(geometry, count)                  → [{ lat, lng }] evenly spaced inside
+ *   Geo.distanceTo(lat, lng, geometry)               → km to a Point / Polygon edge (0 inside)
+ *
+ * points: [{ lat, lng, value, … }] — entries with a null value are ignored.
+ * Areas and grids use a local equirectangular projection, which is accurate
+ * to well under 1% at neighbourhood scale.
+ *
+ * DOM-free: also loads in Node as a CommonJS module (see utils/scoring.js).
+ */
+const Geo = (() => {
+  // Points closer than this are treated as coincident (avoids 1/0 in IDW)
+  const SNAP_KM = 0.01;
+
+  function haversine(lat1, lng1, lat2, lng2) {
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLng / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Inverse-distance-weighted interpolation. Only points within maxRadiusKm
+   * contribute; value is null when none do. nearest/nearestDistKm always
+   * describe the closest valued point regardless of radius.
+   */
+  function idw(lat, lng, points, { power = 2, maxRadiusKm = Infinity } = {}) {
+    let nearest = null;
+    let nearestDistKm = Infinity;
+    let sumW = 0;
+    let sumWV = 0;
+    let count = 0;
+    let snapped = null;
+
+    for (const p of points) {
+      if (p.value == null || isNaN(p.value)) continue;
+      const d = haversine(lat, lng, p.lat, p.lng);
+      if (d < nearestDistKm) { nearestDistKm = d; nearest = p; }
+      if (d > maxRadiusKm) continue;
+      if (d < SNAP_KM) { snapped = p; continue; }
+      const w = 1 / d ** power;
+      sumW  += w;
+      sumWV += w * p.value;
+      count++;
+    }
+
+    let value = null;
+    if (snapped)   value = snapped.value;
+    else if (sumW) value = sumWV / sumW;
+
+    return {
+      value,
+      nearest,
+      nearestDistKm: nearest ? nearestDistKm : null,
+      count: count + (snapped ? 1 : 0),
+    };
+  }
+
+  // Ray casting against one ring of [lng, lat] pairs
+  function _inRing(lat, lng, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) &&
+          lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function _inPolygon(lat, lng, rings) {
+    if (!rings.length || !_inRing(lat, lng, rings[0])) return false;
+    for (let h = 1; h < rings.length; h++) {
+      if (_inRing(lat, lng, rings[h])) return false;   // inside a hole
+    }
+    return true;
+  }
+
+  function pointInPolygon(lat, lng, geometry) {
+    if (!geometry) return false;
+    if (geometry.type === 'Polygon') return _inPolygon(lat, lng, geometry.coordinates);
+    if (geometry.type === 'MultiPolygon') {
+      return geometry.coordinates.some(poly => _inPolygon(lat, lng, poly));
+    }
+    return false;
+  }
+
+  const KM_PER_DEG_LAT = 110.574;
+  const KM_PER_DEG_LNG = 111.320;   // at the equator; scaled by cos(lat)
+
+  function _polygons(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+  }
+
+  function circle(lat, lng, radiusKm, segments = 64) {
+    const dLat = radiusKm / KM_PER_DEG_LAT;
+    const dLng = radiusKm / (KM_PER_DEG_LNG * Math.cos(lat * Math.PI / 180));
+    const ring = [];
+    for (let i = 0; i <= segments; i++) {
+      const a = (i % segments) / segments * 2 * Math.PI;
+      ring.push([lng + dLng * Math.sin(a), lat + dLat * Math.cos(a)]);
+    }
+    return { type: 'Polygon', coordinates: [ring] };
+  }
+
+  function bounds(geometry) {
+    let s = Infinity, w = Infinity, n = -Infinity, e = -Infinity;
+    for (const poly of _polygons(geometry)) {
+      for (const [x, y] of poly[0]) {
+        if (y < s) s = y;
+        if (y > n) n = y;
+        if (x < w) w = x;
+        if (x > e) e = x;
+      }
+    }
+    return [[s, w], [n, e]];
+  }
+
+  // Shoelace area of one ring, projected around latitude lat0
+  function _ringAreaKm2(ring, lat0) {
+    const kx = KM_PER_DEG_LNG * Math.cos(lat0 * Math.PI / 180);
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      sum += (ring[j][0] * kx) * (ring[i][1] * KM_PER_DEG_LAT) -
+             (ring[i][0] * kx) * (ring[j][1] * KM_PER_DEG_LAT);
+    }
+    return Math.abs(sum) / 2;
+  }
+
+  function areaKm2(geometry) {
+    const [[s], [n]] = bounds(geometry);
+    const lat0 = (s + n) / 2;
+    let area = 0;
+    for (const poly of _polygons(geometry)) {
+      area += _ringAreaKm2(poly[0], lat0);
+      for (let h = 1; h < poly.length; h++) area -= _ringAreaKm2(poly[h], lat0);
+    }
+    return area;
+  }
+
+  /**
+   * Regular grid of roughly `count` points inside a polygon (square cells in
+   * km, so each point stands for an equal share of the area). Falls back to
+   * the first vertex for shapes too small to hold a grid point.
+   */
+  function gridPoints(geometry, count) {
+    const [[s, w], [n, e]] = bounds(geometry);
+    const area = areaKm2(geometry);
+    if (!(area > 0)) return [];
+    const cellKm = Math.sqrt(area / count);
+    const dLat = cellKm / KM_PER_DEG_LAT;
+    const dLng = cellKm / (KM_PER_DEG_LNG * Math.cos((s + n) / 2 * Math.PI / 180));
+
+    const points = [];
+    for (let lat = s + dLat / 2; lat < n; lat += dLat) {
+      for (let lng = w + dLng / 2; lng < e; lng += dLng) {
+        if (pointInPolygon(lat, lng, geometry)) points.push({ lat, lng });
+      }
+    }
+    if (!points.length) {
+      const [lng, lat] = _polygons(geometry)[0][0][0];
+      points.push({ lat, lng });
+    }
+    return points;
+  }
+
+  // Distance (km) from the origin to segment a–b, all in local km coordinates
+  function _segmentKm(ax, ay, bx, by) {
+    const dx = bx - ax, dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+    return Math.hypot(ax + t * dx, ay + t * dy);
+  }
+
+  /**
+   * Distance from a point to a GeoJSON Point / Polygon / MultiPolygon: 0
+   * inside a polygon, else to the nearest edge of its outer rings (local
+   * equirectangular projection, like areaKm2).
+   */
+  function distanceTo(lat, lng, geometry) {
+    if (!geometry) return Infinity;
+    if (geometry.type === 'Point') {
+      const [x, y] = geometry.coordinates;
+      return haversine(lat, lng, y, x);
+    }
+    if (pointInPolygon(lat, lng, geometry)) return 0;
+    const kx = KM_PER_DEG_LNG * Math.cos(lat * Math.PI / 180);
+    let best = Infinity;
+    for (const poly of _polygons(geometry)) {
+      const ring = poly[0];
+      for (let i = 1; i < ring.length; i++) {
+        best = Math.min(best, _segmentKm(
+          (ring[i - 1][0] - lng) * kx, (ring[i - 1][1] - lat) * KM_PER_DEG_LAT,
+          (ring[i][0] - lng) * kx,     (ring[i][1] - lat) * KM_PER_DEG_LAT));
+      }
+    }
+    return best;
+  }
+
+  return { haversine, idw, pointInPolygon, circle, bounds, areaKm2, gridPoints, distanceTo };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Geo;
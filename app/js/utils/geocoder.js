@@ -0,0 +1,189 @@
+/**
+ * Geocoder utility — pluggable place search.
+ *
+ * Usage:
+ *   Geocoder.register(Geocoder.localPostcodes('data/west-london-postcodes.json'))
+ *   Geocoder.register(Geocoder.postcodesIo())
+ *   Geocoder.search('W6 9AA')  → Promise<[{ label, lat, lng, kind }]>
+ *
+ * Provider shape:
+ *   {
+ *     id:      string,
+ *     accepts: (query) → boolean (optional; default accepts everything),
+ *     search:  (query) → Promise<[{ label, lat, lng, kind }]>,
+ *   }
+ *
+ * Providers are tried in registration order; the first one that returns any
+ * results wins. A provider that throws (e.g. offline) is skipped, so a local
+ * provider registered ahead of a network one acts as an offline stand-in.
+ */
+const Geocoder = (() => {
+  const POSTCODE_RE = /^[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}$/i;
+  const OUTCODE_RE  = /^[A-Z]{1,2}\d[A-Z\d]?$/i;
+  const LSOA_CODE_RE = /^E0\d{7}$/i;
+  const LSOA_NAME_RE = /\s\d{3}[A-Z]$/i;   // "Wandsworth 010A"
+
+  const POSTCODES_IO_URL = 'https://api.postcodes.io';
+  const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+
+  const _providers = [];
+
+  // ---- helpers -------------------------------------------------------
+
+  /** "w69aa" → "W6 9AA"; outward codes are returned upper-cased. */
+  function normalisePostcode(query) {
+    const compact = query.replace(/\s+/g, '').toUpperCase();
+    if (compact.length < 5) return compact;
+    return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+  }
+
+  function isPostcode(query) { return POSTCODE_RE.test(query.trim()); }
+  function isOutcode(query)  { return OUTCODE_RE.test(query.trim()); }
+
+  // ---- registry ------------------------------------------------------
+
+  function register(provider) {
+    _providers.push(provider);
+  }
+
+  async function search(query) {
+    const q = String(query || '').trim();
+    if (!q) return [];
+    for (const provider of _providers) {
+      if (provider.accepts && !provider.accepts(q)) continue;
+      try {
+        const results = await provider.search(q);
+        if (results && results.length) return results;
+      } catch (err) {
+        console.warn(`Geocoder provider "${provider.id}" failed:`, err);
+      }
+    }
+    return [];
+  }
+
+  // ---- built-in providers --------------------------------------------
+
+  /**
+   * LSOA code ("E01001851") or name ("Wandsworth 010A") lookup against
+   * in-memory LSOA records ({ lsoa_code, lsoa_name, centroid: [lat, lng] }).
+   * getData is called per search so it sees data loaded after registration.
+   */
+  function lsoas(getData, limit = 8) {
+    return {
+      id: 'lsoa',
+      accepts: q => LSOA_CODE_RE.test(q) || LSOA_NAME_RE.test(q),
+      async search(q) {
+        const data = getData() || [];
+        if (LSOA_CODE_RE.test(q)) {
+          const code = q.toUpperCase();
+          return data.filter(d => d.lsoa_code === code && d.centroid).map(_lsoaResult);
+        }
+        const needle = q.toLowerCase();
+        return data
+          .filter(d => d.centroid && (d.lsoa_name || '').toLowerCase().includes(needle))
+          .slice(0, limit)
+          .map(_lsoaResult);
+      },
+    };
+  }
+
+  function _lsoaResult(d) {
+    return { label: `${d.lsoa_name} (${d.lsoa_code})`, lat: d.centroid[0], lng: d.centroid[1], kind: 'lsoa' };
+  }
+
+  /**
+   * Bundled postcode centroids (built by scripts/build-postcodes.py):
+   *   { postcodes: { "W6 9AA": [lat, lng] }, districts: { "W6": [lat, lng] } }
+   * The file is fetched once, on first use.
+   */
+  function localPostcodes(url) {
+    let _table = null;
+
+    async function load() {
+      if (!_table) {
+        _table = fetch(url).then(resp => {
+          if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+          return resp.json();
+        });
+        _table.catch(() => { _table = null; });
+      }
+      return _table;
+    }
+
+    return {
+      id: 'local-postcodes',
+      accepts: q => isPostcode(q) || isOutcode(q),
+      async search(q) {
+        const table = await load();
+        const key = normalisePostcode(q);
+        const hit = isPostcode(q)
+          ? (table.postcodes || {})[key]
+          : (table.districts || {})[key];
+        return hit ? [{ label: key, lat: hit[0], lng: hit[1], kind: 'postcode' }] : [];
+      },
+    };
+  }
+
+  /** postcodes.io — full unit postcodes and outward codes, online. */
+  function postcodesIo() {
+    return {
+      id: 'postcodes.io',
+      accepts: q => isPostcode(q) || isOutcode(q),
+      async search(q) {
+        const path = isPostcode(q)
+          ? `/postcodes/${encodeURIComponent(normalisePostcode(q))}`
+          : `/outcodes/${encodeURIComponent(q.trim().toUpperCase())}`;
+        const resp = await fetch(POSTCODES_IO_URL + path);
+        if (resp.status === 404) return [];
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const { result } = await resp.json();
+        if (!result || result.latitude == null) return [];
+        return [{
+          label: result.postcode || result.outcode,
+          lat:   result.latitude,
+          lng:   result.longitude,
+          kind:  'postcode',
+        }];
+      },
+    };
+  }
+
+  /**
+   * OpenStreetMap Nominatim — free-text addresses. viewbox
+   * ([west, south, east, north]) biases results towards the study area.
+   */
+  function nominatim({ viewbox = null, limit = 5 } = {}) {
+    return {
+      id: 'nominatim',
+      async search(q) {
+        const params = new URLSearchParams({
+          q,
+          format:       'jsonv2',
+          countrycodes: 'gb',
+          limit:        String(limit),
+        });
+        if (viewbox) params.set('viewbox', viewbox.join(','));
+        const resp = await fetch(`${NOMINATIM_URL}?${params}`);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const rows = await resp.json();
+        return rows.map(r => ({
+          label: r.display_name,
+          lat:   parseFloat(r.lat),
+          lng:   parseFloat(r.lon),
+          kind:  'address',
+        }));
+      },
+    };
+  }
+
+  return {
+    register,
+    search,
+    normalisePostcode,
+    isPostcode,
+    lsoas,
+    localPostcodes,
+    postcodesIo,
+    nominatim,
+  };
+})();
@@ -0,0 +1,66 @@
+/**
+ * Layer registry — layers describe themselves; app.js builds the sidebar
+ * controls, visibility logic and URL state from these descriptions.
+ *
+ * Usage (at the end of a layer module):
+ *   LayerRegistry.register({
+ *     id:    'noise',
+ *     label: 'Noise (Extrium/Defra)',
+ *     color: '#ff6600',
+ *     layer: NoiseLayer,
+ *     options: [{ name: 'metric', type: 'radio', label: 'Metric:', default: 'lden',
+ *                 choices: [{ value: 'lden', label: 'Lden' }, …],
+ *                 apply: v => NoiseLayer.setMetric(v) }],
+ *   });
+ *
+ * Definition shape:
+ *   {
+ *     id:          string (unique; used in the URL hash),
+ *     label:       string,
+ *     color:       CSS colour for the toggle dot,
+ *     layer:       { init(map), show(), hide() },
+ *     legend:      [legendKey, …] (optional) — Legend panels the layer renders,
+ *     defaultOn:   boolean (default true),
+ *     exclusive:   boolean (default false) — while on, every non-exclusive
+ *                  layer is hidden; their toggles keep the state to restore,
+ *     description: string (optional, HTML) — note shown under the toggle,
+ *     attribution: string (optional, HTML) — data source and licence, listed
+ *                  in printed reports (panels/print-report.js),
+ *     options:     [{ name, type: 'radio' | 'select' | 'checkbox', label?,
+ *                     default, choices?: [{ value, label, disabled? }] or
+ *                     () → […] (read once the region is loaded),
+ *                     refreshOn?: emitter — a select re-reads its choices
+ *                     function on the emitter's 'change' (e.g. a layer whose
+ *                     data decides which choices apply), apply(value) }],
+ *     controls:    (containerEl) → void (optional) — custom sub-controls,
+ *   }
+ *
+ * Options and custom controls are shown while the layer's toggle is on.
+ * Option values are strings for radio/select and booleans for checkbox.
+ */
+const LayerRegistry = (() => {
+  const _defs = [];
+
+  function register(def) {
+    if (!def || !def.id || !def.layer) throw new Error('LayerRegistry: id and layer are required');
+    if (get(def.id)) throw new Error(`LayerRegistry: duplicate layer id "${def.id}"`);
+    _defs.push({
+      defaultOn: true,
+      exclusive: false,
+      legend:    [],
+      options:   [],
+      ...def,
+    });
+  }
+
+  function get(id) {
+    return _defs.find(d => d.id === id) || null;
+  }
+
+  /** All definitions in registration (= script load) order. */
+  function all() {
+    return _defs.slice();
+  }
+
+  return { register, get, all };
+})();
@@ -0,0 +1,72 @@
+/**
+ * Layer status utility — loading / ready / partial / failed per layer id.
+ *
+ * Usage:
+ *   LayerStatus.set('air', 'loading')
+ *   LayerStatus.set('air', 'failed', 'HTTP 503')
+ *   LayerStatus.trackTiles('flood', wmsLayer)   // derive status from tile events
+ *   LayerStatus.onChange((id, status) => …)     // status: { state, detail } | null
+ *   LayerStatus.clear('combined')
+ *
+ * Layer ids match LayerRegistry ids, so app.js can show the status next to
+ * each toggle.
+ */
+const LayerStatus = (() => {
+  const STATES = ['loading', 'ready', 'partial', 'failed'];
+
+  const _status = {};      // id → { state, detail }
+  const _listeners = [];
+
+  function set(id, state, detail = '') {
+    if (!STATES.includes(state)) throw new Error(`LayerStatus: unknown state "${state}"`);
+    const prev = _status[id];
+    if (prev && prev.state === state && prev.detail === detail) return;
+    _status[id] = { state, detail };
+    _emit(id);
+  }
+
+  function clear(id) {
+    if (!_status[id]) return;
+    delete _status[id];
+    _emit(id);
+  }
+
+  function get(id) {
+    return _status[id] || null;
+  }
+
+  function onChange(fn) {
+    _listeners.push(fn);
+  }
+
+  function _emit(id) {
+    for (const fn of _listeners) fn(id, get(id));
+  }
+
+  /**
+   * Count tile loads and errors on a Leaflet tile layer. Each time the layer
+   * finishes loading the visible tiles ('load' fires once every tile has
+   * settled, errors included), the status becomes ready (no errors), partial
+   * (some tiles failed) or failed (every tile failed). Returns the layer.
+   */
+  function trackTiles(id, tileLayer) {
+    let loaded = 0;
+    let errors = 0;
+
+    tileLayer.on('loading', () => {
+      loaded = 0;
+      errors = 0;
+      set(id, 'loading');
+    });
+    tileLayer.on('tileload', () => { loaded++; });
+    tileLayer.on('tileerror', () => { errors++; });
+    tileLayer.on('load', () => {
+      if (!errors)      set(id, 'ready');
+      else if (!loaded) set(id, 'failed', `All ${errors} tiles failed to load from the server.`);
+      else              set(id, 'partial', `${errors} of ${loaded + errors} tiles failed to load.`);
+    });
+    return tileLayer;
+  }
+
+  return { set, clear, get, onChange, trackTiles };
+})();
@@ -5,6 +5,7 @@
  *   Legend.render('air', { title: 'Air Quality', items: [{color, label}, …] })
  *   Legend.render('noise', { title: 'Noise', wmsLegendUrl: '…', note: '…' })
  *   Legend.remove('air')
+ *   Legend.all()   → [{ key, config }] of the panels shown, in display order
  *
  * Config shape:
  *   {
@@ -17,6 +18,7 @@
  */
 const Legend = (() => {
   const container = document.getElementById('legend-container');
+  const _configs = new Map();   // key → config, for redrawing elsewhere (map snapshot)
 
   function _panelId(key) {
     return `legend-panel-${key}`;
@@ -85,12 +87,21 @@ const Legend = (() => {
     }
 
     container.appendChild(panel);
+    _configs.set(key, config);
   }
 
   function remove(key) {
     const existing = document.getElementById(_panelId(key));
     if (existing) existing.remove();
+    _configs.delete(key);
   }
 
-  return { render, remove };
+  function all() {
+    return [...container.querySelectorAll('.legend-panel')].map(panel => {
+      const key = panel.id.slice('legend-panel-'.length);
+      return { key, config: _configs.get(key) };
+    });
+  }
+
+  return { render, remove, all };
 })();
@@ -0,0 +1,359 @@
+/**
+ * Map snapshot utility — draws the map as the user sees it onto a <canvas>.
+ *
+ * Usage:
+ *   const { canvas, skipped } = await MapSnapshot.capture(map)
+ *   const { canvas } = await MapSnapshot.inset({ lat, lng, zoom: 15, geometry })
+ *   Download.file('map.png', await MapSnapshot.toBlob(canvas), 'image/png')
+ *
+ * capture() composites, in pane order: loaded tiles (base map, WMS overlays,
+ * canvas tiles such as the AQI surface) at their layer opacity, the SVG
+ * vector layers, marker icons, the attribution line, and — in a column to
+ * the right — every Legend panel shown (Legend.all()).
+ *
+ * Tile and legend images are re-requested with CORS so the canvas stays
+ * exportable; servers that refuse are left out and counted in `skipped`.
+ *
+ * inset() renders a small static map around a point from base-map tiles,
+ * with an optional outline (GeoJSON geometry) and station dots — for
+ * printed reports, independent of the current view.
+ */
+const MapSnapshot = (() => {
+  const INSET_TILE_URL    = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+  const INSET_ATTRIBUTION = '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+  const TILE_SIZE         = 256;
+  const IMAGE_TIMEOUT_MS  = 10000;
+
+  const LEGEND_WIDTH   = 240;
+  const LEGEND_PAD     = 10;
+  const LEGEND_GAP     = 8;
+  const LEGEND_IMG_MAX = LEGEND_WIDTH - 2 * LEGEND_PAD;
+  const FONT           = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+  // ---- images --------------------------------------------------------
+
+  /** Load an image with CORS; resolves to null if it fails or times out. */
+  function _loadImage(src) {
+    return new Promise(resolve => {
+      const img = new Image();
+      const timer = setTimeout(() => { img.src = ''; resolve(null); }, IMAGE_TIMEOUT_MS);
+      img.crossOrigin = 'anonymous';
+      img.onload  = () => { clearTimeout(timer); resolve(img); };
+      img.onerror = () => { clearTimeout(timer); resolve(null); };
+      img.src = src;
+    });
+  }
+
+  function _svgImage(svg, width, height) {
+    const clone = svg.cloneNode(true);
+    clone.removeAttribute('style');   // Leaflet's pan transform is already in the element's rect
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    const markup = new XMLSerializer().serializeToString(clone);
+    return _loadImage('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup));
+  }
+
+  function _canvas(width, height) {
+    const ratio = window.devicePixelRatio || 1;
+    const canvas = document.createElement('canvas');
+    canvas.width  = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas is not supported in this browser');
+    ctx.scale(ratio, ratio);
+    return { canvas, ctx };
+  }
+
+  function toBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), 'image/png');
+    });
+  }
+
+  // ---- text ----------------------------------------------------------
+
+  function _stripHtml(html) {
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    return div.textContent;
+  }
+
+  /** Split text into lines no wider than maxWidth in the current font. */
+  function _wrap(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  // ---- map layers ----------------------------------------------------
+
+  function _opacity(el, stop) {
+    let opacity = 1;
+    for (let node = el; node && node !== stop; node = node.parentElement) {
+      const value = parseFloat(getComputedStyle(node).opacity);
+      if (!isNaN(value)) opacity *= value;
+    }
+    return opacity;
+  }
+
+  function _rect(el, origin) {
+    const r = el.getBoundingClientRect();
+    return { x: r.left - origin.left, y: r.top - origin.top, w: r.width, h: r.height };
+  }
+
+  async function _drawTiles(ctx, pane, origin, stats) {
+    const tiles = [...pane.querySelectorAll('.leaflet-tile-loaded')];
+    const images = await Promise.all(tiles.map(t => (t.tagName === 'IMG' ? _loadImage(t.src) : t)));
+    tiles.forEach((tile, i) => {
+      const r = _rect(tile, origin);
+      if (!r.w || !r.h) return;
+      if (!images[i]) { stats.skipped++; return; }
+      ctx.globalAlpha = _opacity(tile, pane);
+      ctx.drawImage(images[i], r.x, r.y, r.w, r.h);
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  async function _drawVectors(ctx, pane, origin) {
+    for (const el of pane.querySelectorAll('svg, canvas')) {
+      if (el.parentElement.closest('svg')) continue;
+      const r = _rect(el, origin);
+      if (!r.w || !r.h) continue;
+      const img = el.tagName === 'CANVAS' ? el : await _svgImage(el, r.w, r.h);
+      if (img) ctx.drawImage(img, r.x, r.y, r.w, r.h);
+    }
+  }
+
+  /** Image markers as images; divIcon markers as a filled box with their text. */
+  async function _drawMarkers(ctx, pane, origin, stats) {
+    for (const el of pane.querySelectorAll('.leaflet-marker-icon')) {
+      const r = _rect(el, origin);
+      if (!r.w || !r.h) continue;
+      if (el.tagName === 'IMG') {
+        const img = await _loadImage(el.src);
+        if (img) ctx.drawImage(img, r.x, r.y, r.w, r.h);
+        else stats.skipped++;
+        continue;
+      }
+      const style = getComputedStyle(el);
+      ctx.fillStyle = style.backgroundColor || '#333';
+      ctx.beginPath();
+      ctx.arc(r.x + r.w / 2, r.y + r.h / 2, Math.min(r.w, r.h) / 2, 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.fillStyle = style.color || '#fff';
+      ctx.font = `bold 11px ${FONT}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(el.textContent.trim(), r.x + r.w / 2, r.y + r.h / 2);
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'alphabetic';
+    }
+  }
+
+  function _drawAttribution(ctx, text, width, height) {
+    if (!text) return;
+    ctx.font = `10px ${FONT}`;
+    const w = Math.min(ctx.measureText(text).width + 8, width);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(width - w, height - 16, w, 16);
+    ctx.fillStyle = '#333';
+    ctx.fillText(text, width - w + 4, height - 4, width - 8);
+  }
+
+  // ---- legend --------------------------------------------------------
+
+  /** Draw one legend panel at (x, y), or only measure it; returns its height. */
+  function _legendPanel(ctx, x, y, config, img, draw) {
+    const inner = LEGEND_WIDTH - 2 * LEGEND_PAD;
+    const ops = [];   // deferred drawing, so the box can go underneath
+    let cy = y + LEGEND_PAD;
+
+    function text(str, font, color, lineHeight) {
+      ctx.font = font;
+      for (const line of _wrap(ctx, str, inner)) {
+        cy += lineHeight;
+        const ty = cy - 3;
+        ops.push(() => { ctx.font = font; ctx.fillStyle = color; ctx.fillText(line, x + LEGEND_PAD, ty); });
+      }
+    }
+
+    if (config.title)    text(config.title.toUpperCase(), `600 11px ${FONT}`, '#555', 14);
+    if (config.subtitle) text(config.subtitle, `10px ${FONT}`, '#888', 13);
+    cy += 4;
+
+    for (const item of config.items || []) {
+      const sy = cy;
+      ops.push(() => {
+        ctx.fillStyle = item.color;
+        ctx.beginPath();
+        if (item.circle) ctx.arc(x + LEGEND_PAD + 7, sy + 7, 6, 0, 2 * Math.PI);
+        else ctx.rect(x + LEGEND_PAD, sy + 2, 14, 10);
+        ctx.fill();
+        ctx.font = `11px ${FONT}`;
+        ctx.fillStyle = '#333';
+        ctx.fillText(item.label, x + LEGEND_PAD + 20, sy + 11, inner - 20);
+      });
+      cy += 16;
+    }
+
+    if (img) {
+      const scale = Math.min(1, LEGEND_IMG_MAX / img.naturalWidth);
+      const w = img.naturalWidth * scale;
+      const h = img.naturalHeight * scale;
+      const iy = cy + 2;
+      ops.push(() => ctx.drawImage(img, x + LEGEND_PAD, iy, w, h));
+      cy += h + 4;
+    }
+
+    if (config.note) text(config.note, `italic 10px ${FONT}`, '#888', 13);
+
+    const height = cy - y + LEGEND_PAD;
+    if (draw) {
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(x, y, LEGEND_WIDTH, height);
+      ctx.strokeStyle = '#ddd';
+      ctx.strokeRect(x + 0.5, y + 0.5, LEGEND_WIDTH - 1, height - 1);
+      ops.forEach(op => op());
+    }
+    return height;
+  }
+
+  // ---- public API ----------------------------------------------------
+
+  /**
+   * The current map view with its tiles, vectors, markers, attribution and
+   * legend column. Resolves to { canvas, skipped } where skipped counts
+   * images that could not be included.
+   */
+  async function capture(map, { legend = true } = {}) {
+    const container = map.getContainer();
+    const origin = container.getBoundingClientRect();
+    const size = map.getSize();
+    const stats = { skipped: 0 };
+
+    const legends = legend ? Legend.all().filter(l => l.config) : [];
+    const legendImgs = await Promise.all(legends.map(({ config }) =>
+      (config.wmsLegendUrl ? _loadImage(config.wmsLegendUrl) : null)));
+    legends.forEach(({ config }, i) => { if (config.wmsLegendUrl && !legendImgs[i]) stats.skipped++; });
+
+    // Measure the legend column before sizing the canvas
+    const probe = document.createElement('canvas').getContext('2d');
+    const heights = probe ? legends.map(({ config }, i) => _legendPanel(probe, 0, 0, config, legendImgs[i], false)) : [];
+    const legendHeight = heights.reduce((sum, h) => sum + h + LEGEND_GAP, LEGEND_GAP);
+    const width  = size.x + (legends.length ? LEGEND_WIDTH + 2 * LEGEND_GAP : 0);
+    const height = Math.max(size.y, legends.length ? legendHeight : 0);
+
+    const { canvas, ctx } = _canvas(width, height);
+    ctx.fillStyle = '#f4f4f4';
+    ctx.fillRect(0, 0, width, height);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, size.x, size.y);
+    ctx.clip();
+    ctx.fillStyle = '#ddd';
+    ctx.fillRect(0, 0, size.x, size.y);
+
+    await _drawTiles(ctx, map.getPane('tilePane'), origin, stats);
+    await _drawVectors(ctx, map.getPane('overlayPane'), origin);
+    await _drawMarkers(ctx, map.getPane('markerPane'), origin, stats);
+    if (map.attributionControl) {
+      _drawAttribution(ctx, _stripHtml(map.attributionControl.getContainer().innerHTML), size.x, size.y);
+    }
+    ctx.restore();
+
+    let y = LEGEND_GAP;
+    legends.forEach(({ config }, i) => {
+      y += _legendPanel(ctx, size.x + LEGEND_GAP, y, config, legendImgs[i], true) + LEGEND_GAP;
+    });
+
+    return { canvas, skipped: stats.skipped };
+  }
+
+  /**
+   * A static base map centred on a point. geometry (GeoJSON Polygon or
+   * MultiPolygon) is outlined; points ([{ lat, lng, color }]) are drawn as
+   * dots; the centre is marked. Resolves to { canvas, skipped }.
+   */
+  async function inset({ lat, lng, zoom = 15, width = 640, height = 360, geometry = null, points = [] }) {
+    const crs = L.CRS.EPSG3857;
+    const centre = crs.latLngToPoint(L.latLng(lat, lng), zoom);
+    const topLeft = centre.subtract([width / 2, height / 2]);
+    const project = (la, ln) => crs.latLngToPoint(L.latLng(la, ln), zoom).subtract(topLeft);
+
+    const { canvas, ctx } = _canvas(width, height);
+    ctx.fillStyle = '#ddd';
+    ctx.fillRect(0, 0, width, height);
+
+    // Base tiles covering the frame
+    const tiles = [];
+    const max = 2 ** zoom;
+    for (let tx = Math.floor(topLeft.x / TILE_SIZE); tx * TILE_SIZE < topLeft.x + width; tx++) {
+      for (let ty = Math.floor(topLeft.y / TILE_SIZE); ty * TILE_SIZE < topLeft.y + height; ty++) {
+        if (ty < 0 || ty >= max) continue;
+        const x = ((tx % max) + max) % max;
+        tiles.push({ tx, ty, src: L.Util.template(INSET_TILE_URL, { x, y: ty, z: zoom }) });
+      }
+    }
+    const images = await Promise.all(tiles.map(t => _loadImage(t.src)));
+    let skipped = 0;
+    tiles.forEach((t, i) => {
+      if (!images[i]) { skipped++; return; }
+      ctx.drawImage(images[i], t.tx * TILE_SIZE - topLeft.x, t.ty * TILE_SIZE - topLeft.y);
+    });
+
+    if (geometry) {
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+      ctx.beginPath();
+      for (const rings of polygons) {
+        for (const ring of rings) {
+          ring.forEach(([ln, la], i) => {
+            const p = project(la, ln);
+            if (i) ctx.lineTo(p.x, p.y); else ctx.moveTo(p.x, p.y);
+          });
+          ctx.closePath();
+        }
+      }
+      ctx.fillStyle = 'rgba(41, 128, 185, 0.15)';
+      ctx.fill('evenodd');
+      ctx.strokeStyle = '#2980b9';
+      ctx.lineWidth = 2.5;
+      ctx.stroke();
+    }
+
+    for (const pt of points) {
+      const p = project(pt.lat, pt.lng);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 6, 0, 2 * Math.PI);
+      ctx.fillStyle = pt.color || '#555';
+      ctx.fill();
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = '#fff';
+      ctx.stroke();
+    }
+
+    // Centre marker
+    ctx.beginPath();
+    ctx.arc(width / 2, height / 2, 7, 0, 2 * Math.PI);
+    ctx.fillStyle = '#c0392b';
+    ctx.fill();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#fff';
+    ctx.stroke();
+
+    _drawAttribution(ctx, _stripHtml(INSET_ATTRIBUTION), width, height);
+    return { canvas, skipped };
+  }
+
+  return { capture, inset, toBlob, INSET_ATTRIBUTION };
+})();
@@ -0,0 +1,115 @@
+/**
+ * Region — the study area the map is built for, from data/regions.json.
+ *
+ * A region names its boroughs (ERG names and ONS district codes), the
+ * initial view, the search bounds and its data files:
+ *
+ *   "west-london": {
+ *     "name": "West London", "subtitle": "…",
+ *     "boroughs": [{ "name": "Hammersmith and Fulham", "code": "E09000013" }, …],
+ *     "view":   { "center": [lat, lng], "zoom": 13 },   // optional → fit bounds
+ *     "bounds": [[south, west], [north, east]],
+ *     "data":   {
+ *       "imd":        { "2019": "data/….geojson", … },   // per IMD edition
+ *       "lsoaLookup": "data/….json",                     // 2011 → 2021 LSOAs
+ *       "postcodes":  "data/….json",
+ *       "amenities":  "data/….geojson"                   // parks, schools, GPs, stations
+ *     }
+ *   }
+ *
+ * List a region only once its files are built and committed (add the entry,
+ * run scripts/build-geojson.py <id> and the other build scripts, commit both):
+ * the LSOA layers, combined score, ranking and query builder all need them.
+ * The same goes for each data file: the build scripts write a file the
+ * region does not list yet to data/<id>-… and print the entry to add.
+ *
+ * Usage:
+ *   await Region.load()   → the current region (before any layer init)
+ *   Region.current        → { id, name, boroughs, view, bounds, data, … }
+ *   Region.all()          → [{ id, name }] in file order
+ *   Region.switchTo(id)   → reloads the app for that region
+ *   Region.hasFile(path)  → whether a data file is deployed (checked by load())
+ *
+ * The region is picked from ?region=…, then the last one used (Store), then
+ * the file's default. It lives in the query string rather than the hash so
+ * links keep it while UrlState rewrites the hash.
+ */
+const Region = (() => {
+  const CONFIG_URL = 'data/regions.json';
+  const PARAM      = 'region';
+  const STORE_KEY  = 'region';
+
+  let _config  = null;   // parsed regions.json
+  let _current = null;
+  let _deployed = new Set();   // current region's data files that answered a HEAD request
+
+  function _requested() {
+    const params = new URLSearchParams(location.search);
+    return params.get(PARAM) || Store.get(STORE_KEY);
+  }
+
+  async function load() {
+    const resp = await fetch(CONFIG_URL);
+    if (!resp.ok) throw new Error(`${CONFIG_URL}: HTTP ${resp.status}`);
+    _config = await resp.json();
+
+    const regions = _config.regions || {};
+    const requested = _requested();
+    const id = requested in regions ? requested : _config.default;
+    if (!regions[id]) throw new Error(`${CONFIG_URL}: no region "${id}"`);
+    if (requested && requested !== id) console.warn(`Region: unknown region "${requested}", using "${id}"`);
+
+    _current = { id, ...regions[id] };
+    _deployed = await _probe(_dataFiles(_current.data));
+    Store.set(STORE_KEY, id);
+    return _current;
+  }
+
+  function all() {
+    return Object.entries(_config ? _config.regions : {}).map(([id, r]) => ({ id, name: r.name }));
+  }
+
+  /** Borough names of the current region (for Scoring.buildStations). */
+  function boroughNames() {
+    return _current ? _current.boroughs.map(b => b.name) : [];
+  }
+
+  /** Every file path in a region's data block (IMD editions included). */
+  function _dataFiles(data) {
+    return Object.values(data || {}).flatMap(v => (typeof v === 'string' ? [v] : Object.values(v || {})));
+  }
+
+  async function _probe(paths) {
+    const found = await Promise.all(paths.map(path =>
+      fetch(path, { method: 'HEAD' }).then(resp => resp.ok, () => false)));
+    return new Set(paths.filter((path, i) => found[i]));
+  }
+
+  /**
+   * Whether one of the current region's data files is actually deployed.
+   * Generated files (other IMD editions, the boundary lookup, postcodes,
+   * amenities) are not always built; features that need one stay off rather
+   * than fail on every use.
+   */
+  function hasFile(path) {
+    return !!path && _deployed.has(path);
+  }
+
+  /** Reload for another region; the view and layers in the hash are dropped. */
+  function switchTo(id) {
+    if (!_config || !_config.regions[id] || (_current && id === _current.id)) return;
+    Store.set(STORE_KEY, id);
+    const params = new URLSearchParams(location.search);
+    params.set(PARAM, id);
+    location.href = `${location.pathname}?${params}`;
+  }
+
+  return {
+    load,
+    all,
+    boroughNames,
+    switchTo,
+    hasFile,
+    get current() { return _current; },
+  };
+})();
@@ -0,0 +1,691 @@
+/**
+ * Scoring engine — the DOM-free part of the combined score, shared by the
+ * browser layers and the batch scorer (scripts/score-lsoas.js).
+ *
+ * Usage (browser: global `Scoring`; Node: require('app/js/utils/scoring.js')):
+ *   Scoring.parseSites(sitesJson)                  → { siteCode: site }
+ *   Scoring.parseIndex(indexJson)                  → { siteCode: { pollutants, date } }
+ *   Scoring.buildStations(sites, index, boroughs)  → { siteCode: station }
+ *   Scoring.stationsFromSnapshot(geojson)          → same, from an exported station snapshot
+ *   Scoring.centroid(geometry)                     → [lat, lng]
+ *   Scoring.decileChanges(from, to, { lookup, … }) → Map(lsoa_code → { from, to, delta, approx })
+ *   Scoring.amenitiesFromGeojson(geojson)          → { park: [amenity], school: […], … }
+ *   Scoring.nearestAmenities(lat, lng, amenities)  → { park: { km, name } | null, … }
+ *   Scoring.proximityComponents(nearest)           → { park: { km, name, comp }, … }
+ *   Scoring.components(lsoa, { stations, … })      → { depComp, depDomain, aqComp, noiseComp, aq, nearestSt, noiseSample, proximity }
+ *   Scoring.combine(components, effectiveWeights)  → score, 0 (best) → 1 (worst)
+ *   Scoring.scoreColor(score)                      → 'rgb(…)'
+ *
+ * A station is { code, name, borough, lat, lng, maxAQI, species: { NO2: 4, … } };
+ * an LSOA is a DeprivationLayer._data entry ({ lsoa_code, imd_decile,
+ * crime_decile, …, centroid, geometry }); a noise sample is { db, bandIndex, label }
+ * (NoiseLayer.sampleAt), undefined while pending or null if unknown.
+ *
+ * Component maths (see layers/combined-score.js for the rationale):
+ *   deprivation  (11 - decile) / 10, overall IMD or one domain (IMD_DOMAINS)
+ *   air quality  IDW-interpolated station index / 10 (Geo.idw)
+ *   noise        END contour class of the selected source and metric,
+ *                below the contours = 0 → top class (≥75 dB Lden) = 1
+ *   proximity    one per amenity type (park, school, gp, station): distance
+ *                from the centroid to the nearest one / AMENITY_TYPES maxKm,
+ *                capped at 1; off unless enabled (DEFAULT_ENABLED)
+ * Each is a neutral 0.5 when its input is missing.
+ */
+const Scoring = (() => {
+  const _Geo = typeof Geo !== 'undefined' ? Geo : require('./geo.js');
+
+  // Amenity types (AmenitiesLayer, scripts/build-amenities.py); a proximity
+  // component reaches its worst (1) at maxKm from the nearest amenity
+  const AMENITY_TYPES = {
+    park:    { label: 'Parks',        maxKm: 1.0 },
+    school:  { label: 'Schools',      maxKm: 1.0 },
+    gp:      { label: 'GP surgeries', maxKm: 1.5 },
+    station: { label: 'Stations',     maxKm: 1.5 },
+  };
+
+  // Component keys, in display order
+  const COMPONENTS = {
+    dep:   'Deprivation',
+    air:   'Air quality',
+    noise: 'Noise',
+    ...Object.fromEntries(Object.entries(AMENITY_TYPES).map(([type, a]) => [type, a.label])),
+  };
+
+  // Proximity components are opt-in; parks and schools weigh as much as air
+  const DEFAULT_WEIGHTS = { dep: 40, air: 40, noise: 20, park: 40, school: 40, gp: 20, station: 20 };
+  const DEFAULT_ENABLED = { dep: true, air: true, noise: true, park: false, school: false, gp: false, station: false };
+  const DEFAULT_INTERP  = { power: 2, maxRadiusKm: 5 };
+  const NEUTRAL         = 0.5;
+  const EXPORT_DP       = 4;   // decimal places of exported scores and components
+
+  // IoD domains: the IMD GeoJSON carries <key>_decile and <key>_score for
+  // each (scripts/build-geojson.py); 'imd' is the overall index
+  const IMD_DOMAINS = {
+    imd:         'Overall IMD',
+    income:      'Income',
+    employment:  'Employment',
+    education:   'Education & skills',
+    health:      'Health & disability',
+    crime:       'Crime',
+    housing:     'Barriers to housing',
+    environment: 'Living environment',
+  };
+
+  // IMD editions and the census LSOA geography each is published on. A
+  // region lists the files it has per edition (regions.json data.imd).
+  const IMD_EDITIONS = {
+    2015: { label: 'IMD 2015', lsoaYear: 2011 },
+    2019: { label: 'IMD 2019', lsoaYear: 2011 },
+    2025: { label: 'IMD 2025', lsoaYear: 2021 },
+  };
+  const DEFAULT_EDITION = '2019';
+
+  // END contour classes (ascending) for Lden and LAeq,16h; below the first = quiet
+  const NOISE_BANDS = [
+    { min: 55, label: '55–60 dB' },
+    { min: 60, label: '60–65 dB' },
+    { min: 65, label: '65–70 dB' },
+    { min: 70, label: '70–75 dB' },
+    { min: 75, label: '≥75 dB'   },
+  ];
+  // Lnight is mapped from 50 dB, in as many classes
+  const NIGHT_NOISE_BANDS = [
+    { min: 50, label: '50–55 dB' },
+    { min: 55, label: '55–60 dB' },
+    { min: 60, label: '60–65 dB' },
+    { min: 65, label: '65–70 dB' },
+    { min: 70, label: '≥70 dB'   },
+  ];
+
+  // Nearest-station distance thresholds (km) for the confidence label
+  const CONFIDENCE = [
+    { maxKm: 1, label: 'high' },
+    { maxKm: 3, label: 'medium' },
+    { maxKm: Infinity, label: 'low' },
+  ];
+
+  // Green → yellow → red gradient stops
+  const COLOR_STOPS = [
+    { t: 0.0,  r: 44,  g: 160, b: 44  }, // green
+    { t: 0.25, r: 143, g: 188, b: 50  },
+    { t: 0.5,  r: 240, g: 165, b: 0   }, // yellow-orange
+    { t: 0.75, r: 220, g: 90,  b: 30  },
+    { t: 1.0,  r: 180, g: 30,  b: 30  }, // red
+  ];
+
+  // ---- helpers -------------------------------------------------------
+
+  function _asArray(v) {
+    return Array.isArray(v) ? v : (v ? [v] : []);
+  }
+
+  function _normName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Whether an ERG borough name is one of the targets. ERG names vary in case
+   * and are sometimes shortened ("Richmond" for "Richmond upon Thames"), so a
+   * leading whole-word match counts either way.
+   */
+  function _boroughMatches(ergName, targets) {
+    const name = _normName(ergName);
+    if (!name) return false;
+    return targets.some(t => t === name || name.startsWith(t + ' ') || t.startsWith(name + ' '));
+  }
+
+  // 'Air quality' → 'air quality', but 'GP surgeries' stays
+  function _lowerFirst(label) {
+    return label.replace(/^[A-Z](?=[a-z])/, c => c.toLowerCase());
+  }
+
+  function _lerp(a, b, t) { return Math.round(a + (b - a) * t); }
+
+  function round(v, dp = EXPORT_DP) {
+    return v != null ? +v.toFixed(dp) : null;
+  }
+
+  // ---- colour --------------------------------------------------------
+
+  function scoreColor(score) {
+    const s = Math.max(0, Math.min(1, score));
+    let lo = COLOR_STOPS[0];
+    let hi = COLOR_STOPS[COLOR_STOPS.length - 1];
+    for (let i = 0; i < COLOR_STOPS.length - 1; i++) {
+      if (s >= COLOR_STOPS[i].t && s <= COLOR_STOPS[i + 1].t) {
+        lo = COLOR_STOPS[i];
+        hi = COLOR_STOPS[i + 1];
+        break;
+      }
+    }
+    const span = hi.t - lo.t || 1;
+    const t = (s - lo.t) / span;
+    const r = _lerp(lo.r, hi.r, t);
+    const g = _lerp(lo.g, hi.g, t);
+    const b = _lerp(lo.b, hi.b, t);
+    return `rgb(${r},${g},${b})`;
+  }
+
+  // ---- LSOAs ---------------------------------------------------------
+
+  /**
+   * Compute polygon centroid by averaging all ring coordinates.
+   * Sufficient precision for LSOA-scale polygons.
+   */
+  function centroid(geometry) {
+    const coords = geometry.coordinates;
+    let sumLat = 0, sumLng = 0, count = 0;
+
+    function processRing(ring) {
+      for (const [lng, lat] of ring) {
+        sumLng += lng;
+        sumLat += lat;
+        count++;
+      }
+    }
+
+    if (geometry.type === 'Polygon') {
+      processRing(coords[0]);
+    } else if (geometry.type === 'MultiPolygon') {
+      for (const poly of coords) processRing(poly[0]);
+    }
+
+    if (count === 0) return null;
+    return [sumLat / count, sumLng / count];
+  }
+
+  /**
+   * LSOA entries from the IMD GeoJSON; features without an overall decile
+   * are skipped. Domain deciles and scores are null where the file has none.
+   */
+  function lsoasFromGeojson(geojson) {
+    return (geojson.features || [])
+      .filter(f => f.properties.imd_decile != null)
+      .map(f => {
+        const p = f.properties;
+        const lsoa = {
+          lsoa_code: p.lsoa_code,
+          lsoa_name: p.lsoa_name,
+          borough:   p.borough,
+        };
+        for (const key of Object.keys(IMD_DOMAINS)) {
+          lsoa[`${key}_decile`] = p[`${key}_decile`] != null ? p[`${key}_decile`] : null;
+          lsoa[`${key}_score`]  = p[`${key}_score`]  != null ? p[`${key}_score`]  : null;
+        }
+        lsoa.centroid = f.geometry ? centroid(f.geometry) : null;
+        lsoa.geometry = f.geometry;
+        return lsoa;
+      });
+  }
+
+  /** Decile (1 = most deprived) in a domain, from an LSOA entry or IMD feature properties; null if absent. */
+  function domainDecile(lsoa, domain = 'imd') {
+    const v = lsoa[`${domain}_decile`];
+    return v != null ? v : null;
+  }
+
+  /**
+   * Codes on the other geography that an LSOA maps to, via a boundary lookup
+   * ({ from: 2011, to: 2021, changes: { "E01…": ["E01…", …] } }, changed
+   * codes only; scripts/build-lsoa-lookup.py). Unchanged codes map to
+   * themselves.
+   */
+  function _lookupIndex(lookup, fromYear, toYear) {
+    if (!lookup || fromYear === toYear) return {};
+    if (lookup.from === fromYear && lookup.to === toYear) return lookup.changes || {};
+    if (lookup.from !== toYear || lookup.to !== fromYear) {
+      throw new Error(`LSOA lookup is ${lookup.from}→${lookup.to}, need ${fromYear}→${toYear}`);
+    }
+    // Reverse it: new code → old codes
+    const index = {};
+    for (const [code, targets] of Object.entries(lookup.changes || {})) {
+      for (const target of targets) (index[target] = index[target] || []).push(code);
+    }
+    return index;
+  }
+
+  /**
+   * Decile movement per LSOA between two editions, keyed by the later
+   * edition's codes: Map(code → { from, to, delta, approx }). delta > 0 means
+   * less deprived than before (improving). Where LSOAs were split or merged
+   * between geographies the earlier decile is the mean over the matched
+   * LSOAs and approx is true; from/delta are null when nothing matches.
+   *
+   * options: domain ('imd'), fromYear / toYear (LSOA geography of each
+   * edition), lookup (needed when they differ).
+   */
+  function decileChanges(fromLsoas, toLsoas, { domain = 'imd', fromYear = 2011, toYear = 2011, lookup = null } = {}) {
+    if (fromYear !== toYear && !lookup) throw new Error(`No LSOA lookup for ${fromYear}→${toYear} boundaries`);
+    const earlier = new Map(fromLsoas.map(l => [l.lsoa_code, l]));
+    // later code → earlier codes it covers
+    const sources = _lookupIndex(lookup, toYear, fromYear);
+    // earlier code → later codes, to spot splits
+    const targets = _lookupIndex(lookup, fromYear, toYear);
+
+    const changes = new Map();
+    for (const lsoa of toLsoas) {
+      const codes = sources[lsoa.lsoa_code] || [lsoa.lsoa_code];
+      const approx = codes.length > 1 || codes.some(c => (targets[c] || [c]).length > 1);
+      const deciles = codes
+        .map(c => earlier.get(c))
+        .map(l => (l ? domainDecile(l, domain) : null))
+        .filter(v => v != null);
+      const to = domainDecile(lsoa, domain);
+      const from = deciles.length ? round(deciles.reduce((a, b) => a + b, 0) / deciles.length, 1) : null;
+      changes.set(lsoa.lsoa_code, {
+        from,
+        to,
+        delta: from != null && to != null ? round(to - from, 1) : null,
+        approx,
+      });
+    }
+    return changes;
+  }
+
+  // ---- stations ------------------------------------------------------
+
+  /** MonitoringSites JSON → { siteCode: site }. */
+  function parseSites(sitesJson) {
+    const arr =
+      sitesJson?.Sites?.Site ||
+      sitesJson?.AirQualityInformation?.LocalAuthority?.flatMap(la => la.Site || []) ||
+      [];
+    const map = {};
+    for (const s of (Array.isArray(arr) ? arr : [arr])) {
+      if (s['@SiteCode']) map[s['@SiteCode']] = s;
+    }
+    return map;
+  }
+
+  /**
+   * Per-site pollutant indices from an hourly or daily MonitoringIndex
+   * response: { siteCode: { pollutants: [{ SpeciesCode, SpeciesName, AirQualityIndex }], date } }.
+   */
+  function parseIndex(json) {
+    const root = json?.HourlyAirQualityIndex || json?.DailyAirQualityIndex || {};
+    const result = {};
+    for (const la of _asArray(root.LocalAuthority)) {
+      for (const site of _asArray(la.Site)) {
+        const code = site['@SiteCode'];
+        if (!code) continue;
+        const pollutants = _asArray(site.Species).map(sp => ({
+          SpeciesCode: sp['@SpeciesCode'],
+          SpeciesName: sp['@SpeciesName'] || sp['@SpeciesDescription'] || sp['@SpeciesCode'],
+          AirQualityIndex: sp['@AirQualityIndex'] != null ? parseFloat(sp['@AirQualityIndex']) : null,
+        }));
+        result[code] = {
+          pollutants,
+          date: site['@BulletinDate'] || '',
+        };
+      }
+    }
+    return result;
+  }
+
+  function maxAQI(pollutants) {
+    let max = null;
+    for (const p of pollutants) {
+      const v = parseFloat(p.AirQualityIndex);
+      if (!isNaN(v) && (max === null || v > max)) max = v;
+    }
+    return max;
+  }
+
+  /** { SpeciesCode: index } for the pollutants that have one. */
+  function speciesIndex(pollutants) {
+    const species = {};
+    for (const p of pollutants) {
+      if (p.SpeciesCode && p.AirQualityIndex != null && !isNaN(p.AirQualityIndex)) {
+        species[p.SpeciesCode] = p.AirQualityIndex;
+      }
+    }
+    return species;
+  }
+
+  /**
+   * Active stations with coordinates in the given boroughs (region borough
+   * names; null = all), with their index from indexMap (parseIndex shape;
+   * missing sites → no data).
+   */
+  function buildStations(sitesMap, indexMap, boroughs = null) {
+    const targets = boroughs ? boroughs.map(_normName) : null;
+    const stations = {};
+
+    for (const [code, site] of Object.entries(sitesMap)) {
+      const borough = (site['@LocalAuthorityName'] || site.LocalAuthorityName || '').trim();
+
+      // Filter to target boroughs
+      if (targets && !_boroughMatches(borough, targets)) continue;
+
+      const lat = parseFloat(site['@Latitude'] || site.Latitude);
+      const lng = parseFloat(site['@Longitude'] || site.Longitude);
+      if (isNaN(lat) || isNaN(lng)) continue;
+
+      // Check station is active / has data
+      const isActive = (site['@SiteType'] !== 'Closed') &&
+                       (site['@DateClosed'] == null || site['@DateClosed'] === '');
+      if (!isActive) continue;
+
+      const aqiData = indexMap[code] || { pollutants: [], date: '' };
+      stations[code] = {
+        code,
+        name:    site['@SiteName'] || site.SiteName || code,
+        borough,
+        lat,
+        lng,
+        maxAQI:  maxAQI(aqiData.pollutants),
+        species: speciesIndex(aqiData.pollutants),
+      };
+    }
+    return stations;
+  }
+
+  /** Stations from an AirQualityLayer.stationSnapshot() GeoJSON (e.g. an exported aq-stations file). */
+  function stationsFromSnapshot(geojson) {
+    const stations = {};
+    for (const f of geojson.features || []) {
+      const p = f.properties || {};
+      const [lng, lat] = f.geometry ? f.geometry.coordinates : [p.lng, p.lat];
+      if (!p.code || lat == null || lng == null) continue;
+      const species = {};
+      for (const [key, value] of Object.entries(p)) {
+        if (key.startsWith('aqi_') && key !== 'aqi_max' && value != null) species[key.slice(4)] = value;
+      }
+      stations[p.code] = {
+        code:    p.code,
+        name:    p.name || p.code,
+        borough: p.borough || '',
+        lat,
+        lng,
+        maxAQI:  p.aqi_max != null ? p.aqi_max : null,
+        species,
+      };
+    }
+    return stations;
+  }
+
+  /** The index a station shows for a pollutant key ('max' or a SpeciesCode), or null. */
+  function stationValue(st, pollutant = 'max') {
+    if (pollutant === 'max') return st.maxAQI;
+    const v = st.species[pollutant];
+    return v != null ? v : null;
+  }
+
+  /**
+   * IDW estimate of the index at a point from the stations measuring the
+   * pollutant. Returns Geo.idw's { value, nearest, nearestDistKm, count }.
+   */
+  function interpolate(stations, lat, lng, pollutant = 'max', interp = DEFAULT_INTERP) {
+    const points = Object.values(stations).map(st => ({ ...st, value: stationValue(st, pollutant) }));
+    return _Geo.idw(lat, lng, points, interp);
+  }
+
+  /**
+   * The n closest stations to a point: [{ ...station, distKm, value }], nearest
+   * first, where value is the index for valuePollutant. With filterPollutant,
+   * stations without that index are skipped.
+   */
+  function nearestStations(stations, lat, lng, n = 3, filterPollutant = null, valuePollutant = filterPollutant || 'max') {
+    return Object.values(stations)
+      .filter(st => !filterPollutant || stationValue(st, filterPollutant) != null)
+      .map(st => ({ ...st, distKm: _Geo.haversine(lat, lng, st.lat, st.lng), value: stationValue(st, valuePollutant) }))
+      .sort((a, b) => a.distKm - b.distKm)
+      .slice(0, n);
+  }
+
+  function confidence(distKm) {
+    return CONFIDENCE.find(c => distKm <= c.maxKm).label;
+  }
+
+  // ---- noise ---------------------------------------------------------
+
+  /** Band index of a dB level; -1 below the lowest contour. */
+  function noiseBandIndex(db, bands = NOISE_BANDS) {
+    let idx = -1;
+    bands.forEach((b, i) => { if (db >= b.min) idx = i; });
+    return idx;
+  }
+
+  /** A noise sample for a dB level (null → below the contours). */
+  function noiseSample(db, bands = NOISE_BANDS) {
+    const bandIndex = db != null ? noiseBandIndex(db, bands) : -1;
+    return { db, bandIndex, label: bandIndex >= 0 ? bands[bandIndex].label : `<${bands[0].min} dB` };
+  }
+
+  /**
+   * Normalise a sample to 0 (below the contours) → 1 (top class); null if
+   * unknown. Every metric has five classes, so this is metric-independent.
+   */
+  function noiseComponent(sample) {
+    if (!sample) return null;
+    return (sample.bandIndex + 1) / NOISE_BANDS.length;
+  }
+
+  // ---- amenities -----------------------------------------------------
+
+  function _outerVertices(geometry) {
+    if (geometry.type === 'Polygon') return geometry.coordinates[0];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.flatMap(poly => poly[0]);
+    return [];
+  }
+
+  /**
+   * Amenities by type from the extract GeoJSON (features with properties
+   * { category, name }, Point or Polygon); other categories are skipped. Each
+   * is { name, lat, lng, reachKm, geometry }: a representative point and how
+   * far the shape reaches from it, so nearest searches can skip shapes that
+   * cannot beat the best so far.
+   */
+  function amenitiesFromGeojson(geojson) {
+    const byType = Object.fromEntries(Object.keys(AMENITY_TYPES).map(type => [type, []]));
+    for (const f of (geojson && geojson.features) || []) {
+      const category = f.properties && f.properties.category;
+      if (!byType[category] || !f.geometry) continue;
+      const point = f.geometry.type === 'Point'
+        ? [f.geometry.coordinates[1], f.geometry.coordinates[0]]
+        : centroid(f.geometry);
+      if (!point) continue;
+      const [lat, lng] = point;
+      let reachKm = 0;
+      for (const [x, y] of _outerVertices(f.geometry)) reachKm = Math.max(reachKm, _Geo.haversine(lat, lng, y, x));
+      byType[category].push({ name: f.properties.name || null, lat, lng, reachKm, geometry: f.geometry });
+    }
+    return byType;
+  }
+
+  /** Nearest amenity of each type to a point: { park: { km, name }, … }; null where none are loaded. */
+  function nearestAmenities(lat, lng, amenities) {
+    const nearest = {};
+    for (const type of Object.keys(AMENITY_TYPES)) {
+      let best = null;
+      for (const a of (amenities && amenities[type]) || []) {
+        if (best && _Geo.haversine(lat, lng, a.lat, a.lng) - a.reachKm >= best.km) continue;
+        const km = _Geo.distanceTo(lat, lng, a.geometry);
+        if (!best || km < best.km) best = { km, name: a.name };
+      }
+      nearest[type] = best;
+    }
+    return nearest;
+  }
+
+  /** Proximity component: 0 at the amenity → 1 at the type's maxKm or beyond; neutral if unknown. */
+  function proximityComponent(type, nearest) {
+    if (!nearest) return NEUTRAL;
+    return Math.min(nearest.km / AMENITY_TYPES[type].maxKm, 1);
+  }
+
+  /** { park: { km, name, comp }, … } from nearestAmenities (missing → neutral comp). */
+  function proximityComponents(nearest = {}) {
+    const proximity = {};
+    for (const type of Object.keys(AMENITY_TYPES)) {
+      const n = nearest[type] || null;
+      proximity[type] = { km: n ? n.km : null, name: n ? n.name : null, comp: proximityComponent(type, n) };
+    }
+    return proximity;
+  }
+
+  // ---- components & weights ------------------------------------------
+
+  /**
+   * Weights normalised to fractions summing to 1 over enabled components.
+   * Components missing from `enabled` take their DEFAULT_ENABLED state.
+   */
+  function effectiveWeights(weights = DEFAULT_WEIGHTS, enabled = DEFAULT_ENABLED) {
+    const eff = {};
+    let total = 0;
+    for (const key of Object.keys(COMPONENTS)) {
+      const on = key in enabled ? enabled[key] !== false : DEFAULT_ENABLED[key];
+      eff[key] = on ? Math.max(0, weights[key] || 0) : 0;
+      total += eff[key];
+    }
+    for (const key of Object.keys(eff)) eff[key] = total ? eff[key] / total : 0;
+    return eff;
+  }
+
+  /** Human-readable summary of effective weights, e.g. "40% deprivation · 60% air quality". */
+  function describeWeights(eff) {
+    const parts = Object.keys(COMPONENTS)
+      .filter(key => eff[key] > 0)
+      .map(key => `${(eff[key] * 100).toFixed(0)}% ${_lowerFirst(COMPONENTS[key])}`);
+    return parts.length ? parts.join(' · ') : 'No components enabled';
+  }
+
+  /** Deprivation component for a domain: decile 1 (worst) → 1.0, decile 10 → 0.1. */
+  function depComponent(lsoa, domain = 'imd') {
+    const decile = domainDecile(lsoa, domain);
+    return decile != null ? (11 - decile) / 10 : NEUTRAL;
+  }
+
+  /** Interpolated air component at the LSOA centroid: { aqComp, aq, nearestSt }. */
+  function airComponent(lsoa, stations, pollutant = 'max', interp = DEFAULT_INTERP) {
+    let aqComp = NEUTRAL;
+    let aq = null;
+    if (Object.keys(stations).length && lsoa.centroid) {
+      const [lat, lng] = lsoa.centroid;
+      aq = interpolate(stations, lat, lng, pollutant, interp);
+      if (aq.value != null) aqComp = Math.min(aq.value / 10, 1);
+    }
+    return { aqComp, aq, nearestSt: aq ? aq.nearest : null };
+  }
+
+  /**
+   * All components for an LSOA. options: stations, pollutant ('max'),
+   * interp ({ power, maxRadiusKm }), noiseSample, domain ('imd'), nearest
+   * (nearestAmenities at the centroid; missing → neutral proximity).
+   * proximity is { park: { km, name, comp }, … }, comp neutral where unknown.
+   */
+  function components(lsoa, { stations = {}, pollutant = 'max', interp = DEFAULT_INTERP, noiseSample, domain = 'imd', nearest = {} } = {}) {
+    const depComp = depComponent(lsoa, domain);
+    const { aqComp, aq, nearestSt } = airComponent(lsoa, stations, pollutant, interp);
+    const norm = noiseComponent(noiseSample);
+    const noiseComp = norm != null ? norm : NEUTRAL;
+    const proximity = proximityComponents(nearest);
+    return { depComp, depDomain: domain, aqComp, aq, nearestSt, noiseComp, noiseSample, proximity };
+  }
+
+  function _proximityComp(c, type) {
+    return c.proximity && c.proximity[type] ? c.proximity[type].comp : NEUTRAL;
+  }
+
+  /** Weighted score from components and effective weights; neutral if nothing is enabled. */
+  function combine(c, eff) {
+    let total = eff.dep + eff.air + eff.noise;
+    let sum = eff.dep * c.depComp + eff.air * c.aqComp + eff.noise * c.noiseComp;
+    for (const type of Object.keys(AMENITY_TYPES)) {
+      if (!eff[type]) continue;
+      total += eff[type];
+      sum += eff[type] * _proximityComp(c, type);
+    }
+    return total ? sum : NEUTRAL;
+  }
+
+  /**
+   * Flat export properties for a scored LSOA (combined-score GeoJSON / CSV):
+   * identity, score, components, the deprivation domain and station that fed
+   * them, the nearest amenity of each type, and the effective weights.
+   */
+  function exportProperties(lsoa, c, eff) {
+    const { aq, nearestSt, noiseSample } = c;
+    const domain = c.depDomain || 'imd';
+    return {
+      lsoa_code:        lsoa.lsoa_code,
+      lsoa_name:        lsoa.lsoa_name,
+      borough:          lsoa.borough,
+      imd_decile:       lsoa.imd_decile,
+      imd_score:        lsoa.imd_score,
+      score:            round(combine(c, eff)),
+      dep_comp:         round(c.depComp),
+      dep_domain:       domain,
+      dep_decile:       domainDecile(lsoa, domain),
+      aq_comp:          round(c.aqComp),
+      noise_comp:       round(c.noiseComp),
+      aq_index:         aq ? round(aq.value, 2) : null,
+      aq_station:       nearestSt ? nearestSt.code : null,
+      aq_station_name:  nearestSt ? nearestSt.name : null,
+      aq_station_km:    nearestSt ? round(aq.nearestDistKm, 2) : null,
+      aq_confidence:    nearestSt ? confidence(aq.nearestDistKm) : null,
+      aq_stations_used: aq ? aq.count : 0,
+      noise_db:         noiseSample ? noiseSample.db : null,
+      noise_band:       noiseSample ? noiseSample.label : null,
+      // park_comp, park_km, park_name, school_comp, …
+      ...Object.fromEntries(Object.keys(AMENITY_TYPES).flatMap(type => {
+        const p = (c.proximity && c.proximity[type]) || {};
+        return [
+          [`${type}_comp`, round(_proximityComp(c, type))],
+          [`${type}_km`,   p.km != null ? round(p.km, 2) : null],
+          [`${type}_name`, p.name || null],
+        ];
+      })),
+      w_dep:            round(eff.dep),
+      w_air:            round(eff.air),
+      w_noise:          round(eff.noise),
+      ...Object.fromEntries(Object.keys(AMENITY_TYPES).map(type => [`w_${type}`, round(eff[type])])),
+    };
+  }
+
+  return {
+    COMPONENTS,
+    AMENITY_TYPES,
+    DEFAULT_WEIGHTS,
+    DEFAULT_ENABLED,
+    DEFAULT_INTERP,
+    IMD_DOMAINS,
+    IMD_EDITIONS,
+    DEFAULT_EDITION,
+    NOISE_BANDS,
+    NIGHT_NOISE_BANDS,
+    round,
+    scoreColor,
+    centroid,
+    lsoasFromGeojson,
+    domainDecile,
+    decileChanges,
+    parseSites,
+    parseIndex,
+    maxAQI,
+    speciesIndex,
+    buildStations,
+    stationsFromSnapshot,
+    stationValue,
+    interpolate,
+    nearestStations,
+    confidence,
+    noiseBandIndex,
+    noiseSample,
+    noiseComponent,
+    amenitiesFromGeojson,
+    nearestAmenities,
+    proximityComponent,
+    proximityComponents,
+    effectiveWeights,
+    describeWeights,
+    depComponent,
+    airComponent,
+    components,
+    combine,
+    exportProperties,
+  };
+})();
+
+// Node (scripts/score-lsoas.js) loads this file as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) module.exports = Scoring;
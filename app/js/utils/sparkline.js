@@ -0,0 +1,55 @@
+/**
+ * Sparkline utility — tiny inline SVG line charts for popups.
+ *
+ * Usage:
+ *   Sparkline.svg([12, 18, null, 25, 21], { width: 110, height: 22, color: '#3cb371' })
+ *     → '<svg …>…</svg>'
+ *
+ * null values leave a gap in the line. The y axis runs from 0 to the largest
+ * value (or `max`, if given), so lines for the same species are comparable.
+ */
+const Sparkline = (() => {
+  const DEFAULTS = { width: 110, height: 22, color: '#555', max: null, title: '' };
+
+  function _escape(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function svg(values, opts = {}) {
+    const { width, height, color, max, title } = { ...DEFAULTS, ...opts };
+    const valid = values.filter(v => v != null && !isNaN(v));
+    const top = Math.max(max || 0, ...valid) || 1;
+    const pad = 1;
+    const step = values.length > 1 ? (width - 2 * pad) / (values.length - 1) : 0;
+
+    // One polyline per run of consecutive values
+    const runs = [];
+    let run = [];
+    values.forEach((v, i) => {
+      if (v == null || isNaN(v)) {
+        if (run.length) runs.push(run);
+        run = [];
+        return;
+      }
+      const x = pad + i * step;
+      const y = height - pad - (v / top) * (height - 2 * pad);
+      run.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+    });
+    if (run.length) runs.push(run);
+
+    const lines = runs.map(pts => pts.length === 1
+      ? `<circle cx="${pts[0].split(',')[0]}" cy="${pts[0].split(',')[1]}" r="1" fill="${color}" />`
+      : `<polyline points="${pts.join(' ')}" fill="none" stroke="${color}" stroke-width="1.2" />`);
+
+    return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+           (title ? `<title>${_escape(title)}</title>` : '') +
+           lines.join('') +
+           '</svg>';
+  }
+
+  return { svg };
+})();
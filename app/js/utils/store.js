@@ -0,0 +1,36 @@
+/**
+ * Store utility — small JSON values persisted in localStorage.
+ *
+ * Usage:
+ *   Store.get('queries', [])      → stored value, or the fallback
+ *   Store.set('queries', [...])   → true if it was saved
+ *
+ * Keys are namespaced under 'wlem.'. Storage can be unavailable (private
+ * browsing, quota, file:// in some browsers); reads then return the fallback
+ * and writes return false, so callers keep working for the session.
+ */
+const Store = (() => {
+  const PREFIX = 'wlem.';
+
+  function get(key, fallback = null) {
+    try {
+      const raw = localStorage.getItem(PREFIX + key);
+      return raw != null ? JSON.parse(raw) : fallback;
+    } catch (err) {
+      console.warn(`Store: could not read "${key}":`, err);
+      return fallback;
+    }
+  }
+
+  function set(key, value) {
+    try {
+      localStorage.setItem(PREFIX + key, JSON.stringify(value));
+      return true;
+    } catch (err) {
+      console.warn(`Store: could not save "${key}":`, err);
+      return false;
+    }
+  }
+
+  return { get, set };
+})();
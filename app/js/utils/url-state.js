@@ -0,0 +1,79 @@
+/**
+ * URL state utility — encodes the map view and layer selection in the hash.
+ *
+ * Usage:
+ *   UrlState.parse(location.hash)  → state (fields absent from the hash are undefined)
+ *   UrlState.format(state)         → '#map=13/51.47860/-0.22460&layers=air,flood&flood.mode=sw'
+ *
+ * State shape:
+ *   {
+ *     view:    { zoom, lat, lng },
+ *     layers:  [layerId, …],                 // checked layer toggles
+ *     options: { 'layerId.optionName': value } // layer sub-options (LayerRegistry)
+ *   }
+ *
+ * Option values are strings; booleans are written as '1' / '0'. Renamed
+ * layer ids and options are mapped to their current names on parse, so old
+ * links keep working.
+ */
+const UrlState = (() => {
+  const COORD_DP = 5;
+
+  // The road-noise layer became the noise layer's road source; its metric
+  // values were WMS layer names
+  const RENAMED_LAYERS = { 'road-noise': 'noise' };
+  const RENAMED_OPTIONS = {
+    'road-noise.metric': { key: 'noise.metric', values: { RD_LDEN_R3: 'lden', RD_LQ16_R3: 'lq16', RD_LNGT_R3: 'lnight' } },
+  };
+
+  function _parseView(value) {
+    const [zoom, lat, lng] = value.split('/').map(parseFloat);
+    if ([zoom, lat, lng].some(isNaN)) return undefined;
+    return { zoom, lat, lng };
+  }
+
+  /** [key, value] of an option under its current name. */
+  function _renameOption(key, value) {
+    const renamed = RENAMED_OPTIONS[key];
+    return renamed ? [renamed.key, renamed.values[value] || value] : [key, value];
+  }
+
+  function parse(hash) {
+    const state = { options: {} };
+    const body = String(hash || '').replace(/^#/, '');
+    if (!body) return state;
+
+    for (const pair of body.split('&')) {
+      const eq = pair.indexOf('=');
+      if (eq < 0) continue;
+      const key = decodeURIComponent(pair.slice(0, eq));
+      const value = decodeURIComponent(pair.slice(eq + 1));
+      if (key === 'map')         state.view = _parseView(value);
+      else if (key === 'layers') state.layers = value ? value.split(',') : [];
+      else if (key.includes('.')) {
+        const [name, current] = _renameOption(key, value);
+        state.options[name] = current;
+      }
+    }
+    if (state.layers) {
+      state.layers = [...new Set(state.layers.map(id => RENAMED_LAYERS[id] || id))];
+    }
+    return state;
+  }
+
+  function format(state) {
+    const parts = [];
+    if (state.view) {
+      const { zoom, lat, lng } = state.view;
+      parts.push(`map=${zoom}/${lat.toFixed(COORD_DP)}/${lng.toFixed(COORD_DP)}`);
+    }
+    if (state.layers) parts.push(`layers=${state.layers.map(encodeURIComponent).join(',')}`);
+    for (const [key, value] of Object.entries(state.options || {})) {
+      const str = typeof value === 'boolean' ? (value ? '1' : '0') : String(value);
+      parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(str)}`);
+    }
+    return '#' + parts.join('&');
+  }
+
+  return { parse, format };
+})();
@@ -0,0 +1,187 @@
+#!/usr/bin/env python3
+"""
+One-time data prep script: downloads parks, schools, GP surgeries and
+stations for a study region from OpenStreetMap (Overpass API) and writes the
+region's amenity extract (data.amenities in app/data/regions.json, or
+app/data/<region-id>-amenities.geojson while it is not listed there). The map draws it as the amenities layer
+and the combined score measures distances to it.
+
+    python3 scripts/build-amenities.py [region-id] [--overpass URL]
+
+The region defaults to the one regions.json marks as default. The extract
+covers the region's bounds plus a margin (MARGIN_KM), so LSOAs near the edge
+still find the park or station just across it.
+
+Each feature has properties { category, name, osm_id } with category one of
+park, school, gp, station (keys as in Scoring.AMENITY_TYPES,
+app/js/utils/scoring.js). Parks are polygons (closed outer ways; multipolygon
+relations contribute their closed outer rings); everything else is a point.
+
+No pip installs required — uses only Python stdlib.
+"""
+import argparse
+import json
+import math
+import os
+import sys
+import urllib.parse
+import urllib.request
+
+from regions import APP_DIR, data_file, listing_hint, load_region
+
+# -----------------------------------------------------------
+# Config
+# -----------------------------------------------------------
+
+OVERPASS_URL = "https://overpass-api.de/api/interpreter"
+MARGIN_KM = 2
+
+# category → Overpass selectors. Parks come back with full geometry, the
+# rest as one centre point per object.
+AREA_QUERIES = {
+    "park": ['nwr["leisure"="park"]', 'nwr["leisure"="common"]'],
+}
+POINT_QUERIES = {
+    "school":  ['nwr["amenity"="school"]'],
+    "gp":      ['nwr["amenity"="doctors"]', 'nwr["healthcare"="doctor"]'],
+    "station": ['nwr["railway"="station"]'],
+}
+
+
+def padded_bbox(bounds, margin_km=MARGIN_KM):
+    """Overpass bbox "(south,west,north,east)" of the region bounds plus a margin."""
+    (south, west), (north, east) = bounds
+    d_lat = margin_km / 110.574
+    d_lng = margin_km / (111.320 * math.cos(math.radians((south + north) / 2)))
+    return f"({south - d_lat:.5f},{west - d_lng:.5f},{north + d_lat:.5f},{east + d_lng:.5f})"
+
+
+# -----------------------------------------------------------
+# Step 1: Query Overpass
+# -----------------------------------------------------------
+def overpass(server, selectors, bbox, out):
+    """Run one Overpass query for the selectors in the bbox; returns its elements."""
+    body = "".join(f"{s}{bbox};" for s in selectors)
+    query = f"[out:json][timeout:300];({body});out {out};"
+    req = urllib.request.Request(
+        server,
+        data=urllib.parse.urlencode({"data": query}).encode("utf-8"),
+        headers={
+            "User-Agent": "propmap-builder/1.0",
+            "Content-Type": "application/x-www-form-urlencoded",
+        },
+    )
+    with urllib.request.urlopen(req, timeout=360) as resp:
+        return json.loads(resp.read()).get("elements", [])
+
+
+# -----------------------------------------------------------
+# Step 2: Convert to GeoJSON features
+# -----------------------------------------------------------
+def ring_from(geometry):
+    """Closed [lng, lat] ring from Overpass way geometry, or None if open."""
+    ring = []
+    for p in geometry or []:
+        point = [round(p["lon"], 5), round(p["lat"], 5)]
+        if not ring or ring[-1] != point:
+            ring.append(point)
+    if len(ring) < 4 or ring[0] != ring[-1]:
+        return None
+    return ring
+
+
+def area_feature(category, el):
+    """Polygon / MultiPolygon feature for a way or multipolygon relation, or None."""
+    if el["type"] == "way":
+        rings = [ring_from(el.get("geometry"))]
+    else:
+        rings = [ring_from(m.get("geometry")) for m in el.get("members", [])
+                 if m.get("type") == "way" and m.get("role") in ("outer", "")]
+    rings = [r for r in rings if r]
+    if not rings:
+        return None
+    geometry = ({"type": "Polygon", "coordinates": [rings[0]]} if len(rings) == 1
+                else {"type": "MultiPolygon", "coordinates": [[r] for r in rings]})
+    return feature(category, el, geometry)
+
+
+def point_feature(category, el):
+    """Point feature for a node, or a way / relation centre, or None."""
+    where = el if el["type"] == "node" else el.get("center")
+    if not where:
+        return None
+    return feature(category, el, {"type": "Point", "coordinates": [round(where["lon"], 5), round(where["lat"], 5)]})
+
+
+def feature(category, el, geometry):
+    tags = el.get("tags", {})
+    return {
+        "type": "Feature",
+        "properties": {
+            "category": category,
+            "name": tags.get("name"),
+            "osm_id": f"{el['type']}/{el['id']}",
+        },
+        "geometry": geometry,
+    }
+
+
+def collect(server, bbox):
+    """All amenity features, one per OSM object and category."""
+    features = []
+    for queries, out, convert in ((AREA_QUERIES, "geom", area_feature), (POINT_QUERIES, "center", point_feature)):
+        for category, selectors in queries.items():
+            print(f"Querying {category} …")
+            seen = set()
+            skipped = 0
+            for el in overpass(server, selectors, bbox, out):
+                key = (el["type"], el["id"])
+                if key in seen:
+                    continue  # matched by more than one selector
+                seen.add(key)
+                feat = convert(category, el)
+                if feat:
+                    features.append(feat)
+                else:
+                    skipped += 1
+            print(f"  {len(seen) - skipped} {category} features" + (f" ({skipped} without usable geometry)" if skipped else ""))
+    return features
+
+
+def parse_args():
+    parser = argparse.ArgumentParser(description="Build a region's amenity extract from OpenStreetMap.")
+    parser.add_argument("region", nargs="?", help="region id in app/data/regions.json (default: its default)")
+    parser.add_argument("--overpass", default=OVERPASS_URL, help=f"Overpass API interpreter URL (default: {OVERPASS_URL})")
+    return parser.parse_args()
+
+
+def main():
+    args = parse_args()
+    region_id, region = load_region(args.region)
+    bbox = padded_bbox(region["bounds"])
+    print(f"Region: {region['name']} ({region_id}); bbox {bbox}")
+
+    features = collect(args.overpass, bbox)
+    if not features:
+        print("ERROR: Overpass returned no amenities. Check the bounds and the server.")
+        sys.exit(1)
+
+    out_file, listed = data_file(region_id, region, "amenities")
+    out_path = os.path.abspath(os.path.join(APP_DIR, out_file))
+    os.makedirs(os.path.dirname(out_path), exist_ok=True)
+    geojson = {
+        "type": "FeatureCollection",
+        "metadata": {"source": "OpenStreetMap contributors (ODbL) via Overpass API", "bbox": bbox},
+        "features": features,
+    }
+    with open(out_path, "w", encoding="utf-8") as f:
+        json.dump(geojson, f, separators=(",", ":"))
+
+    size_kb = os.path.getsize(out_path) // 1024
+    print(f"Wrote {len(features)} amenities to {out_path} ({size_kb} KB)")
+    if not listed:
+        print(listing_hint(region_id, "amenities", out_file))
+
+
+if __name__ == "__main__":
+    main()
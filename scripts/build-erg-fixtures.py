@@ -0,0 +1,312 @@
+#!/usr/bin/env python3
+"""
+Data prep script: writes the offline ERG/KCL London Air fixtures used by
+the "Offline fixtures" data source (app/js/utils/erg-api.js) for a window
+of days, restricted to stations in the target boroughs:
+
+    app/data/fixtures/erg/manifest.json              window + provenance
+    app/data/fixtures/erg/sites.json                 MonitoringSites
+    app/data/fixtures/erg/hourly-index.json          "live" index (last hour)
+    app/data/fixtures/erg/daily-index/<date>.json    Daily/MonitoringIndex
+    app/data/fixtures/erg/site-data/<code>.json      hourly measurements
+    app/data/fixtures/erg/annual/<code>-<year>.json  MonitoringReport for the
+                                                     year before the window
+
+Download real archive responses (needs network access to api.erg.ic.ac.uk):
+
+    python3 scripts/build-erg-fixtures.py 2024-01-08 2024-01-14
+
+or generate deterministic synthetic data in the same shapes (no network;
+station positions are approximate and values are made up):
+
+    python3 scripts/build-erg-fixtures.py --synthetic 2024-01-08 2024-01-14
+
+Both dates are inclusive. No pip installs required — uses only Python stdlib.
+"""
+import datetime as dt
+import json
+import math
+import os
+import random
+import sys
+import urllib.request
+
+# -----------------------------------------------------------
+# Config
+# -----------------------------------------------------------
+BASE_URL = "https://api.erg.ic.ac.uk/AirQuality"
+GROUP = "London"
+
+# West London borough names as they appear in the ERG API; the fixtures cover
+# the default region only (app/data/regions.json; matching: app/js/utils/scoring.js)
+TARGET_BOROUGHS = {
+    "hammersmith and fulham",
+    "richmond",
+    "richmond upon thames",
+    "wandsworth",
+    "hounslow",
+    "kensington and chelsea",
+}
+
+OUT_DIR = os.path.join(os.path.dirname(__file__), "..", "app", "data", "fixtures", "erg")
+
+# DAQI upper bounds (µg/m³) for indices 1–9 (see panels/air-history.js)
+DAQI_BOUNDS = {
+    "O3":   [33, 66, 100, 120, 140, 160, 187, 213, 240],
+    "NO2":  [67, 134, 200, 267, 334, 400, 467, 534, 600],
+    "SO2":  [88, 177, 266, 354, 443, 532, 710, 887, 1064],
+    "PM25": [11, 23, 35, 41, 47, 53, 58, 64, 70],
+    "PM10": [16, 33, 50, 58, 66, 75, 83, 91, 100],
+}
+
+BAND_NAMES = ["Low"] * 3 + ["Moderate"] * 3 + ["High"] * 3 + ["Very High"]
+
+# Synthetic mode: approximate station positions, species and typical means
+SYNTHETIC_SITES = [
+    # code, borough, name, type, lat, lng, { species: mean µg/m³ }
+    ("HF4", "Hammersmith and Fulham", "Hammersmith and Fulham - Shepherds Bush", "Roadside",
+     51.50395, -0.22428, {"NO2": 55, "PM10": 22}),
+    ("KC1", "Kensington and Chelsea", "Kensington and Chelsea - North Ken", "Urban Background",
+     51.52105, -0.21349, {"NO2": 30, "O3": 40, "PM10": 17, "PM25": 10, "SO2": 3}),
+    ("WA7", "Wandsworth", "Wandsworth - Putney High Street", "Kerbside",
+     51.46343, -0.21587, {"NO2": 70}),
+    ("RI1", "Richmond", "Richmond Upon Thames - Castelnau", "Roadside",
+     51.48025, -0.23713, {"NO2": 38, "PM10": 18}),
+    ("RI2", "Richmond", "Richmond Upon Thames - Barnes Wetlands", "Suburban",
+     51.47650, -0.23040, {"NO2": 22, "O3": 45}),
+    ("HS4", "Hounslow", "Hounslow - Chiswick High Road", "Roadside",
+     51.49255, -0.25759, {"NO2": 48, "PM10": 21, "PM25": 12}),
+]
+
+SPECIES_NAMES = {
+    "NO2": "Nitrogen Dioxide",
+    "O3": "Ozone",
+    "PM10": "PM10 Particulate",
+    "PM25": "PM2.5 Particulate",
+    "SO2": "Sulphur Dioxide",
+}
+
+
+def daqi(species, value):
+    bounds = DAQI_BOUNDS.get(species)
+    if bounds is None or value is None or value < 0:
+        return None
+    v = round(value)
+    for i, upper in enumerate(bounds):
+        if v <= upper:
+            return i + 1
+    return 10
+
+
+def days_between(start, end):
+    d = start
+    while d <= end:
+        yield d
+        d += dt.timedelta(days=1)
+
+
+def write_json(rel_path, data):
+    path = os.path.abspath(os.path.join(OUT_DIR, rel_path))
+    os.makedirs(os.path.dirname(path), exist_ok=True)
+    with open(path, "w", encoding="utf-8") as f:
+        json.dump(data, f, separators=(",", ":"))
+    return path
+
+
+def index_response(root, sites_by_borough, bulletin):
+    """MonitoringIndex response: { root: { LocalAuthority: [{ Site: [{ Species: [...] }] }] } }."""
+    return {root: {
+        "@GroupName": GROUP,
+        "LocalAuthority": [
+            {"@LocalAuthorityName": borough, "Site": [
+                {
+                    "@SiteCode": code,
+                    "@SiteName": name,
+                    "@BulletinDate": bulletin,
+                    "Species": [
+                        {
+                            "@SpeciesCode": sp,
+                            "@SpeciesDescription": SPECIES_NAMES.get(sp, sp),
+                            "@AirQualityIndex": str(idx),
+                            "@AirQualityBand": BAND_NAMES[idx - 1],
+                        }
+                        for sp, idx in species.items()
+                    ],
+                }
+                for code, name, species in sites
+            ]}
+            for borough, sites in sites_by_borough.items()
+        ],
+    }}
+
+
+# -----------------------------------------------------------
+# Real archive download
+# -----------------------------------------------------------
+def get(path):
+    url = f"{BASE_URL}/{path}"
+    print(f"  GET {url}")
+    req = urllib.request.Request(url, headers={"User-Agent": "propmap-builder/1.0"})
+    with urllib.request.urlopen(req, timeout=120) as resp:
+        return json.loads(resp.read())
+
+
+def in_target(site):
+    borough = " ".join(site.get("@LocalAuthorityName", "").lower().split())
+    return any(b == borough or b in borough for b in TARGET_BOROUGHS)
+
+
+def keep_target_sites(index_json, root, codes):
+    las = (index_json.get(root) or {}).get("LocalAuthority") or []
+    las = las if isinstance(las, list) else [las]
+    for la in las:
+        sites = la.get("Site") or []
+        sites = sites if isinstance(sites, list) else [sites]
+        la["Site"] = [s for s in sites if s.get("@SiteCode") in codes]
+    index_json[root]["LocalAuthority"] = [la for la in las if la["Site"]]
+    return index_json
+
+
+def build_real(start, end):
+    print("Downloading monitoring sites …")
+    sites_json = get(f"Information/MonitoringSites/GroupName={GROUP}/Json")
+    all_sites = sites_json.get("Sites", {}).get("Site", [])
+    sites = [s for s in all_sites if in_target(s) and not s.get("@DateClosed")]
+    codes = {s["@SiteCode"] for s in sites}
+    print(f"  {len(codes)} open stations in target boroughs.")
+    write_json("sites.json", {"Sites": {"Site": sites}})
+
+    print("Downloading daily indices …")
+    for day in days_between(start, end):
+        daily = get(f"Daily/MonitoringIndex/GroupName={GROUP}/Date={day.isoformat()}/Json")
+        write_json(f"daily-index/{day.isoformat()}.json", keep_target_sites(daily, "DailyAirQualityIndex", codes))
+
+    print("Downloading hourly measurements …")
+    end_excl = (end + dt.timedelta(days=1)).isoformat()
+    for code in sorted(codes):
+        data = get(f"Data/Site/SiteCode={code}/StartDate={start.isoformat()}/EndDate={end_excl}/Json")
+        write_json(f"site-data/{code}.json", data)
+
+    print("Downloading annual reports …")
+    year = start.year - 1
+    for code in sorted(codes):
+        write_json(f"annual/{code}-{year}.json", get(f"Annual/MonitoringReport/SiteCode={code}/Year={year}/Json"))
+
+    # The "live" fixture is the latest hourly index at download time
+    hourly = get(f"Hourly/MonitoringIndex/GroupName={GROUP}/Json")
+    write_json("hourly-index.json", keep_target_sites(hourly, "HourlyAirQualityIndex", codes))
+    return False
+
+
+# -----------------------------------------------------------
+# Synthetic data
+# -----------------------------------------------------------
+def synthetic_value(species, mean, hour, day_factor, rng):
+    """Rush-hour peaks for traffic pollutants, afternoon peak for ozone."""
+    if species == "O3":
+        shape = 1 + 0.5 * math.sin((hour - 9) / 24 * 2 * math.pi)
+        value = mean * shape / day_factor
+    elif species in ("PM10", "PM25"):
+        value = mean * day_factor * (1 + 0.15 * math.sin(hour / 24 * 2 * math.pi))
+    else:
+        rush = math.exp(-((hour - 8) ** 2) / 6) + 0.8 * math.exp(-((hour - 18) ** 2) / 8)
+        value = mean * day_factor * (0.55 + 1.1 * rush)
+    return max(0.0, round(value * rng.uniform(0.85, 1.15), 1))
+
+
+def build_synthetic(start, end):
+    rng = random.Random(f"{start}:{end}")
+    days = list(days_between(start, end))
+    day_factors = {d: rng.uniform(0.6, 1.8) for d in days}   # weather: still days are worse
+
+    sites = [{
+        "@LocalAuthorityName": borough,
+        "@SiteCode": code,
+        "@SiteName": name,
+        "@SiteType": site_type,
+        "@DateOpened": "2000-01-01 00:00:00",
+        "@DateClosed": "",
+        "@Latitude": str(lat),
+        "@Longitude": str(lng),
+    } for code, borough, name, site_type, lat, lng, _ in SYNTHETIC_SITES]
+    write_json("sites.json", {"Sites": {"Site": sites}})
+
+    hourly = {}   # code → [(datetime, species, value)]
+    for code, *_rest, means in SYNTHETIC_SITES:
+        rows = []
+        for day in days:
+            for hour in range(24):
+                when = dt.datetime.combine(day, dt.time(hour))
+                for species, mean in means.items():
+                    rows.append((when, species, synthetic_value(species, mean, hour, day_factors[day], rng)))
+        hourly[code] = rows
+        write_json(f"site-data/{code}.json", {"AirQualityData": {"@SiteCode": code, "Data": [
+            {"@SpeciesCode": sp, "@MeasurementDateGMT": when.strftime("%Y-%m-%d %H:%M:%S"), "@Value": str(v)}
+            for when, sp, v in rows
+        ]}})
+
+    def by_borough(species_for):
+        out = {}
+        for code, borough, name, *_ in SYNTHETIC_SITES:
+            out.setdefault(borough, []).append((code, name, species_for(code)))
+        return out
+
+    for day in days:
+        def daily_species(code):
+            result = {}
+            for sp in sorted({sp for _, sp, _ in hourly[code]}):
+                values = [v for when, s, v in hourly[code] if s == sp and when.date() == day]
+                result[sp] = daqi(sp, sum(values) / len(values))
+            return result
+        bulletin = day.strftime("%Y-%m-%d 00:00:00")
+        write_json(f"daily-index/{day.isoformat()}.json",
+                   index_response("DailyAirQualityIndex", by_borough(daily_species), bulletin))
+
+    last = dt.datetime.combine(end, dt.time(23))
+
+    def latest_species(code):
+        return {sp: daqi(sp, v) for when, sp, v in hourly[code] if when == last}
+    write_json("hourly-index.json",
+               index_response("HourlyAirQualityIndex", by_borough(latest_species), last.strftime("%Y-%m-%d %H:%M:%S")))
+
+    # Annual means near each site's typical level (separate stream, so the
+    # hourly data does not depend on it)
+    year = start.year - 1
+    annual_rng = random.Random(f"annual:{year}")
+    for code, *_rest, means in SYNTHETIC_SITES:
+        write_json(f"annual/{code}-{year}.json", {"SiteReport": {"@SiteCode": code, "@ReportYear": str(year), "ReportItem": [
+            {
+                "@SpeciesCode": sp,
+                "@ReportItemName": "Mean: (annual)",
+                "@Annual": str(round(mean * annual_rng.uniform(0.85, 1.1), 1)),
+            }
+            for sp, mean in means.items()
+        ]}})
+    return True
+
+
+def main():
+    args = [a for a in sys.argv[1:] if a != "--synthetic"]
+    synthetic = "--synthetic" in sys.argv[1:]
+    if len(args) != 2:
+        print(__doc__)
+        sys.exit(1)
+    start, end = (dt.date.fromisoformat(a) for a in args)
+    if start > end:
+        print("ERROR: start date is after end date.")
+        sys.exit(1)
+
+    synthetic = build_synthetic(start, end) if synthetic else build_real(start, end)
+    path = write_json("manifest.json", {
+        "start": start.isoformat(),
+        "end": end.isoformat(),
+        "annualYear": start.year - 1,
+        "synthetic": synthetic,
+        "note": ("Synthetic values for offline development — not real measurements."
+                 if synthetic else "ERG/KCL London Air archive responses."),
+    })
+    print(f"\nWrote fixtures for {start} – {end} to {os.path.dirname(path)}")
+
+
+if __name__ == "__main__":
+    main()
@@ -1,57 +1,154 @@
 #!/usr/bin/env python3
 """
-One-time data prep script: downloads IMD 2019 data and LSOA boundaries,
-joins them, and writes data/west-london-imd.geojson.
+One-time data prep script: downloads one IMD edition and the matching LSOA
+boundaries for a study region's boroughs, joins them, and writes the
+region's file for that edition (data.imd in app/data/regions.json, e.g.
+data/west-london-imd.geojson for 2019, or
+app/data/<region-id>-imd-<edition>.geojson while it is not listed there).
+
+Each LSOA carries the overall IMD score and decile (imd_score, imd_decile)
+and the same pair for each of the seven IoD domains (crime_decile, …; keys
+as in Scoring.IMD_DOMAINS, app/js/utils/scoring.js).
+
+    python3 scripts/build-geojson.py [region-id] [--edition 2019]
+                                     [--csv PATH_OR_URL] [--boundaries URL]
+
+The region defaults to the one regions.json marks as default, the edition
+to 2019. Editions are published on different census geographies (see
+EDITIONS); IMD 2025 uses 2021 LSOAs, so comparing it with earlier editions
+in the map also needs the boundary lookup (scripts/build-lsoa-lookup.py).
+Pass --csv for editions without a known download URL ("File 7" of the
+release, all ranks, deciles and scores), and --boundaries if ONS has moved
+the boundary service.
 
 No pip installs required — uses only Python stdlib.
 """
+import argparse
 import csv
 import json
 import os
+import sys
 import urllib.request
 import urllib.parse
 
+from regions import APP_DIR, data_file, listing_hint, load_region
+
 # -----------------------------------------------------------
 # Config
 # -----------------------------------------------------------
-TARGET_BOROUGHS = {
-    "Hammersmith and Fulham",
-    "Richmond upon Thames",
-    "Wandsworth",
-    "Hounslow",
-    "Kensington and Chelsea",
+# IoD domain key → CSV column prefix ("<prefix> Score" / "<prefix> Decile (…)")
+DOMAINS = {
+    "income":      "Income",
+    "employment":  "Employment",
+    "education":   "Education, Skills and Training",
+    "health":      "Health Deprivation and Disability",
+    "crime":       "Crime",
+    "housing":     "Barriers to Housing and Services",
+    "environment": "Living Environment",
 }
+DECILE_SUFFIX = " Decile (where 1 is most deprived 10% of LSOAs)"
 
-IMD_CSV_URL = (
-    "https://assets.publishing.service.gov.uk/media/"
-    "5dc407b440f0b6379a7acc8d/File_7_-_All_IoD2019_Scores__Ranks__Deciles_and_Population_Denominators_3.csv"
-)
+# IMD edition → File 7 CSV and the LSOA geography (census year) it uses;
+# keep in step with Scoring.IMD_EDITIONS
+EDITIONS = {
+    "2015": {
+        "csv": "https://assets.publishing.service.gov.uk/government/uploads/system/uploads/attachment_data/"
+               "file/467774/File_7_ID_2015_All_ranks__deciles_and_scores_for_the_Indices_of_Deprivation__and_population_denominators.csv",
+        "lsoa_year": 2011,
+    },
+    "2019": {
+        "csv": "https://assets.publishing.service.gov.uk/media/"
+               "5dc407b440f0b6379a7acc8d/File_7_-_All_IoD2019_Scores__Ranks__Deciles_and_Population_Denominators_3.csv",
+        "lsoa_year": 2011,
+    },
+    "2025": {
+        "csv": None,  # pass --csv
+        "lsoa_year": 2021,
+    },
+}
 
-ONS_FEATURE_SERVER = (
-    "https://services1.arcgis.com/ESMARspQHYMw9BZ9/arcgis/rest/services/"
-    "LSOA_2011_Boundaries_Super_Generalised_Clipped_BSC_EW_V4/FeatureServer/0/query"
-)
+# LSOA geography → ONS FeatureServer query URL and code field prefix
+BOUNDARIES = {
+    2011: (
+        "https://services1.arcgis.com/ESMARspQHYMw9BZ9/arcgis/rest/services/"
+        "LSOA_2011_Boundaries_Super_Generalised_Clipped_BSC_EW_V4/FeatureServer/0/query",
+        "LSOA11",
+    ),
+    2021: (
+        "https://services1.arcgis.com/ESMARspQHYMw9BZ9/arcgis/rest/services/"
+        "Lower_layer_Super_Output_Areas_December_2021_Boundaries_EW_BSC_V4/FeatureServer/0/query",
+        "LSOA21",
+    ),
+}
 
-OUT_PATH = os.path.join(os.path.dirname(__file__), "..", "app", "data", "west-london-imd.geojson")
 
 # -----------------------------------------------------------
 # Step 1: Download and parse IMD CSV
 # -----------------------------------------------------------
-def download_imd():
-    print("Downloading IMD 2019 CSV …")
-    req = urllib.request.Request(IMD_CSV_URL, headers={"User-Agent": "propmap-builder/1.0"})
+def find_column(fieldnames, prefix):
+    """The first column starting with prefix, ignoring case; the census or
+    boundary year in brackets differs between editions ("LSOA code (2011)")."""
+    for name in fieldnames:
+        if name.lower().startswith(prefix.lower()):
+            return name
+    return None
+
+
+def read_csv(source):
+    """CSV text from a URL or a local path."""
+    if not source.startswith(("http://", "https://")):
+        with open(source, encoding="utf-8-sig") as f:
+            return f.read()
+    req = urllib.request.Request(source, headers={"User-Agent": "propmap-builder/1.0"})
     with urllib.request.urlopen(req, timeout=60) as resp:
-        content = resp.read().decode("utf-8-sig")  # strip BOM if present
+        return resp.read().decode("utf-8-sig")  # strip BOM if present
+
+
+def domain_values(row):
+    """{ "<key>_score", "<key>_decile" } for each IoD domain; None where missing."""
+    values = {}
+    for key, prefix in DOMAINS.items():
+        # Income and employment scores are rates: "Income Score (rate)"
+        score_raw = row.get(f"{prefix} Score") or row.get(f"{prefix} Score (rate)")
+        try:
+            values[f"{key}_score"] = round(float(score_raw), 3)
+        except (ValueError, TypeError):
+            values[f"{key}_score"] = None
+        try:
+            values[f"{key}_decile"] = int(row.get(prefix + DECILE_SUFFIX))
+        except (ValueError, TypeError):
+            values[f"{key}_decile"] = None
+    return values
+
+
+def download_imd(source, target_lads):
+    """IMD rows for LSOAs in the given local authority districts (ONS codes)."""
+    print(f"Reading IMD CSV from {source} …")
+    reader = csv.DictReader(read_csv(source).splitlines())
+    columns = {
+        key: find_column(reader.fieldnames or [], prefix)
+        for key, prefix in {
+            "borough": "Local Authority District name",
+            "lad_code": "Local Authority District code",
+            "lsoa_code": "LSOA code",
+            "lsoa_name": "LSOA name",
+            "imd_score": "Index of Multiple Deprivation (IMD) Score",
+            "imd_decile": "Index of Multiple Deprivation (IMD) Decile",
+        }.items()
+    }
+    missing = [key for key in ("lad_code", "lsoa_code", "imd_decile") if not columns[key]]
+    if missing:
+        sys.exit(f"ERROR: the CSV has no column for {', '.join(missing)}. Is it the release's File 7?")
 
-    reader = csv.DictReader(content.splitlines())
     imd_by_lsoa = {}
     for row in reader:
-        borough = row.get("Local Authority District name (2019)") or row.get("Local Authority District Name (2019)", "")
-        if borough in TARGET_BOROUGHS:
-            lsoa_code = row.get("LSOA code (2011)") or row.get("LSOA Code (2011)", "")
-            lsoa_name = row.get("LSOA name (2011)") or row.get("LSOA Name (2011)", "")
-            imd_score_raw = row.get("Index of Multiple Deprivation (IMD) Score") or row.get("Index of Multiple Deprivation (IMD) Score", "")
-            imd_decile_raw = row.get("Index of Multiple Deprivation (IMD) Decile (where 1 is most deprived 10% of LSOAs)") or ""
+        borough = row.get(columns["borough"], "")
+        lad_code = row.get(columns["lad_code"], "")
+        if lad_code in target_lads:
+            lsoa_code = row.get(columns["lsoa_code"], "")
+            lsoa_name = row.get(columns["lsoa_name"], "")
+            imd_score_raw = row.get(columns["imd_score"], "")
+            imd_decile_raw = row.get(columns["imd_decile"], "")
             if not lsoa_code:
                 continue
             try:
@@ -68,6 +165,7 @@ def download_imd():
                 "borough": borough,
                 "imd_score": imd_score,
                 "imd_decile": imd_decile,
+                **domain_values(row),
             }
 
     print(f"  Found {len(imd_by_lsoa)} LSOAs in target boroughs.")
@@ -84,24 +182,27 @@ def round_coords(coords, dp=5):
     return [round_coords(c, dp) for c in coords]
 
 
-def download_boundaries(lsoa_codes, batch_size=50):
-    """Download LSOA boundaries in batches using POST to avoid URL length limits."""
-    print(f"Downloading LSOA boundaries for {len(lsoa_codes)} LSOAs (batch_size={batch_size}) …")
+def download_boundaries(lsoa_codes, server, field, batch_size=50):
+    """Download LSOA boundaries in batches using POST to avoid URL length limits.
+
+    field is the code field prefix of the geography, e.g. "LSOA11" → LSOA11CD.
+    """
+    print(f"Downloading {field} boundaries for {len(lsoa_codes)} LSOAs (batch_size={batch_size}) …")
     all_features = []
     batches = [lsoa_codes[i:i + batch_size] for i in range(0, len(lsoa_codes), batch_size)]
 
     for idx, batch in enumerate(batches):
         codes_sql = ",".join(f"'{c}'" for c in batch)
-        where = f"LSOA11CD IN ({codes_sql})"
+        where = f"{field}CD IN ({codes_sql})"
         post_data = urllib.parse.urlencode({
             "where": where,
-            "outFields": "LSOA11CD,LSOA11NM",
+            "outFields": f"{field}CD,{field}NM",
             "outSR": "4326",
             "f": "geojson",
             "returnGeometry": "true",
         }).encode("utf-8")
         req = urllib.request.Request(
-            ONS_FEATURE_SERVER,
+            server,
             data=post_data,
             headers={
                 "User-Agent": "propmap-builder/1.0",
@@ -121,12 +222,12 @@ def download_boundaries(lsoa_codes, batch_size=50):
 # -----------------------------------------------------------
 # Step 3: Join and write GeoJSON
 # -----------------------------------------------------------
-def build_geojson(imd_by_lsoa, boundary_features):
+def build_geojson(imd_by_lsoa, boundary_features, field, metadata):
     out_features = []
     matched = 0
     for feat in boundary_features:
         props = feat.get("properties", {})
-        code = props.get("LSOA11CD", "")
+        code = props.get(f"{field}CD", "")
         imd = imd_by_lsoa.get(code)
         if not imd:
             continue  # outside target boroughs
@@ -138,38 +239,56 @@ def build_geojson(imd_by_lsoa, boundary_features):
 
         out_features.append({
             "type": "Feature",
-            "properties": {
-                "lsoa_code": code,
-                "lsoa_name": imd["lsoa_name"],
-                "borough": imd["borough"],
-                "imd_score": imd["imd_score"],
-                "imd_decile": imd["imd_decile"],
-            },
+            "properties": {"lsoa_code": code, **imd},
             "geometry": geom,
         })
 
     print(f"  Joined {matched} features (of {len(boundary_features)} boundaries).")
-    geojson = {"type": "FeatureCollection", "features": out_features}
+    geojson = {"type": "FeatureCollection", "metadata": metadata, "features": out_features}
     return geojson
 
 
+def parse_args():
+    parser = argparse.ArgumentParser(description="Build a region's IMD GeoJSON for one edition.")
+    parser.add_argument("region", nargs="?", help="region id in app/data/regions.json (default: its default)")
+    parser.add_argument("--edition", default="2019", choices=sorted(EDITIONS))
+    parser.add_argument("--csv", help="IMD File 7 CSV, path or URL (default: the edition's known URL)")
+    parser.add_argument("--boundaries", help="ONS FeatureServer query URL for the edition's LSOA geography")
+    return parser.parse_args()
+
+
 def main():
-    os.makedirs(os.path.dirname(OUT_PATH), exist_ok=True)
+    args = parse_args()
+    region_id, region = load_region(args.region)
+    edition = EDITIONS[args.edition]
+    out_file, listed = data_file(region_id, region, "imd", args.edition)
+    source = args.csv or edition["csv"]
+    if not source:
+        sys.exit(f"ERROR: no known download for IMD {args.edition}; pass its File 7 CSV with --csv")
+    server, field = BOUNDARIES[edition["lsoa_year"]]
+
+    out_path = os.path.abspath(os.path.join(APP_DIR, out_file))
+    os.makedirs(os.path.dirname(out_path), exist_ok=True)
+    print(f"Region: {region['name']} ({region_id}), {len(region['boroughs'])} boroughs; IMD {args.edition}")
 
-    imd_by_lsoa = download_imd()
+    imd_by_lsoa = download_imd(source, {b["code"] for b in region["boroughs"]})
     if not imd_by_lsoa:
         print("ERROR: No IMD data found for target boroughs. Check CSV column names.")
         return
 
-    boundary_features = download_boundaries(list(imd_by_lsoa.keys()))
-    geojson = build_geojson(imd_by_lsoa, boundary_features)
+    boundary_features = download_boundaries(list(imd_by_lsoa.keys()), args.boundaries or server, field)
+    geojson = build_geojson(imd_by_lsoa, boundary_features, field, {
+        "edition": args.edition,
+        "lsoa_year": edition["lsoa_year"],
+    })
 
-    out_path = os.path.abspath(OUT_PATH)
     with open(out_path, "w", encoding="utf-8") as f:
         json.dump(geojson, f, separators=(",", ":"))
 
     size_kb = os.path.getsize(out_path) // 1024
     print(f"\nWrote {len(geojson['features'])} features to {out_path} ({size_kb} KB)")
+    if not listed:
+        print(listing_hint(region_id, "imd", out_file, args.edition))
 
 
 if __name__ == "__main__":
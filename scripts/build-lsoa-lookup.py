@@ -0,0 +1,73 @@
+#!/usr/bin/env python3
+"""
+One-time data prep script: extracts the 2011 → 2021 LSOA boundary changes
+for a study region's boroughs from the ONS best-fit lookup and writes the
+region's lookup file (data.lsoaLookup in app/data/regions.json, or
+app/data/<region-id>-lsoa-lookup.json while it is not listed there). The deprivation layer uses it to
+compare IMD editions published on different census geographies (IMD 2019
+on 2011 LSOAs, IMD 2025 on 2021 LSOAs).
+
+Download the lookup CSV from https://geoportal.statistics.gov.uk/ (search
+"LSOA (2011) to LSOA (2021) to Local Authority District (2022) Lookup")
+and pass it, optionally with a region id (default: the one regions.json
+marks as default):
+
+    python3 scripts/build-lsoa-lookup.py path/to/LSOA11_LSOA21_LAD22_EW_LU.csv [region-id]
+
+Only changed LSOAs are written; codes that are absent map to themselves:
+
+    { "from": 2011, "to": 2021, "changes": { "E01000001": ["E01033xxx", …], … } }
+
+No pip installs required — uses only Python stdlib.
+"""
+import csv
+import json
+import os
+import sys
+
+from regions import APP_DIR, data_file, listing_hint, load_region
+
+
+def read_changes(csv_path, target_lads):
+    """2011 code → sorted 2021 codes, for LSOAs in the target boroughs that changed.
+
+    target_lads are local authority district codes (lookup column "LAD22CD").
+    LSOAs whose only 2021 code is their own (unchanged) are left out.
+    """
+    targets = {}
+    with open(csv_path, newline="", encoding="utf-8-sig") as f:
+        for row in csv.DictReader(f):
+            # Column names are upper-case in some releases, mixed in others
+            row = {k.upper(): v for k, v in row.items()}
+            if row.get("LAD22CD") not in target_lads:
+                continue
+            old, new = row.get("LSOA11CD"), row.get("LSOA21CD")
+            if not old or not new:
+                continue
+            targets.setdefault(old, set()).add(new)
+    return {old: sorted(new) for old, new in sorted(targets.items()) if new != {old}}
+
+
+def main():
+    if len(sys.argv) not in (2, 3):
+        print(__doc__)
+        sys.exit(1)
+
+    region_id, region = load_region(sys.argv[2] if len(sys.argv) > 2 else None)
+    print(f"Region: {region['name']} ({region_id}), {len(region['boroughs'])} boroughs")
+
+    changes = read_changes(sys.argv[1], {b["code"] for b in region["boroughs"]})
+    out = {"from": 2011, "to": 2021, "changes": changes}
+    out_file, listed = data_file(region_id, region, "lsoaLookup")
+    out_path = os.path.abspath(os.path.join(APP_DIR, out_file))
+    with open(out_path, "w", encoding="utf-8") as f:
+        json.dump(out, f, separators=(",", ":"))
+
+    splits = sum(1 for new in changes.values() if len(new) > 1)
+    print(f"Wrote {len(changes)} changed 2011 LSOAs ({splits} split) to {out_path}")
+    if not listed:
+        print(listing_hint(region_id, "lsoaLookup", out_file))
+
+
+if __name__ == "__main__":
+    main()
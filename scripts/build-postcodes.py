@@ -0,0 +1,87 @@
+#!/usr/bin/env python3
+"""
+One-time data prep script: extracts postcode centroids for a study region's
+boroughs from the ONS Postcode Directory (ONSPD) and writes the region's
+postcode file (data.postcodes in app/data/regions.json, or
+app/data/<region-id>-postcodes.json while it is not listed there), the
+offline stand-in for online geocoding.
+
+Download the ONSPD zip from https://geoportal.statistics.gov.uk/ (search
+"ONS Postcode Directory"), unzip it, and pass the main CSV
+(Data/ONSPD_<MON>_<YEAR>_UK.csv) and optionally a region id (default: the
+one regions.json marks as default):
+
+    python3 scripts/build-postcodes.py path/to/ONSPD_..._UK.csv [region-id]
+
+No pip installs required — uses only Python stdlib.
+"""
+import csv
+import json
+import os
+import sys
+
+from regions import APP_DIR, data_file, listing_hint, load_region
+
+
+def read_postcodes(csv_path, target_lads):
+    """Live postcodes in the target boroughs → { "W6 9AA": [lat, lng] }.
+
+    target_lads are local authority district codes (ONSPD column "oslaua").
+    """
+    postcodes = {}
+    with open(csv_path, newline="", encoding="utf-8-sig") as f:
+        for row in csv.DictReader(f):
+            if row.get("oslaua") not in target_lads:
+                continue
+            if row.get("doterm"):
+                continue  # terminated postcode
+            try:
+                lat = round(float(row["lat"]), 5)
+                lng = round(float(row["long"]), 5)
+            except (KeyError, ValueError):
+                continue
+            if lat > 90:
+                continue  # ONSPD uses 99.999999 for "no grid reference"
+            pcd = " ".join(row["pcds"].split()).upper()
+            postcodes[pcd] = [lat, lng]
+    return postcodes
+
+
+def district_centroids(postcodes):
+    """Mean position of each outward code (e.g. "W6") → { "W6": [lat, lng] }."""
+    sums = {}
+    for pcd, (lat, lng) in postcodes.items():
+        outward = pcd.split(" ")[0]
+        s = sums.setdefault(outward, [0.0, 0.0, 0])
+        s[0] += lat
+        s[1] += lng
+        s[2] += 1
+    return {k: [round(s[0] / s[2], 5), round(s[1] / s[2], 5)] for k, s in sums.items()}
+
+
+def main():
+    if len(sys.argv) not in (2, 3):
+        print(__doc__)
+        sys.exit(1)
+
+    region_id, region = load_region(sys.argv[2] if len(sys.argv) > 2 else None)
+    print(f"Region: {region['name']} ({region_id}), {len(region['boroughs'])} boroughs")
+    postcodes = read_postcodes(sys.argv[1], {b["code"] for b in region["boroughs"]})
+    if not postcodes:
+        print("ERROR: No postcodes found for target boroughs. Check the CSV columns.")
+        sys.exit(1)
+
+    out = {"postcodes": postcodes, "districts": district_centroids(postcodes)}
+    out_file, listed = data_file(region_id, region, "postcodes")
+    out_path = os.path.abspath(os.path.join(APP_DIR, out_file))
+    with open(out_path, "w", encoding="utf-8") as f:
+        json.dump(out, f, separators=(",", ":"))
+
+    size_kb = os.path.getsize(out_path) // 1024
+    print(f"Wrote {len(postcodes)} postcodes / {len(out['districts'])} districts to {out_path} ({size_kb} KB)")
+    if not listed:
+        print(listing_hint(region_id, "postcodes", out_file))
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Check for the batch scorer: runs scripts/score-lsoas.js on the offline ERG
+ * fixtures (app/data/fixtures/erg) and the default region's IMD file, once
+ * per case below, and asserts on what it writes.
+ *
+ *     node scripts/check-score-lsoas.js
+ *
+ * Cases:
+ *   default     raw ERG sites + index, default weights: one feature and one
+ *               CSV row per LSOA, every score and component in 0–1, scores
+ *               that vary, the fixture stations used for the air component
+ *   weights-3   --weights dep,air,noise: the given weights, proximity off
+ *   weights-7   --weights with all seven components, plus --amenities: the
+ *               proximity components weighted and measured to the extract
+ *   stations    --stations: a station snapshot built from the same fixtures
+ *               gives the same air component as the raw responses
+ *   noise       --noise with --noise-metric: levels banded on that metric's
+ *               classes, and the metric (not the file) in noise_metric
+ * Every case also checks that each score is the weighted sum of its
+ * exported components and that the run metadata is on every row.
+ * Exits non-zero on the first failure.
+ * No npm installs required — plain Node (18+).
+ */
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Scoring = require('../app/js/utils/scoring.js');
+
+const ROOT = path.join(__dirname, '..');
+const APP_DIR = path.join(ROOT, 'app');
+const FIXTURES = path.join(APP_DIR, 'data', 'fixtures', 'erg');
+const SCORER = path.join(__dirname, 'score-lsoas.js');
+
+const ERG_ARGS = [
+  '--sites', path.join(FIXTURES, 'sites.json'),
+  '--index', path.join(FIXTURES, 'hourly-index.json'),
+];
+
+// Export rounding (Scoring.exportProperties) leaves sums this close
+const SUM_TOLERANCE = 1e-3;
+
+// -----------------------------------------------------------
+// Run the scorer
+// -----------------------------------------------------------
+function run(outDir, name, args) {
+  const geojsonPath = path.join(outDir, `${name}.geojson`);
+  const csvPath = path.join(outDir, `${name}.csv`);
+  execFileSync(process.execPath, [SCORER, ...args, '--geojson', geojsonPath, '--csv', csvPath],
+    { stdio: ['ignore', 'ignore', 'pipe'] });
+  return {
+    collection: JSON.parse(fs.readFileSync(geojsonPath, 'utf8')),
+    csvLines:   fs.readFileSync(csvPath, 'utf8').trim().split(/\r?\n/),
+  };
+}
+
+function writeJson(outDir, file, data) {
+  const filePath = path.join(outDir, file);
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  return filePath;
+}
+
+/** LSOAs the scorer should find in the default region's default IMD edition. */
+function expectedLsoas() {
+  const config = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'data', 'regions.json'), 'utf8'));
+  const imdFile = config.regions[config.default].data.imd[Scoring.DEFAULT_EDITION];
+  return Scoring.lsoasFromGeojson(JSON.parse(fs.readFileSync(path.join(APP_DIR, imdFile), 'utf8')));
+}
+
+/** The fixture stations as an exported station snapshot (AirQualityLayer.stationSnapshot). */
+function stationSnapshot(region) {
+  const sites = Scoring.parseSites(JSON.parse(fs.readFileSync(path.join(FIXTURES, 'sites.json'), 'utf8')));
+  const index = Scoring.parseIndex(JSON.parse(fs.readFileSync(path.join(FIXTURES, 'hourly-index.json'), 'utf8')));
+  const stations = Scoring.buildStations(sites, index, region.boroughs.map(b => b.name));
+  return {
+    type: 'FeatureCollection',
+    metadata: { snapshot: 'fixture' },
+    features: Object.values(stations).map(st => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [st.lng, st.lat] },
+      properties: {
+        code:    st.code,
+        name:    st.name,
+        borough: st.borough,
+        aqi_max: st.maxAQI,
+        ...Object.fromEntries(Object.entries(st.species).map(([species, v]) => [`aqi_${species}`, v])),
+      },
+    })),
+  };
+}
+
+function defaultRegion() {
+  const config = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'data', 'regions.json'), 'utf8'));
+  return config.regions[config.default];
+}
+
+// -----------------------------------------------------------
+// Checks
+// -----------------------------------------------------------
+function inUnitRange(value, what) {
+  assert.ok(typeof value === 'number' && value >= 0 && value <= 1, `${what} out of range 0–1: ${value}`);
+}
+
+function byCode(collection) {
+  return new Map(collection.features.map(f => [f.properties.lsoa_code, f.properties]));
+}
+
+/** What every run must satisfy, whatever its options. */
+function checkCommon({ collection, csvLines }, lsoas) {
+  const { features, metadata } = collection;
+
+  assert.equal(collection.type, 'FeatureCollection');
+  assert.ok(lsoas.length > 0, 'no LSOAs in the IMD file');
+  assert.equal(features.length, lsoas.length, 'one feature per LSOA');
+  assert.equal(csvLines.length, lsoas.length + 1, 'one CSV row per LSOA plus the header');
+
+  const codes = new Set(features.map(f => f.properties.lsoa_code));
+  assert.equal(codes.size, features.length, 'LSOA codes are unique');
+
+  const components = { dep: 'dep_comp', air: 'aq_comp', noise: 'noise_comp',
+    ...Object.fromEntries(Object.keys(Scoring.AMENITY_TYPES).map(type => [type, `${type}_comp`])) };
+  for (const f of features) {
+    const p = f.properties;
+    assert.ok(f.geometry, `${p.lsoa_code} has no geometry`);
+    inUnitRange(p.score, `${p.lsoa_code} score`);
+    let sum = 0;
+    for (const [key, column] of Object.entries(components)) {
+      inUnitRange(p[column], `${p.lsoa_code} ${column}`);
+      sum += p[column] * metadata.effective_weights[key];
+    }
+    assert.ok(Math.abs(sum - p.score) < SUM_TOLERANCE, `${p.lsoa_code} score ${p.score} is not the weighted sum ${sum}`);
+    for (const key of ['weights', 'aq_source', 'noise_metric']) {
+      assert.deepEqual(p[key], metadata[key], `${p.lsoa_code} ${key} differs from the run metadata`);
+    }
+  }
+  return features;
+}
+
+function checkDefault(result, lsoas) {
+  const features = checkCommon(result, lsoas);
+  const { metadata } = result.collection;
+  const scores = features.map(f => f.properties.score);
+  assert.ok(Math.max(...scores) > Math.min(...scores), 'scores do not vary');
+  assert.equal(metadata.aq_source, 'hourly-index.json');
+  assert.equal(metadata.noise_metric, null, 'no noise file given');
+  assert.equal(metadata.noise_source, null, 'no noise file given');
+  assert.ok(metadata.stations > 0, 'no fixture stations used');
+  assert.ok(features.some(f => f.properties.aq_station), 'no LSOA has a nearest station');
+  assert.deepEqual(metadata.effective_weights,
+    Scoring.effectiveWeights(Scoring.DEFAULT_WEIGHTS, Scoring.DEFAULT_ENABLED));
+  return `${features.length} LSOAs, scores ${Math.min(...scores)}–${Math.max(...scores)}`;
+}
+
+function checkWeights3(result, lsoas) {
+  const features = checkCommon(result, lsoas);
+  const { metadata } = result.collection;
+  assert.deepEqual(metadata.weights_raw, { dep: 50, air: 50, noise: 0 });
+  for (const type of Object.keys(Scoring.AMENITY_TYPES)) {
+    assert.equal(metadata.enabled[type], false, `${type} switched on by the three-value form`);
+  }
+  const p = features[0].properties;
+  assert.deepEqual([p.w_dep, p.w_air, p.w_noise, p.w_park], [0.5, 0.5, 0, 0]);
+  return `weights ${metadata.weights}`;
+}
+
+function checkWeights7(result, lsoas, park) {
+  const features = checkCommon(result, lsoas);
+  const { metadata } = result.collection;
+  assert.deepEqual(metadata.weights_raw, { dep: 40, air: 40, noise: 20, park: 40, school: 0, gp: 0, station: 0 });
+  assert.ok(Object.values(metadata.enabled).every(Boolean), 'the seven-value form switches every component on');
+  assert.equal(metadata.effective_weights.park, 40 / 140);
+  assert.equal(metadata.effective_weights.school, 0);
+
+  const rows = byCode(result.collection);
+  const atPark = rows.get(park.lsoa_code);
+  assert.equal(atPark.park_name, park.name, 'nearest park is the one in the extract');
+  assert.equal(atPark.park_comp, 0, 'a park at the centroid scores 0');
+  assert.ok(features.some(f => f.properties.park_comp > 0), 'park distances do not vary');
+  for (const f of features) assert.equal(f.properties.school_km, null, `${f.properties.lsoa_code} found a school in a park-only extract`);
+  return `weights ${metadata.weights}`;
+}
+
+function checkStations(result, lsoas, raw) {
+  checkCommon(result, lsoas);
+  const { metadata } = result.collection;
+  assert.equal(metadata.aq_source, 'stations.geojson');
+  assert.equal(metadata.aq_snapshot, 'fixture');
+  assert.equal(metadata.stations, raw.collection.metadata.stations, 'snapshot and raw responses give the same stations');
+  const rawRows = byCode(raw.collection);
+  for (const [code, p] of byCode(result.collection)) {
+    const r = rawRows.get(code);
+    assert.deepEqual([p.aq_comp, p.aq_station, p.score], [r.aq_comp, r.aq_station, r.score], `${code} air differs between snapshot and raw responses`);
+  }
+  return `${metadata.stations} stations from the snapshot`;
+}
+
+function checkNoise(result, lsoas, noise, lden) {
+  checkCommon(result, lsoas);
+  const { metadata } = result.collection;
+  assert.equal(metadata.noise_metric, 'lnight');
+  assert.equal(metadata.noise_source, 'noise.json');
+
+  const rows = byCode(result.collection);
+  const ldenRows = byCode(lden.collection);
+  const [loud, quiet] = Object.keys(noise);
+  // 52 dB is in the lowest Lnight class but below the Lden contours
+  assert.equal(rows.get(loud).noise_db, 52);
+  assert.equal(rows.get(loud).noise_band, Scoring.NIGHT_NOISE_BANDS[0].label);
+  assert.equal(rows.get(loud).noise_comp, Scoring.noiseComponent(Scoring.noiseSample(52, Scoring.NIGHT_NOISE_BANDS)));
+  assert.equal(ldenRows.get(loud).noise_comp, 0, '52 dB is below the Lden contours');
+  assert.equal(ldenRows.get(loud).noise_metric, 'lden');
+  assert.equal(rows.get(quiet).noise_comp, 0, 'null is below the contours');
+  for (const [code, p] of rows) {
+    if (!(code in noise)) assert.equal(p.noise_comp, 0.5, `${code} has no level but is not neutral`);
+  }
+  return `noise_metric ${metadata.noise_metric}`;
+}
+
+// -----------------------------------------------------------
+// Main
+// -----------------------------------------------------------
+function main() {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'score-lsoas-'));
+  try {
+    const lsoas = expectedLsoas();
+    const [first, second] = lsoas.filter(l => l.centroid);
+    const park = { lsoa_code: first.lsoa_code, name: 'Check Park' };
+    const amenitiesPath = writeJson(outDir, 'amenities.geojson', {
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: { category: 'park', name: park.name, osm_id: 'way/1' },
+        geometry: { type: 'Point', coordinates: [first.centroid[1], first.centroid[0]] },
+      }],
+    });
+    const noise = { [first.lsoa_code]: 52, [second.lsoa_code]: null };
+    const noisePath = writeJson(outDir, 'noise.json', noise);
+    const stationsPath = writeJson(outDir, 'stations.geojson', stationSnapshot(defaultRegion()));
+
+    const raw = run(outDir, 'default', ERG_ARGS);
+    const cases = [
+      ['default',   () => checkDefault(raw, lsoas)],
+      ['weights-3', () => checkWeights3(run(outDir, 'weights-3', [...ERG_ARGS, '--weights', '50,50,0']), lsoas)],
+      ['weights-7', () => checkWeights7(run(outDir, 'weights-7', [...ERG_ARGS, '--weights', '40,40,20,40,0,0,0',
+        '--amenities', amenitiesPath]), lsoas, park)],
+      ['stations',  () => checkStations(run(outDir, 'stations', ['--stations', stationsPath]), lsoas, raw)],
+      ['noise',     () => checkNoise(
+        run(outDir, 'noise', [...ERG_ARGS, '--noise', noisePath, '--noise-metric', 'lnight']), lsoas, noise,
+        run(outDir, 'noise-lden', [...ERG_ARGS, '--noise', noisePath]))],
+    ];
+    for (const [name, check] of cases) {
+      try {
+        console.log(`ok   ${name}: ${check()}`);
+      } catch (err) {
+        err.message = `${name}: ${err.message}`;
+        throw err;
+      }
+    }
+    console.log(`OK: ${cases.length} cases`);
+  } catch (err) {
+    console.error(`FAILED: ${err.stderr ? String(err.stderr).trim() : err.message}`);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+main();
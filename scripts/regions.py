@@ -0,0 +1,55 @@
+"""
+Study-region config shared by the data prep scripts (build-geojson.py,
+build-postcodes.py, build-lsoa-lookup.py, build-amenities.py): where the app
+lives, how to read one region from app/data/regions.json and where to
+write its data files.
+
+    from regions import APP_DIR, REGIONS_PATH, load_region, data_file, listing_hint
+
+regions.json lists a data file only once it is built and committed. Until
+then data_file() gives the conventional path (DEFAULT_FILES) and
+listing_hint() the entry to add.
+
+Imported from the scripts' own directory, so run them as
+`python3 scripts/<name>.py` from anywhere.
+"""
+import json
+import os
+import sys
+
+APP_DIR = os.path.join(os.path.dirname(__file__), "..", "app")
+REGIONS_PATH = os.path.join(APP_DIR, "data", "regions.json")
+
+# data key → path (relative to app/) for a file regions.json does not list yet
+DEFAULT_FILES = {
+    "imd":        "data/{region}-imd-{edition}.geojson",
+    "lsoaLookup": "data/{region}-lsoa-lookup.json",
+    "postcodes":  "data/{region}-postcodes.json",
+    "amenities":  "data/{region}-amenities.geojson",
+}
+
+
+def load_region(region_id=None):
+    """The region's config from regions.json (default region if no id)."""
+    with open(REGIONS_PATH, encoding="utf-8") as f:
+        config = json.load(f)
+    region_id = region_id or config["default"]
+    if region_id not in config["regions"]:
+        sys.exit(f"ERROR: no region \"{region_id}\" in {REGIONS_PATH} (have: {', '.join(config['regions'])})")
+    return region_id, config["regions"][region_id]
+
+
+def data_file(region_id, region, key, edition=None):
+    """(path relative to app/, listed) of a region's data file; "imd" needs the edition."""
+    listed = region["data"].get(key)
+    if key == "imd":
+        listed = (listed or {}).get(edition)
+    if listed:
+        return listed, True
+    return DEFAULT_FILES[key].format(region=region_id, edition=edition), False
+
+
+def listing_hint(region_id, key, path, edition=None):
+    """What to add to regions.json once a newly built file is committed."""
+    entry = f'"{key}": {{ "{edition}": "{path}" }}' if edition else f'"{key}": "{path}"'
+    return f"Commit {path}, then list it in {REGIONS_PATH} under regions.{region_id}.data: {entry}"
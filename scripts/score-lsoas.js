@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * Batch scorer: computes the combined environment score for every LSOA
+ * outside the browser, with the same code the map uses (app/js/utils/scoring.js),
+ * and writes scored GeoJSON and/or CSV in the map's export format
+ * (panels/data-export.js).
+ *
+ * Stations come from either an exported station snapshot ("Export data" →
+ * Air quality stations → GeoJSON) or a pair of raw ERG responses, e.g. the
+ * offline fixtures:
+ *
+ *     node scripts/score-lsoas.js \
+ *         --stations aq-stations-20240114-2300.geojson --csv scores.csv
+ *
+ *     node scripts/score-lsoas.js --region west-london \
+ *         --sites app/data/fixtures/erg/sites.json \
+ *         --index app/data/fixtures/erg/hourly-index.json \
+ *         --geojson scores.geojson --csv scores.csv
+ *
+ * Options:
+ *     --region ID               study region from app/data/regions.json (default:
+ *                               the file's default); sets the IMD file and the
+ *                               boroughs raw ERG sites are filtered to
+ *     --edition YEAR            the region's IMD edition (default 2019)
+ *     --imd FILE                IMD GeoJSON instead of the region's
+ *     --weights dep,air,noise[,park,school,gp,station]
+ *                               relative weights (default 40,40,20; 0 = off);
+ *                               the seven-value form switches on the amenity
+ *                               proximity components, e.g. 40,40,20,40,40,0,0
+ *     --pollutant max|NO2|…     index the air component uses (default max)
+ *     --domain imd|crime|…      IoD domain the deprivation component uses
+ *                               (default imd, the overall index)
+ *     --power N --radius KM     IDW settings (default 2, 5 km)
+ *     --noise FILE              noise per LSOA: { "E01…": dB, … }; null =
+ *                               below the mapped contours, missing = neutral 0.5.
+ *                               Without it the noise component is neutral.
+ *     --noise-metric lden|lq16|lnight
+ *                               metric of the --noise levels (default lden);
+ *                               Lnight is banded from 50 dB, the others from 55
+ *     --amenities FILE          amenity extract (scripts/build-amenities.py)
+ *                               instead of the region's data.amenities, which is
+ *                               used when present
+ *
+ * With neither --geojson nor --csv the GeoJSON goes to stdout.
+ * scripts/check-score-lsoas.js runs it on the offline fixtures as a check.
+ * No npm installs required — plain Node (18+).
+ */
+const fs = require('fs');
+const path = require('path');
+
+const Scoring = require('../app/js/utils/scoring.js');
+const Download = require('../app/js/utils/download.js');
+
+const USAGE = 'Usage: node scripts/score-lsoas.js [--region ID] [--edition YEAR | --imd FILE] (--stations FILE | --sites FILE --index FILE)\n' +
+              '       [--noise FILE [--noise-metric KEY]] [--amenities FILE] [--weights dep,air,noise[,park,school,gp,station]]\n' +
+              '       [--pollutant KEY] [--domain KEY] [--power N] [--radius KM] [--geojson FILE] [--csv FILE]';
+
+// -----------------------------------------------------------
+// Arguments
+// -----------------------------------------------------------
+const APP_DIR = path.join(__dirname, '..', 'app');
+const REGIONS_PATH = path.join(APP_DIR, 'data', 'regions.json');
+
+const OPTIONS = ['region', 'edition', 'imd', 'stations', 'sites', 'index', 'noise', 'noise-metric', 'amenities', 'weights', 'pollutant', 'domain', 'power', 'radius', 'geojson', 'csv'];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (name === 'help' || name === 'h') return null;
+    if (!argv[i].startsWith('--') || !OPTIONS.includes(name)) throw new Error(`Unknown argument "${argv[i]}"`);
+    if (i + 1 >= argv.length) throw new Error(`Missing value for --${name}`);
+    args[name] = argv[++i];
+  }
+  if (!args.stations && !(args.sites && args.index)) throw new Error('Give --stations, or both --sites and --index');
+  return args;
+}
+
+/** { weights, enabled }: three values keep the proximity components off, seven switch them on. */
+function parseWeights(text) {
+  const keys = Object.keys(Scoring.COMPONENTS);
+  const parts = text.split(',').map(Number);
+  if (![3, keys.length].includes(parts.length) || parts.some(v => isNaN(v) || v < 0)) {
+    throw new Error(`--weights needs three (dep,air,noise) or ${keys.length} (${keys.join(',')}) non-negative numbers, got "${text}"`);
+  }
+  const weights = Object.fromEntries(parts.map((v, i) => [keys[i], v]));
+  const enabled = Object.fromEntries(keys.map(key => [key, key in weights]));
+  return { weights, enabled };
+}
+
+function parseNumber(text, name) {
+  const v = parseFloat(text);
+  if (isNaN(v) || v <= 0) throw new Error(`--${name} must be a positive number, got "${text}"`);
+  return v;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+/** The region from regions.json; its data paths are relative to app/. */
+function loadRegion(id) {
+  const config = readJson(REGIONS_PATH);
+  const regionId = id || config.default;
+  const region = config.regions[regionId];
+  if (!region) throw new Error(`No region "${regionId}" in ${REGIONS_PATH} (have: ${Object.keys(config.regions).join(', ')})`);
+  return { id: regionId, ...region };
+}
+
+// -----------------------------------------------------------
+// Scoring
+// -----------------------------------------------------------
+function loadStations(args, region) {
+  if (args.stations) {
+    const snapshot = readJson(args.stations);
+    return {
+      stations: Scoring.stationsFromSnapshot(snapshot),
+      source:   path.basename(args.stations),
+      snapshot: (snapshot.metadata && snapshot.metadata.snapshot) || null,
+    };
+  }
+  const sites = Scoring.parseSites(readJson(args.sites));
+  const index = Scoring.parseIndex(readJson(args.index));
+  return {
+    stations: Scoring.buildStations(sites, index, region.boroughs.map(b => b.name)),
+    source:   path.basename(args.index),
+    snapshot: null,
+  };
+}
+
+// Contour classes per --noise-metric, as the map's noise layer uses them
+const NOISE_METRIC_BANDS = {
+  lden:   Scoring.NOISE_BANDS,
+  lq16:   Scoring.NOISE_BANDS,
+  lnight: Scoring.NIGHT_NOISE_BANDS,
+};
+
+function noiseSampleFor(noise, code, bands) {
+  if (!noise || !(code in noise)) return undefined;   // unknown → neutral
+  return Scoring.noiseSample(noise[code] != null ? Number(noise[code]) : null, bands);
+}
+
+function score(args) {
+  const region = loadRegion(args.region);
+  const edition = args.edition || Scoring.DEFAULT_EDITION;
+  const imdFile = (region.data.imd || {})[edition];
+  if (!args.imd && !imdFile) {
+    throw new Error(`Region "${region.id}" has no IMD ${edition} file (have: ${Object.keys(region.data.imd || {}).join(', ')})`);
+  }
+  const imdPath = args.imd || path.join(APP_DIR, imdFile);
+  const lsoas = Scoring.lsoasFromGeojson(readJson(imdPath));
+  if (!lsoas.length) throw new Error(`${imdPath} has no LSOAs with an IMD decile`);
+
+  const { stations, source, snapshot } = loadStations(args, region);
+  if (!Object.keys(stations).length) console.warn('Warning: no stations — air component held at neutral 0.5.');
+
+  // The region's amenity extract is optional; an explicit --amenities is not
+  const regionAmenities = region.data.amenities && path.join(APP_DIR, region.data.amenities);
+  const amenitiesPath = args.amenities || (regionAmenities && fs.existsSync(regionAmenities) ? regionAmenities : null);
+  const amenities = amenitiesPath ? Scoring.amenitiesFromGeojson(readJson(amenitiesPath)) : null;
+
+  const noise = args.noise ? readJson(args.noise) : null;
+  const noiseMetric = args['noise-metric'] || 'lden';
+  if (!(noiseMetric in NOISE_METRIC_BANDS)) {
+    throw new Error(`Unknown --noise-metric "${noiseMetric}" (have: ${Object.keys(NOISE_METRIC_BANDS).join(', ')})`);
+  }
+  const { weights, enabled } = args.weights
+    ? parseWeights(args.weights)
+    : { weights: Scoring.DEFAULT_WEIGHTS, enabled: Scoring.DEFAULT_ENABLED };
+  const eff = Scoring.effectiveWeights(weights, enabled);
+  const pollutant = args.pollutant || 'max';
+  const domain = args.domain || 'imd';
+  if (!(domain in Scoring.IMD_DOMAINS)) {
+    throw new Error(`Unknown --domain "${domain}" (have: ${Object.keys(Scoring.IMD_DOMAINS).join(', ')})`);
+  }
+  const interp = {
+    power:       args.power ? parseNumber(args.power, 'power') : Scoring.DEFAULT_INTERP.power,
+    maxRadiusKm: args.radius ? parseNumber(args.radius, 'radius') : Scoring.DEFAULT_INTERP.maxRadiusKm,
+  };
+
+  if (domain !== 'imd' && !lsoas.some(l => Scoring.domainDecile(l, domain) != null)) {
+    console.warn(`Warning: no ${domain} deciles in ${imdPath} — deprivation component held at neutral 0.5.`);
+  }
+  for (const type of Object.keys(Scoring.AMENITY_TYPES)) {
+    if (eff[type] > 0 && !(amenities && amenities[type].length)) {
+      console.warn(`Warning: no ${type} amenities ${amenitiesPath ? `in ${amenitiesPath}` : '(no amenity extract)'} — proximity held at neutral 0.5.`);
+    }
+  }
+
+  const meta = {
+    generated:    new Date().toISOString(),
+    region:       region.id,
+    imd_edition:  edition,
+    weights:      Scoring.describeWeights(eff),
+    aq_pollutant: pollutant,
+    aq_source:    source,
+    aq_snapshot:  snapshot,
+    noise_metric: noise ? noiseMetric : null,
+  };
+
+  const features = lsoas.map(lsoa => {
+    const c = Scoring.components(lsoa, {
+      stations, pollutant, interp, domain,
+      noiseSample: noiseSampleFor(noise, lsoa.lsoa_code, NOISE_METRIC_BANDS[noiseMetric]),
+      nearest:     amenities && lsoa.centroid ? Scoring.nearestAmenities(lsoa.centroid[0], lsoa.centroid[1], amenities) : {},
+    });
+    return {
+      type:       'Feature',
+      geometry:   lsoa.geometry || null,
+      properties: { ...Scoring.exportProperties(lsoa, c, eff), ...meta },
+    };
+  });
+
+  return {
+    type: 'FeatureCollection',
+    metadata: {
+      ...meta,
+      noise_source:      noise ? path.basename(args.noise) : null,
+      effective_weights: eff,
+      weights_raw:       weights,
+      enabled:           enabled,
+      interpolation:     interp,
+      stations:          Object.keys(stations).length,
+    },
+    features,
+  };
+}
+
+// -----------------------------------------------------------
+// Main
+// -----------------------------------------------------------
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    process.exit(2);
+  }
+  if (!args) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    const collection = score(args);
+    if (args.geojson) {
+      fs.writeFileSync(args.geojson, JSON.stringify(collection));
+      console.error(`Wrote ${collection.features.length} LSOAs to ${args.geojson}`);
+    }
+    if (args.csv) {
+      const rows = collection.features.map(f => f.properties);
+      fs.writeFileSync(args.csv, Download.csv(rows, Object.keys(rows[0])));
+      console.error(`Wrote ${rows.length} LSOAs to ${args.csv}`);
+    }
+    if (!args.geojson && !args.csv) process.stdout.write(JSON.stringify(collection) + '\n');
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+main();